@@ -0,0 +1,297 @@
+/**
+ * Chat Service - Runs in Electron main process
+ * Streams agent replies from an OpenAI-compatible (/chat/completions) or
+ * Anthropic-compatible (/messages) HTTP endpoint using server-sent events.
+ *
+ * Each request has a renderer-chosen requestId; text arrives as chat:delta
+ * events, passed to the sendEvent callback the service is created with, and
+ * the invoke resolves with the full reply once the stream ends.
+ *
+ * Messages use one provider-neutral shape, converted per provider:
+ *   { role: 'user', content }
+ *   { role: 'assistant', content, toolCalls?: [{ id, name, arguments }] }
+ *   { role: 'tool', toolCallId, content }
+ * Tools are { name, description, parameters (JSON schema) }.
+ */
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4096;
+
+// Request shape and stream format of each provider type
+export const CHAT_PROVIDERS = {
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    buildRequest(config, messages, system, tools) {
+      const converted = messages.map((message) => {
+        if (message.role === 'tool') {
+          return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+        }
+        if (message.role === 'assistant' && message.toolCalls?.length) {
+          return {
+            role: 'assistant',
+            content: message.content || null,
+            tool_calls: message.toolCalls.map(call => ({
+              id: call.id,
+              type: 'function',
+              function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+            }))
+          };
+        }
+        return { role: message.role, content: message.content };
+      });
+
+      return {
+        url: `${trimSlash(config.baseUrl || this.defaultBaseUrl)}/chat/completions`,
+        headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+        body: {
+          model: config.model,
+          stream: true,
+          messages: system ? [{ role: 'system', content: system }, ...converted] : converted,
+          ...(tools?.length ? {
+            tools: tools.map(tool => ({
+              type: 'function',
+              function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            }))
+          } : {})
+        }
+      };
+    },
+    // Tool calls arrive in pieces keyed by index, the arguments as JSON text
+    parseEvent(event, data, toolCalls) {
+      if (data === '[DONE]') return { done: true };
+      const payload = JSON.parse(data);
+      if (payload.error) return { error: payload.error.message || String(payload.error) };
+
+      const delta = payload.choices?.[0]?.delta || {};
+      for (const part of delta.tool_calls || []) {
+        const call = toolCalls[part.index] || (toolCalls[part.index] = { id: '', name: '', arguments: '' });
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.name += part.function.name;
+        if (part.function?.arguments) call.arguments += part.function.arguments;
+      }
+      return { text: delta.content || '' };
+    }
+  },
+  anthropic: {
+    label: 'Anthropic-compatible',
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    buildRequest(config, messages, system, tools) {
+      // Tool results go back as a user turn; consecutive results share one
+      const converted = [];
+      for (const message of messages) {
+        if (message.role === 'tool') {
+          const result = { type: 'tool_result', tool_use_id: message.toolCallId, content: message.content };
+          const last = converted[converted.length - 1];
+          if (last?.role === 'user' && Array.isArray(last.content)) {
+            last.content.push(result);
+          } else {
+            converted.push({ role: 'user', content: [result] });
+          }
+        } else if (message.role === 'assistant' && message.toolCalls?.length) {
+          converted.push({
+            role: 'assistant',
+            content: [
+              ...(message.content ? [{ type: 'text', text: message.content }] : []),
+              ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} }))
+            ]
+          });
+        } else {
+          converted.push({ role: message.role, content: message.content });
+        }
+      }
+
+      return {
+        url: `${trimSlash(config.baseUrl || this.defaultBaseUrl)}/messages`,
+        headers: {
+          'anthropic-version': ANTHROPIC_VERSION,
+          ...(config.apiKey ? { 'x-api-key': config.apiKey } : {})
+        },
+        body: {
+          model: config.model,
+          max_tokens: config.maxTokens || DEFAULT_MAX_TOKENS,
+          stream: true,
+          ...(system ? { system } : {}),
+          messages: converted,
+          ...(tools?.length ? {
+            tools: tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters }))
+          } : {})
+        }
+      };
+    },
+    // Tool calls are content blocks whose input streams as partial JSON
+    parseEvent(event, data, toolCalls) {
+      const payload = JSON.parse(data);
+      if (payload.type === 'error') return { error: payload.error?.message || 'Provider error' };
+      if (payload.type === 'message_stop') return { done: true };
+      if (payload.type === 'content_block_start' && payload.content_block?.type === 'tool_use') {
+        toolCalls[payload.index] = { id: payload.content_block.id, name: payload.content_block.name, arguments: '' };
+      }
+      if (payload.type === 'content_block_delta') {
+        if (payload.delta?.type === 'text_delta') {
+          return { text: payload.delta.text };
+        }
+        if (payload.delta?.type === 'input_json_delta' && toolCalls[payload.index]) {
+          toolCalls[payload.index].arguments += payload.delta.partial_json;
+        }
+      }
+      return {};
+    }
+  }
+};
+
+export class ChatService {
+  /**
+   * @param {Function} sendEvent - (channel, data) to the renderer
+   */
+  constructor(sendEvent) {
+    this.requests = new Map(); // requestId -> AbortController
+    this.sendEvent = sendEvent;
+  }
+
+  /**
+   * Stream a reply for a conversation
+   * @param {string} requestId
+   * @param {Object} config - { type, baseUrl, apiKey, model, maxTokens, systemPrompt }
+   * @param {Array<Object>} messages - provider-neutral messages
+   * @param {Array<Object>} [tools] - tools the model may call
+   * @returns {Promise<{ success: boolean, content: string, toolCalls?: Array, cancelled?: boolean, error?: string }>}
+   */
+  async send(requestId, config, messages, tools = []) {
+    const provider = CHAT_PROVIDERS[config?.type];
+    if (!provider) {
+      return { success: false, content: '', error: `Unknown chat provider: ${config?.type}` };
+    }
+    if (!config.model) {
+      return { success: false, content: '', error: 'No model configured' };
+    }
+
+    const controller = new AbortController();
+    this.requests.set(requestId, controller);
+    let content = '';
+    const toolCalls = [];
+
+    try {
+      const request = provider.buildRequest(config, messages, config.systemPrompt, tools);
+      const response = await fetch(request.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+          ...request.headers
+        },
+        body: JSON.stringify(request.body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+      }
+
+      for await (const { event, data } of readServerSentEvents(response.body)) {
+        const parsed = provider.parseEvent(event, data, toolCalls);
+        if (parsed.error) throw new Error(parsed.error);
+        if (parsed.text) {
+          content += parsed.text;
+          this.sendEvent('chat:delta', { requestId, text: parsed.text });
+        }
+        if (parsed.done) break;
+      }
+
+      return { success: true, content, toolCalls: toolCalls.filter(Boolean).map(parseToolCall) };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return { success: false, content, cancelled: true };
+      }
+      console.error(`[Chat] Request ${requestId} failed:`, error);
+      return { success: false, content, error: error.message };
+    } finally {
+      this.requests.delete(requestId);
+    }
+  }
+
+  /**
+   * Abort a streaming request; its send() resolves with the partial reply
+   */
+  cancel(requestId) {
+    const controller = this.requests.get(requestId);
+    if (!controller) {
+      return { success: false, error: 'Request not running' };
+    }
+    controller.abort();
+    return { success: true };
+  }
+
+  cancelAll() {
+    this.requests.forEach(controller => controller.abort());
+    this.requests.clear();
+  }
+}
+
+/**
+ * Parse the streamed JSON arguments of a tool call
+ * Unparseable arguments are kept so the tool can report them back
+ */
+function parseToolCall(call) {
+  try {
+    return { id: call.id, name: call.name, arguments: call.arguments ? JSON.parse(call.arguments) : {} };
+  } catch {
+    return { id: call.id, name: call.name, arguments: {}, invalidArguments: call.arguments };
+  }
+}
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Get a readable message from a failed response (JSON error bodies or plain text)
+ */
+async function readErrorMessage(response) {
+  const text = await response.text();
+  try {
+    const payload = JSON.parse(text);
+    const message = payload.error?.message || payload.message || payload.error;
+    if (message) return `${response.status}: ${message}`;
+  } catch {
+    // Not JSON
+  }
+  return `${response.status} ${response.statusText}${text ? `: ${text.slice(0, 200)}` : ''}`;
+}
+
+/**
+ * Parse a server-sent events stream into { event, data } records
+ * Events are separated by blank lines; multi-line data fields are joined
+ */
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parse = (block) => {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+    return data.length > 0 ? { event, data: data.join('\n') } : null;
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+      const record = parse(block);
+      if (record) yield record;
+    }
+  }
+
+  const record = parse(buffer);
+  if (record) yield record;
+}
@@ -0,0 +1,277 @@
+/**
+ * Git Patch - Runs in Electron main process
+ * Builds patches holding only some of the changed lines between two versions
+ * of a file, for staging, unstaging and discarding single changes with
+ * `git apply`.
+ *
+ * The changes go from `oldText` to `newText`; the selection names changed
+ * lines by their 1-based number, deletions in oldText and insertions in newText.
+ *
+ * - forward patches turn oldText into oldText with the selected changes, and
+ *   apply to a file holding oldText (staging: index -> index + selected lines)
+ * - reverse patches describe newText without the selected changes -> newText;
+ *   applied with -R to a file holding newText they take the selected changes
+ *   out of it (unstaging from the index, discarding from the working tree)
+ *
+ * Whole files are discarded with discardFiles, which only touches paths inside
+ * the working directory.
+ */
+
+import path from 'path';
+import { diffLineArrays } from './line-diff.mjs';
+
+const CONTEXT_LINES = 3;
+const NO_NEWLINE = '\\ No newline at end of file';
+
+/**
+ * Lines of a text; the last one knows whether a newline ends it
+ * @returns {Array<{ text: string, noNewline: boolean }>}
+ */
+function toLines(text) {
+  if (!text) return [];
+  const parts = text.split('\n');
+  const endsWithNewline = parts[parts.length - 1] === '';
+  if (endsWithNewline) parts.pop();
+  return parts.map((part, index) => ({
+    text: part,
+    noNewline: !endsWithNewline && index === parts.length - 1
+  }));
+}
+
+// Lines are compared with their missing newline, so "x" at the end differs from "x\n"
+function lineKey(line) {
+  return line.noNewline ? `${line.text}\n\\` : line.text;
+}
+
+/**
+ * Patch lines (' ', '-', '+') keeping the selected changes, in file order. Each
+ * knows the line it is on the old and the new side, where it is on both
+ */
+function selectLines(oldLines, newLines, { originalLines = [], modifiedLines = [] }, reverse) {
+  const selectedDeletions = new Set(originalLines);
+  const selectedInsertions = new Set(modifiedLines);
+  const ops = pairLineEnding(diffLineArrays(oldLines.map(lineKey), newLines.map(lineKey)), oldLines, newLines);
+  const isSelected = op => (op.type === 'delete'
+    ? selectedDeletions.has(op.oldIndex + 1)
+    : selectedInsertions.has(op.newIndex + 1));
+  const result = [];
+
+  for (const op of ops) {
+    if (op.type === 'equal') {
+      result.push({ type: ' ', old: oldLines[op.oldIndex], new: newLines[op.newIndex] });
+    } else if (op.type === 'ending') {
+      // The ending belongs to the lines added or removed after it as well
+      const selected = selectedDeletions.has(op.oldIndex + 1) || selectedInsertions.has(op.newIndex + 1)
+        || op.changesAfter.some(isSelected);
+      result.push({ type: ' ', old: oldLines[op.oldIndex], new: newLines[op.newIndex], selected });
+    } else if (op.type === 'delete') {
+      if (selectedDeletions.has(op.oldIndex + 1)) {
+        result.push({ type: '-', old: oldLines[op.oldIndex] });
+      } else if (!reverse) {
+        // Still in the file the patch applies to, and kept
+        result.push({ type: ' ', old: oldLines[op.oldIndex] });
+      }
+    } else if (selectedInsertions.has(op.newIndex + 1)) {
+      result.push({ type: '+', new: newLines[op.newIndex] });
+    } else if (reverse) {
+      // Already in the file the patch applies to, and kept
+      result.push({ type: ' ', new: newLines[op.newIndex] });
+    }
+  }
+  return result;
+}
+
+/**
+ * A last line that only gains or loses its newline shows up as a removal and an
+ * addition of the same text. The pair is one line whose ending changes, so it
+ * goes back where it is in both files: after the last unchanged line, ahead of
+ * the lines added or removed after it.
+ */
+function pairLineEnding(ops, oldLines, newLines) {
+  const blockStart = ops.findLastIndex(op => op.type === 'equal') + 1;
+  const block = ops.slice(blockStart);
+  const sameText = (deletion, insertion) => {
+    const oldLine = oldLines[deletion.oldIndex];
+    const newLine = newLines[insertion.newIndex];
+    return oldLine.text === newLine.text && oldLine.noNewline !== newLine.noNewline;
+  };
+  const deletions = block.filter(op => op.type === 'delete');
+  const insertions = block.filter(op => op.type === 'insert');
+  const deletion = deletions.find(del => insertions.some(ins => sameText(del, ins)));
+  if (!deletion) return ops;
+  const insertion = insertions.find(ins => sameText(deletion, ins));
+
+  const before = block.filter(op => (op.type === 'delete'
+    ? op.oldIndex < deletion.oldIndex
+    : op.newIndex < insertion.newIndex));
+  const after = block.filter(op => op !== deletion && op !== insertion && !before.includes(op));
+  return [
+    ...ops.slice(0, blockStart),
+    ...before,
+    { type: 'ending', oldIndex: deletion.oldIndex, newIndex: insertion.newIndex, changesAfter: after },
+    ...after
+  ];
+}
+
+/**
+ * Whether the last line of the side the selection makes up (the new side of
+ * forward patches, the old side of reverse ones) lacks its newline. A line whose
+ * ending changes keeps the ending of the file it comes from unless it, or a
+ * change after it, is selected
+ */
+function selectedEnding(entry, reverse) {
+  if (entry.old && entry.new && entry.old.noNewline !== entry.new.noNewline) {
+    const keepsOld = reverse ? entry.selected : !entry.selected;
+    return keepsOld ? entry.old.noNewline : entry.new.noNewline;
+  }
+  return Boolean(entry.old?.noNewline || entry.new?.noNewline);
+}
+
+/**
+ * Only the last line of a side can lack its newline. The other side of the
+ * patch is the file it applies to, whose last line has its own ending. A kept
+ * line that ends one side but not the other changes its ending, so it becomes
+ * a removal and an addition.
+ */
+function fixLineEndings(lines, reverse) {
+  const lastOld = lines.findLastIndex(entry => entry.type !== '+');
+  const lastNew = lines.findLastIndex(entry => entry.type !== '-');
+  let oldEnding = false;
+  let newEnding = false;
+  if (lastOld !== -1) {
+    oldEnding = reverse ? selectedEnding(lines[lastOld], reverse) : lines[lastOld].old.noNewline;
+  }
+  if (lastNew !== -1) {
+    newEnding = reverse ? lines[lastNew].new.noNewline : selectedEnding(lines[lastNew], reverse);
+  }
+  const result = [];
+
+  lines.forEach((entry, index) => {
+    const text = (entry.old || entry.new).text;
+    const oldNoNewline = index === lastOld && oldEnding;
+    const newNoNewline = index === lastNew && newEnding;
+    if (entry.type === ' ' && oldNoNewline !== newNoNewline) {
+      result.push({ type: '-', text, noNewline: oldNoNewline });
+      result.push({ type: '+', text, noNewline: newNoNewline });
+    } else {
+      const noNewline = entry.type === '+' ? newNoNewline : oldNoNewline;
+      result.push({ type: entry.type, text, noNewline });
+    }
+  });
+  return result;
+}
+
+/**
+ * Group changed lines with their context into unified diff hunks
+ */
+function toHunks(lines) {
+  const hunks = [];
+  let oldNumber = 1;
+  let newNumber = 1;
+  const numbered = lines.map((entry) => {
+    const numbers = { oldNumber, newNumber };
+    if (entry.type !== '+') oldNumber++;
+    if (entry.type !== '-') newNumber++;
+    return { ...entry, ...numbers };
+  });
+
+  let index = 0;
+  while (index < numbered.length) {
+    const firstChange = numbered.findIndex((entry, i) => i >= index && entry.type !== ' ');
+    if (firstChange === -1) break;
+
+    const start = Math.max(index, firstChange - CONTEXT_LINES);
+    let end = firstChange;
+    // Extend over changes whose context would touch this hunk's
+    for (let i = firstChange; i < numbered.length && i <= end + CONTEXT_LINES * 2; i++) {
+      if (numbered[i].type !== ' ') end = i;
+    }
+    const stop = Math.min(numbered.length, end + CONTEXT_LINES + 1);
+    hunks.push(numbered.slice(start, stop));
+    index = stop;
+  }
+  return hunks;
+}
+
+// Paths with quotes, backslashes or control characters are C-quoted, as git does
+function quotePath(filePath) {
+  if (!/["\\\x00-\x1f\x7f]/.test(filePath)) return filePath;
+  const escaped = filePath.replace(/["\\\x00-\x1f\x7f]/g, (char) => {
+    const named = { '"': '\\"', '\\': '\\\\', '\t': '\\t', '\n': '\\n' }[char];
+    return named || `\\${char.charCodeAt(0).toString(8).padStart(3, '0')}`;
+  });
+  return `"${escaped}"`;
+}
+
+function formatHunk(hunk) {
+  const oldCount = hunk.filter(entry => entry.type !== '+').length;
+  const newCount = hunk.filter(entry => entry.type !== '-').length;
+  // An empty side is numbered by the line before it
+  const oldStart = oldCount === 0 ? hunk[0].oldNumber - 1 : hunk[0].oldNumber;
+  const newStart = newCount === 0 ? hunk[0].newNumber - 1 : hunk[0].newNumber;
+
+  const output = [`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`];
+  for (const entry of hunk) {
+    output.push(entry.type + entry.text);
+    if (entry.noNewline) output.push(NO_NEWLINE);
+  }
+  return output.join('\n');
+}
+
+/**
+ * Patch applying the selected changes between two versions of a file
+ * @param {string} filePath - path of the file relative to the repository root
+ * @param {{ originalLines?: number[], modifiedLines?: number[] }} selection
+ * @param {{ reverse?: boolean }} [options]
+ * @returns {string|null} the patch, or null if no selected line is a change
+ */
+export function buildPartialPatch(filePath, oldText, newText, selection, { reverse = false } = {}) {
+  const lines = fixLineEndings(selectLines(toLines(oldText), toLines(newText), selection, reverse), reverse);
+  const hunks = toHunks(lines);
+  if (hunks.length === 0) return null;
+
+  const oldName = quotePath(`a/${filePath}`);
+  const newName = quotePath(`b/${filePath}`);
+  return [
+    `diff --git ${oldName} ${newName}`,
+    `--- ${oldName}`,
+    `+++ ${newName}`,
+    ...hunks.map(formatHunk)
+  ].join('\n') + '\n';
+}
+
+// Path of a file relative to cwd, with forward slashes as git prints them
+export function toGitPath(cwd, file) {
+  return (path.isAbsolute(file) ? path.relative(cwd, file) : path.normalize(file)).split(path.sep).join('/');
+}
+
+/**
+ * Throw away working tree changes: tracked files (or directories holding any)
+ * go back to their index content, untracked ones are removed with git clean,
+ * which leaves ignored files alone
+ * @param {Object} git - simple-git instance for cwd
+ * @param {string} cwd
+ * @param {string[]} files - paths inside cwd, absolute or relative to it
+ */
+export async function discardFiles(git, cwd, files) {
+  const paths = files.map((file) => {
+    const relative = toGitPath(cwd, file);
+    if (relative === '' || relative === '.' || relative === '..' || relative.startsWith('../') || path.isAbsolute(relative)) {
+      throw new Error(`${file} is not inside ${cwd}`);
+    }
+    return relative;
+  });
+
+  const tracked = [];
+  const untracked = [];
+  for (const relative of paths) {
+    const inIndex = (await git.raw(['ls-files', '-z', '--', relative])).split('\0').some(Boolean);
+    (inIndex ? tracked : untracked).push(relative);
+  }
+  if (tracked.length > 0) {
+    await git.raw(['checkout', '--', ...tracked]);
+  }
+  if (untracked.length > 0) {
+    await git.raw(['clean', '-f', '-d', '--', ...untracked]);
+  }
+}
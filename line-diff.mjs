@@ -0,0 +1,125 @@
+/**
+ * Line Diff - Runs in Electron main process
+ * Myers diff over lines, used for timeline statistics. Very different texts
+ * stop searching after MAX_EDITS and are treated as replaced wholesale.
+ */
+
+const MAX_EDITS = 2000;
+
+export function splitLines(text) {
+  return text ? text.split(/\r?\n/) : [];
+}
+
+/**
+ * Edit script turning oldLines into newLines
+ * @returns {Array<{ type: 'equal'|'insert'|'delete', oldIndex: number, newIndex: number }>}
+ */
+export function diffLineArrays(oldLines, newLines) {
+  // Common prefix and suffix need no search
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: 'equal', oldIndex: i, newIndex: i });
+  }
+  ops.push(...myers(oldLines, newLines, start, oldEnd, start, newEnd));
+  for (let i = 0; i < oldLines.length - oldEnd; i++) {
+    ops.push({ type: 'equal', oldIndex: oldEnd + i, newIndex: newEnd + i });
+  }
+  return ops;
+}
+
+function myers(oldLines, newLines, oldStart, oldEnd, newStart, newEnd) {
+  const n = oldEnd - oldStart;
+  const m = newEnd - newStart;
+  if (n === 0 || m === 0 || n + m > MAX_EDITS * 50) {
+    return replaceAll(oldStart, oldEnd, newStart, newEnd);
+  }
+
+  const max = Math.min(n + m, MAX_EDITS);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldLines[oldStart + x] === newLines[newStart + y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(trace, offset, n, m, oldStart, newStart);
+      }
+    }
+  }
+  return replaceAll(oldStart, oldEnd, newStart, newEnd);
+}
+
+function backtrack(trace, offset, n, m, oldStart, newStart) {
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : v[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({ type: 'equal', oldIndex: oldStart + x, newIndex: newStart + y });
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        y--;
+        ops.push({ type: 'insert', oldIndex: oldStart + x, newIndex: newStart + y });
+      } else {
+        x--;
+        ops.push({ type: 'delete', oldIndex: oldStart + x, newIndex: newStart + y });
+      }
+    }
+  }
+  return ops.reverse();
+}
+
+function replaceAll(oldStart, oldEnd, newStart, newEnd) {
+  const ops = [];
+  for (let i = oldStart; i < oldEnd; i++) {
+    ops.push({ type: 'delete', oldIndex: i, newIndex: newStart });
+  }
+  for (let i = newStart; i < newEnd; i++) {
+    ops.push({ type: 'insert', oldIndex: oldEnd, newIndex: i });
+  }
+  return ops;
+}
+
+/**
+ * Number of lines added and removed between two texts
+ * @returns {{ added: number, removed: number }}
+ */
+export function diffStats(oldText, newText) {
+  const stats = { added: 0, removed: 0 };
+  for (const op of diffLineArrays(splitLines(oldText), splitLines(newText))) {
+    if (op.type === 'insert') stats.added++;
+    if (op.type === 'delete') stats.removed++;
+  }
+  return stats;
+}
@@ -0,0 +1,121 @@
+/**
+ * LSP Message Reader - Runs in Electron main process
+ * JSON-RPC base protocol framing: turns raw server stdout into parsed messages
+ *
+ * Frames are `Content-Length: N\r\n\r\n` followed by N bytes of UTF-8 JSON.
+ * All lengths are byte counts, so everything here works on Buffers and only
+ * decodes a body once all of its bytes have arrived.
+ */
+
+const HEADER_DELIMITER = Buffer.from('\r\n\r\n', 'ascii');
+
+export class LspMessageReader {
+  /**
+   * @param {(message: Object) => void} onMessage - Called for each complete message
+   * @param {(error: Error) => void} [onError] - Called for malformed frames
+   */
+  constructor(onMessage, onError = null) {
+    this.onMessage = onMessage;
+    this.onError = onError;
+    this.buffer = Buffer.alloc(0);
+    this.contentLength = null; // Body length of the frame being read, once its headers are parsed
+  }
+
+  /**
+   * Feed a chunk of stdout data. Chunks may hold partial frames,
+   * several frames, or split a multi-byte character.
+   */
+  push(chunk) {
+    const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8');
+    this.buffer = this.buffer.length === 0 ? data : Buffer.concat([this.buffer, data]);
+
+    while (this.readFrame()) {
+      // Keep reading until the buffer holds no complete frame
+    }
+  }
+
+  /**
+   * Try to consume one frame from the buffer
+   * @returns {boolean} true if a frame (or a malformed header) was consumed
+   */
+  readFrame() {
+    if (this.contentLength === null) {
+      const headerEnd = this.buffer.indexOf(HEADER_DELIMITER);
+      if (headerEnd === -1) return false;
+
+      const headerText = this.buffer.subarray(0, headerEnd).toString('ascii');
+      this.buffer = this.buffer.subarray(headerEnd + HEADER_DELIMITER.length);
+
+      const contentLength = parseContentLength(headerText);
+      if (contentLength === null) {
+        this.reportError(new Error(`Invalid LSP headers: ${JSON.stringify(headerText)}`));
+        return true;
+      }
+      this.contentLength = contentLength;
+    }
+
+    if (this.buffer.length < this.contentLength) return false;
+
+    const body = this.buffer.subarray(0, this.contentLength);
+    this.buffer = this.buffer.subarray(this.contentLength);
+    this.contentLength = null;
+
+    let message;
+    try {
+      message = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      this.reportError(new Error(`Failed to parse LSP message: ${error.message}`));
+      return true;
+    }
+
+    this.onMessage(message);
+    return true;
+  }
+
+  reportError(error) {
+    if (this.onError) {
+      this.onError(error);
+    } else {
+      console.error('[LSP]', error.message);
+    }
+  }
+
+  /**
+   * Drop any buffered partial frame
+   */
+  reset() {
+    this.buffer = Buffer.alloc(0);
+    this.contentLength = null;
+  }
+}
+
+/**
+ * Parse the Content-Length out of a header block
+ * Header names are case-insensitive; other headers (Content-Type) are ignored
+ * @returns {number|null}
+ */
+export function parseContentLength(headerText) {
+  for (const line of headerText.split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const name = line.substring(0, separator).trim().toLowerCase();
+    if (name !== 'content-length') continue;
+
+    const value = line.substring(separator + 1).trim();
+    if (!/^\d+$/.test(value)) return null;
+    return parseInt(value, 10);
+  }
+  return null;
+}
+
+/**
+ * Encode a JSON-RPC message as a framed packet
+ * Content-Length is the UTF-8 byte length of the body, not its string length
+ * @returns {Buffer}
+ */
+export function encodeMessage(message) {
+  const body = Buffer.from(JSON.stringify(message), 'utf8');
+  const header = Buffer.from(`Content-Length: ${body.length}\r\n\r\n`, 'ascii');
+  return Buffer.concat([header, body]);
+}
@@ -1,155 +1,213 @@
 /**
  * LSP Server Manager - Runs in Electron main process
  * Spawns and manages LSP server child processes
+ *
+ * Servers for SSH workspaces run on the remote host through an exec channel.
+ * The renderer addresses remote documents as ssh://user@host:port/path, which
+ * is rewritten to file:///path on the way to the server and back again on the
+ * way out.
  */
 
 import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
 import { BrowserWindow } from 'electron';
+import { LspMessageReader, encodeMessage } from './lsp-message-reader.mjs';
 
 export class LspServerManager {
   constructor() {
-    this.servers = new Map(); // languageId -> { process, config }
+    this.servers = new Map(); // serverId (config name @ workspace root) -> { process, config, uriPrefix }
   }
 
   /**
-   * Start an LSP server for a language
+   * Start an LSP server
+   * The renderer runs one server per workspace root, with cwd set to that root
    */
-  startServer(languageId, serverConfig) {
-    if (this.servers.has(languageId)) {
-      console.log(`[LSP] Server for ${languageId} already running`);
+  async startServer(serverId, serverConfig) {
+    if (this.servers.has(serverId)) {
+      console.log(`[LSP] Server ${serverId} already running`);
       return { success: true, message: 'Server already running' };
     }
 
-    console.log(`[LSP] Starting server for ${languageId}`, serverConfig);
+    console.log(`[LSP] Starting server ${serverId}`, serverConfig);
 
     try {
-      const { command, args, cwd } = serverConfig;
-      
-      const serverProcess = spawn(command, args || [], {
-        cwd: cwd || process.cwd(),
-        stdio: ['pipe', 'pipe', 'pipe'],
-        shell: true
-      });
-
-      // Buffer for incomplete JSON-RPC messages
-      let messageBuffer = '';
+      const { command, args, cwd, env } = serverConfig;
+      const serverEnv = { ...process.env, ...env };
+      const executable = await findExecutable(command, serverEnv, cwd) || command;
+      if (this.servers.has(serverId)) {
+        return { success: true, message: 'Server already running' };
+      }
 
-      // Handle stdout from LSP server
-      serverProcess.stdout.on('data', (data) => {
-        messageBuffer += data.toString();
-        
-        // Try to parse complete messages
-        const messages = this.extractMessages(messageBuffer);
-        
-        messages.forEach(message => {
-          this.sendToRenderer(languageId, message);
+      // npm installs servers on Windows as .cmd shims, which only run through cmd.exe
+      const serverProcess = process.platform === 'win32' && /\.(cmd|bat)$/i.test(executable)
+        ? spawn(process.env.ComSpec || 'cmd.exe', ['/d', '/s', '/c', `"${[executable, ...(args || [])].map(cmdQuote).join(' ')}"`], {
+          cwd: cwd || process.cwd(),
+          env: serverEnv,
+          stdio: ['pipe', 'pipe', 'pipe'],
+          windowsVerbatimArguments: true
+        })
+        : spawn(executable, args || [], {
+          cwd: cwd || process.cwd(),
+          env: serverEnv,
+          stdio: ['pipe', 'pipe', 'pipe']
         });
 
-        // Keep the incomplete part in buffer
-        const lastNewline = messageBuffer.lastIndexOf('\n');
-        if (lastNewline !== -1) {
-          messageBuffer = messageBuffer.substring(lastNewline + 1);
-        }
+      // Frame stdout into JSON-RPC messages (handles split and batched chunks)
+      const reader = new LspMessageReader(
+        (message) => this.sendToRenderer(serverId, message),
+        (error) => console.error(`[LSP ${serverId}] ${error.message}`)
+      );
+
+      serverProcess.stdout.on('data', (data) => {
+        reader.push(data);
       });
 
+      // Server logs go to the renderer's Output panel
       serverProcess.stderr.on('data', (data) => {
-        console.error(`[LSP ${languageId}] Error:`, data.toString());
+        console.error(`[LSP ${serverId}] Error:`, data.toString());
+        this.sendEvent('lsp:stderr', { serverId, data: data.toString() });
       });
 
       serverProcess.on('error', (error) => {
-        console.error(`[LSP ${languageId}] Process error:`, error);
-        this.servers.delete(languageId);
+        console.error(`[LSP ${serverId}] Process error:`, error);
+        this.handleExit(serverId, serverProcess, null, null);
       });
 
-      serverProcess.on('exit', (code) => {
-        console.log(`[LSP ${languageId}] Process exited with code ${code}`);
-        this.servers.delete(languageId);
+      serverProcess.on('exit', (code, signal) => {
+        console.log(`[LSP ${serverId}] Process exited with code ${code}`);
+        this.handleExit(serverId, serverProcess, code, signal);
       });
 
-      this.servers.set(languageId, {
+      this.servers.set(serverId, {
         process: serverProcess,
         config: serverConfig
       });
 
       return { success: true, message: 'Server started' };
     } catch (error) {
-      console.error(`[LSP] Failed to start server for ${languageId}:`, error);
+      console.error(`[LSP] Failed to start server ${serverId}:`, error);
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Extract complete JSON-RPC messages from buffer
+   * Start an LSP server on a remote host over an existing SSH client
+   * The exec channel pipes stdio like a local child process; it is wrapped in
+   * the same { stdin, kill } shape so sendMessage and stopServer don't care.
+   * @param {Object} remote - { client: ssh2 Client, uriPrefix: 'ssh://user@host:port' }
    */
-  extractMessages(buffer) {
-    const messages = [];
-    const lines = buffer.split('\n');
-    
-    let i = 0;
-    while (i < lines.length) {
-      const line = lines[i].trim();
-      
-      // Look for Content-Length header
-      if (line.startsWith('Content-Length:')) {
-        const length = parseInt(line.split(':')[1].trim());
-        
-        // Skip blank line after headers
-        i++;
-        while (i < lines.length && lines[i].trim() === '') {
-          i++;
+  startRemoteServer(serverId, serverConfig, remote) {
+    if (this.servers.has(serverId)) {
+      console.log(`[LSP] Server ${serverId} already running`);
+      return Promise.resolve({ success: true, message: 'Server already running' });
+    }
+
+    console.log(`[LSP] Starting remote server ${serverId}`, serverConfig);
+
+    const { command, args, cwd, env } = serverConfig;
+    const envPrefix = Object.entries(env || {})
+      .map(([key, value]) => `${key}=${shellQuote(String(value))}`)
+      .join(' ');
+    const commandLine = [
+      cwd ? `cd ${shellQuote(cwd)} &&` : '',
+      envPrefix ? `env ${envPrefix}` : '',
+      command,
+      ...(args || []).map(shellQuote)
+    ].filter(Boolean).join(' ');
+
+    return new Promise((resolve) => {
+      remote.client.exec(commandLine, (err, stream) => {
+        if (err) {
+          console.error(`[LSP] Failed to start remote server ${serverId}:`, err);
+          resolve({ success: false, error: err.message });
+          return;
         }
-        
-        // Get the message content
-        if (i < lines.length) {
-          const content = lines[i];
-          if (content.length >= length) {
-            try {
-              const message = JSON.parse(content.substring(0, length));
-              messages.push(message);
-            } catch (e) {
-              console.error('[LSP] Failed to parse message:', e);
-            }
+
+        const serverProcess = {
+          stdin: stream,
+          kill: () => {
+            stream.signal?.('TERM');
+            stream.close();
           }
-        }
-      }
-      i++;
-    }
-    
-    return messages;
+        };
+
+        const reader = new LspMessageReader(
+          (message) => this.sendToRenderer(serverId, translateUris(message, 'file://', remote.uriPrefix)),
+          (error) => console.error(`[LSP ${serverId}] ${error.message}`)
+        );
+
+        stream.on('data', (data) => {
+          reader.push(data);
+        });
+
+        stream.stderr.on('data', (data) => {
+          console.error(`[LSP ${serverId}] Error:`, data.toString());
+          this.sendEvent('lsp:stderr', { serverId, data: data.toString() });
+        });
+
+        stream.on('close', (code, signal) => {
+          console.log(`[LSP ${serverId}] Remote process exited with code ${code}`);
+          this.handleExit(serverId, serverProcess, code ?? null, signal ?? null);
+        });
+
+        this.servers.set(serverId, {
+          process: serverProcess,
+          config: serverConfig,
+          uriPrefix: remote.uriPrefix
+        });
+
+        resolve({ success: true, message: 'Server started' });
+      });
+    });
+  }
+
+  /**
+   * Forget a process that exited and tell the renderer unless it was stopped on purpose
+   * stopServer removes the entry before killing, so a process still registered crashed
+   */
+  handleExit(serverId, serverProcess, code, signal) {
+    // A restarted server reuses the ID, so only forget this process
+    if (this.servers.get(serverId)?.process !== serverProcess) return;
+
+    this.servers.delete(serverId);
+    this.sendEvent('lsp:exit', { serverId, code, signal });
   }
 
   /**
    * Send message to renderer process
    */
-  sendToRenderer(languageId, message) {
+  sendToRenderer(serverId, message) {
+    this.sendEvent('lsp:message', {
+      serverId,
+      message
+    });
+  }
+
+  sendEvent(channel, data) {
     const window = BrowserWindow.getAllWindows()[0];
-    if (window) {
-      window.webContents.send('lsp:message', {
-        languageId,
-        message
-      });
+    if (window && !window.isDestroyed()) {
+      window.webContents.send(channel, data);
     }
   }
 
   /**
    * Send message to LSP server
    */
-  sendMessage(languageId, message) {
-    const server = this.servers.get(languageId);
+  sendMessage(serverId, message) {
+    const server = this.servers.get(serverId);
     if (!server) {
-      console.error(`[LSP] No server running for ${languageId}`);
+      console.error(`[LSP] Server not running: ${serverId}`);
       return { success: false, error: 'Server not running' };
     }
 
     try {
-      const content = JSON.stringify(message);
-      const header = `Content-Length: ${content.length}\r\n\r\n`;
-      const packet = header + content;
-      
-      server.process.stdin.write(packet);
+      const outgoing = server.uriPrefix ? translateUris(message, server.uriPrefix, 'file://') : message;
+      server.process.stdin.write(encodeMessage(outgoing));
       return { success: true };
     } catch (error) {
-      console.error(`[LSP ${languageId}] Failed to send message:`, error);
+      console.error(`[LSP ${serverId}] Failed to send message:`, error);
       return { success: false, error: error.message };
     }
   }
@@ -157,11 +215,11 @@ export class LspServerManager {
   /**
    * Stop an LSP server
    */
-  stopServer(languageId) {
-    const server = this.servers.get(languageId);
+  stopServer(serverId) {
+    const server = this.servers.get(serverId);
     if (server) {
       server.process.kill();
-      this.servers.delete(languageId);
+      this.servers.delete(serverId);
       return { success: true };
     }
     return { success: false, error: 'Server not found' };
@@ -171,13 +229,100 @@ export class LspServerManager {
    * Stop all LSP servers
    */
   stopAll() {
-    this.servers.forEach((server, languageId) => {
-      console.log(`[LSP] Stopping server for ${languageId}`);
+    this.servers.forEach((server, serverId) => {
+      console.log(`[LSP] Stopping server ${serverId}`);
       server.process.kill();
     });
     this.servers.clear();
   }
 }
 
+/**
+ * Resolve a command to an executable file the way the shell would: a path is
+ * taken as it is (relative to cwd), a bare name is looked up on PATH, with the
+ * PATHEXT extensions on Windows
+ * @returns {Promise<string|null>} the executable's path, or null if there is none
+ */
+export async function findExecutable(command, env = process.env, cwd = process.cwd()) {
+  const isWindows = process.platform === 'win32';
+  const extensions = isWindows
+    ? ['', ...(env.PATHEXT || '.EXE;.CMD;.BAT').split(';').filter(Boolean)]
+    : [''];
+  const searchPath = env.PATH ?? env.Path ?? '';
+
+  const candidates = command.includes(path.sep) || command.includes('/')
+    ? extensions.map(ext => path.resolve(cwd || process.cwd(), command + ext))
+    : searchPath.split(path.delimiter).filter(Boolean).flatMap(dir =>
+      extensions.map(ext => path.join(dir, command + ext))
+    );
+
+  for (const candidate of candidates) {
+    try {
+      // Windows has no execute bit; a file with a PATHEXT extension runs
+      if (isWindows) {
+        if ((await fs.stat(candidate)).isFile() && path.extname(candidate)) return candidate;
+      } else {
+        await fs.access(candidate, fsSync.constants.X_OK);
+        return candidate;
+      }
+    } catch {
+      // Not executable here
+    }
+  }
+  return null;
+}
+
+/**
+ * Quote an argument for a cmd.exe command line, escaping its special characters
+ */
+function cmdQuote(value) {
+  const quoted = `"${String(value).replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, '$1$1')}"`;
+  return quoted.replace(/[()%!^"<>&|]/g, '^$&');
+}
+
+/**
+ * Quote a string for a POSIX shell
+ */
+function shellQuote(value) {
+  return /^[\w@%+=:,./-]+$/.test(value) ? value : `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+// Message fields holding a document or folder URI (workspaceFolders[].uri and
+// Location.uri included); every other string is content and stays as it is
+const URI_FIELDS = new Set(['uri', 'targetUri', 'rootUri', 'scopeUri', 'oldUri', 'newUri']);
+
+/**
+ * Rewrite the URI prefix of the URI fields of a message, and of the keys of
+ * WorkspaceEdit.changes, which are URIs
+ */
+function translateUris(value, fromPrefix, toPrefix) {
+  const translate = (uri) => {
+    if (typeof uri !== 'string') return uri;
+    const rest = uri.substring(fromPrefix.length);
+    return uri.startsWith(fromPrefix) && rest.startsWith('/') ? toPrefix + rest : uri;
+  };
+
+  if (Array.isArray(value)) {
+    return value.map(item => translateUris(item, fromPrefix, toPrefix));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (URI_FIELDS.has(key)) {
+        result[key] = translate(item);
+      } else if (key === 'changes' && item && typeof item === 'object' && !Array.isArray(item)) {
+        result[key] = Object.fromEntries(Object.entries(item).map(([uri, edits]) => [
+          translate(uri),
+          translateUris(edits, fromPrefix, toPrefix)
+        ]));
+      } else {
+        result[key] = translateUris(item, fromPrefix, toPrefix);
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
 // Export singleton instance
 export const lspServerManager = new LspServerManager();
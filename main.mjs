@@ -7,7 +7,24 @@ import Store from 'electron-store';
 import os from 'os';
 import pty from 'node-pty';
 import { simpleGit } from 'simple-git';
-import { lspServerManager } from './lsp-server-manager.mjs';
+import { lspServerManager, findExecutable } from './lsp-server-manager.mjs';
+import { ChatService, CHAT_PROVIDERS } from './chat-service.mjs';
+import { mindIndex } from './mind-index.mjs';
+import { timelineStore } from './timeline-storage.mjs';
+import { buildPartialPatch, discardFiles, toGitPath } from './git-patch.mjs';
+import {
+  NOTE_FORMATS,
+  listMindTree,
+  resolveMindPath,
+  findNote,
+  readNote,
+  writeNote,
+  deleteNote,
+  getMindFormat,
+  setMindFormat,
+  exportMarkdown,
+  importMarkdown
+} from './mind-storage.mjs';
 import { Client } from 'ssh2';
 import crypto from 'crypto';
 import SSHConnectionManager from './src/services/SSHConnectionManager.js';
@@ -31,6 +48,14 @@ const sshConnectionManager = new SSHConnectionManager();
 const sshTerminals = new Map(); // terminalId -> { stream, connectionId }
 const sshTempCredentials = new Map(); // workspaceId -> credentials
 
+// Agent chat streams its replies to the first window
+const chatService = new ChatService((channel, data) => {
+  const window = BrowserWindow.getAllWindows()[0];
+  if (window && !window.isDestroyed()) {
+    window.webContents.send(channel, data);
+  }
+});
+
 // Encryption for stored credentials
 // IMPORTANT: This key is generated at runtime and changes each app restart
 // This means credentials are only valid for the current session
@@ -200,6 +225,25 @@ ipcMain.handle('dialog:openFolder', async () => {
   return null;
 });
 
+// Ask where to save a generated file (exports) and write its bytes there
+ipcMain.handle('dialog:saveFile', async (event, { defaultPath, filters, data }) => {
+  try {
+    const result = await dialog.showSaveDialog({
+      defaultPath: defaultPath ? path.join(app.getPath('documents'), defaultPath) : undefined,
+      filters: filters || [],
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false, cancelled: true };
+    }
+
+    await fs.writeFile(result.filePath, Buffer.from(data));
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    console.error('Error saving file:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('store:getRecentProjects', () => {
   return store.get('recentProjects', []);
 });
@@ -307,6 +351,9 @@ const MAX_FILE_SIZE = 5 * 1024 * 1024;
 
 ipcMain.handle('fs:readFile', async (event, filePath) => {
   try {
+    // A missing file is reported as not_found whatever its extension
+    const stats = await fs.stat(filePath);
+
     // Get file extension
     const ext = path.extname(filePath).toLowerCase();
     
@@ -319,7 +366,6 @@ ipcMain.handle('fs:readFile', async (event, filePath) => {
     }
     
     // Check file size
-    const stats = await fs.stat(filePath);
     if (stats.size > MAX_FILE_SIZE) {
       return {
         error: 'too_large',
@@ -331,6 +377,9 @@ ipcMain.handle('fs:readFile', async (event, filePath) => {
     const content = await fs.readFile(filePath, 'utf-8');
     return { content };
   } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { error: 'not_found', message: `File not found: ${filePath}` };
+    }
     console.error('Error reading file:', error);
     return {
       error: 'read_error',
@@ -359,6 +408,7 @@ ipcMain.handle('fs:readFileBinary', async (event, filePath) => {
 // Write file
 ipcMain.handle('fs:writeFile', async (event, filePath, content) => {
   try {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
     await fs.writeFile(filePath, content, 'utf-8');
     return { success: true };
   } catch (error) {
@@ -413,44 +463,16 @@ ipcMain.handle('file:upload', async (event, { sourcePath, destinationPath }) =>
   }
 });
 
-// Timeline/History management (stored in .swarm/history/)
-// Save a snapshot of a file
-ipcMain.handle('timeline:saveSnapshot', async (event, { workspacePath, filePath, content, source = 'user' }) => {
+// Timeline/History management (stored in .swarm/history/, see timeline-storage.mjs)
+// Save a snapshot of a file; session and previousContent (null for a new file)
+// let agent runs be grouped and rolled back as one change set
+ipcMain.handle('timeline:saveSnapshot', async (event, { workspacePath, filePath, content, source = 'user', session, previousContent }) => {
   try {
-    const historyDir = path.join(workspacePath, '.swarm', 'history');
-    await fs.mkdir(historyDir, { recursive: true });
-    
-    // Create a hash of the file path for the folder name
-    const fileHash = crypto.createHash('md5').update(filePath).digest('hex').substring(0, 12);
-    const fileHistoryDir = path.join(historyDir, fileHash);
-    await fs.mkdir(fileHistoryDir, { recursive: true });
-    
-    // Save metadata file if it doesn't exist
-    const metaPath = path.join(fileHistoryDir, 'meta.json');
-    try {
-      await fs.access(metaPath);
-    } catch {
-      await fs.writeFile(metaPath, JSON.stringify({ filePath }), 'utf-8');
-    }
-    
-    // Create snapshot with timestamp
-    const timestamp = Date.now();
-    const snapshotName = `${timestamp}-${source}.snapshot`;
-    const snapshotPath = path.join(fileHistoryDir, snapshotName);
-    
-    await fs.writeFile(snapshotPath, content, 'utf-8');
-    
-    // Keep only last 100 snapshots per file
-    const entries = await fs.readdir(fileHistoryDir);
-    const snapshots = entries.filter(e => e.endsWith('.snapshot')).sort();
-    if (snapshots.length > 100) {
-      const toDelete = snapshots.slice(0, snapshots.length - 100);
-      for (const snap of toDelete) {
-        await fs.unlink(path.join(fileHistoryDir, snap));
-      }
-    }
-    
-    return { success: true, timestamp };
+    const { id, timestamp, deduplicated } = await timelineStore.saveSnapshot(workspacePath, filePath, content, source, {
+      session,
+      previousContent
+    });
+    return { success: true, id, timestamp, deduplicated };
   } catch (error) {
     console.error('Error saving timeline snapshot:', error);
     return { success: false, error: error.message };
@@ -460,31 +482,7 @@ ipcMain.handle('timeline:saveSnapshot', async (event, { workspacePath, filePath,
 // Get timeline entries for a file
 ipcMain.handle('timeline:getEntries', async (event, { workspacePath, filePath }) => {
   try {
-    const historyDir = path.join(workspacePath, '.swarm', 'history');
-    const fileHash = crypto.createHash('md5').update(filePath).digest('hex').substring(0, 12);
-    const fileHistoryDir = path.join(historyDir, fileHash);
-    
-    try {
-      await fs.access(fileHistoryDir);
-    } catch {
-      return { success: true, entries: [] };
-    }
-    
-    const files = await fs.readdir(fileHistoryDir);
-    const snapshots = files.filter(f => f.endsWith('.snapshot'));
-    
-    const entries = snapshots.map(snap => {
-      const parts = snap.replace('.snapshot', '').split('-');
-      const timestamp = parseInt(parts[0]);
-      const source = parts.slice(1).join('-') || 'unknown';
-      return {
-        id: snap,
-        timestamp,
-        source,
-        date: new Date(timestamp).toISOString(),
-      };
-    }).sort((a, b) => b.timestamp - a.timestamp);
-    
+    const entries = await timelineStore.getEntries(workspacePath, filePath);
     return { success: true, entries };
   } catch (error) {
     console.error('Error getting timeline entries:', error);
@@ -492,14 +490,10 @@ ipcMain.handle('timeline:getEntries', async (event, { workspacePath, filePath })
   }
 });
 
-// Get snapshot content
-ipcMain.handle('timeline:getSnapshot', async (event, { workspacePath, filePath, snapshotId }) => {
+// Get snapshot content, or with `before` the file's content before the snapshot
+ipcMain.handle('timeline:getSnapshot', async (event, { workspacePath, filePath, snapshotId, before = false }) => {
   try {
-    const historyDir = path.join(workspacePath, '.swarm', 'history');
-    const fileHash = crypto.createHash('md5').update(filePath).digest('hex').substring(0, 12);
-    const snapshotPath = path.join(historyDir, fileHash, snapshotId);
-    
-    const content = await fs.readFile(snapshotPath, 'utf-8');
+    const content = await timelineStore.getSnapshot(workspacePath, filePath, snapshotId, { before });
     return { success: true, content };
   } catch (error) {
     console.error('Error getting snapshot:', error);
@@ -510,11 +504,7 @@ ipcMain.handle('timeline:getSnapshot', async (event, { workspacePath, filePath,
 // Restore a snapshot (copy content back to original file)
 ipcMain.handle('timeline:restoreSnapshot', async (event, { workspacePath, filePath, snapshotId }) => {
   try {
-    const historyDir = path.join(workspacePath, '.swarm', 'history');
-    const fileHash = crypto.createHash('md5').update(filePath).digest('hex').substring(0, 12);
-    const snapshotPath = path.join(historyDir, fileHash, snapshotId);
-    
-    const content = await fs.readFile(snapshotPath, 'utf-8');
+    const content = await timelineStore.getSnapshot(workspacePath, filePath, snapshotId);
     await fs.writeFile(filePath, content, 'utf-8');
     
     return { success: true };
@@ -524,6 +514,60 @@ ipcMain.handle('timeline:restoreSnapshot', async (event, { workspacePath, filePa
   }
 });
 
+// Change sets across all files of the workspace, newest first
+ipcMain.handle('timeline:getWorkspaceTimeline', async (event, { workspacePath }) => {
+  try {
+    const groups = await timelineStore.getWorkspaceTimeline(workspacePath);
+    return { success: true, groups };
+  } catch (error) {
+    console.error('Error getting workspace timeline:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Put all files of a change set back to their content from before it
+ipcMain.handle('timeline:rollbackGroup', async (event, { workspacePath, groupId }) => {
+  try {
+    const { session, files } = await timelineStore.rollbackGroup(workspacePath, groupId);
+    return { success: true, session, files };
+  } catch (error) {
+    console.error('Error rolling back change set:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Apply the retention policy and remove snapshot contents no entry uses
+ipcMain.handle('timeline:gc', async (event, { workspacePath }) => {
+  try {
+    const result = await timelineStore.gc(workspacePath);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error cleaning up timeline:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Retention policy: { maxEntries, maxAgeDays, maxBytes }, 0 turns a limit off
+ipcMain.handle('timeline:getRetention', async (event, { workspacePath }) => {
+  try {
+    const retention = await timelineStore.getRetention(workspacePath);
+    return { success: true, retention };
+  } catch (error) {
+    console.error('Error reading timeline retention:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('timeline:setRetention', async (event, { workspacePath, retention }) => {
+  try {
+    const saved = await timelineStore.setRetention(workspacePath, retention);
+    return { success: true, retention: saved };
+  } catch (error) {
+    console.error('Error saving timeline retention:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Watch file for external changes (agent edits)
 const fileWatchers = new Map();
 
@@ -574,23 +618,12 @@ ipcMain.handle('timeline:unwatchFile', async (event, { workspacePath, filePath }
   }
 });
 
-// Mind file management (stored in .swarm/mind/)
+// Mind file management (stored in .swarm/mind/, notes may be nested in folders)
+// Notes are exchanged as HTML; mind-storage converts for workspaces storing Markdown
 ipcMain.handle('mind:list', async (event, workspacePath) => {
   try {
-    const mindDir = path.join(workspacePath, '.swarm', 'mind');
-    
-    // Create directory if it doesn't exist
-    await fs.mkdir(mindDir, { recursive: true });
-    
-    const entries = await fs.readdir(mindDir, { withFileTypes: true });
-    const mindFiles = entries
-      .filter(entry => entry.isFile() && entry.name.endsWith('.html'))
-      .map(entry => ({
-        name: entry.name.replace('.html', ''),
-        path: path.join(mindDir, entry.name),
-      }));
-    
-    return { success: true, files: mindFiles };
+    const { files, folders } = await listMindTree(workspacePath);
+    return { success: true, files, folders };
   } catch (error) {
     console.error('Error listing mind files:', error);
     return { success: false, error: error.message };
@@ -599,8 +632,7 @@ ipcMain.handle('mind:list', async (event, workspacePath) => {
 
 ipcMain.handle('mind:read', async (event, { workspacePath, name }) => {
   try {
-    const mindPath = path.join(workspacePath, '.swarm', 'mind', `${name}.html`);
-    const content = await fs.readFile(mindPath, 'utf-8');
+    const content = await readNote(workspacePath, name);
     return { success: true, content };
   } catch (error) {
     console.error('Error reading mind file:', error);
@@ -610,11 +642,8 @@ ipcMain.handle('mind:read', async (event, { workspacePath, name }) => {
 
 ipcMain.handle('mind:write', async (event, { workspacePath, name, content }) => {
   try {
-    const mindDir = path.join(workspacePath, '.swarm', 'mind');
-    await fs.mkdir(mindDir, { recursive: true });
-    
-    const mindPath = path.join(mindDir, `${name}.html`);
-    await fs.writeFile(mindPath, content, 'utf-8');
+    await writeNote(workspacePath, name, content);
+    await mindIndex.updateNote(workspacePath, name, content);
     return { success: true };
   } catch (error) {
     console.error('Error writing mind file:', error);
@@ -624,8 +653,8 @@ ipcMain.handle('mind:write', async (event, { workspacePath, name, content }) =>
 
 ipcMain.handle('mind:delete', async (event, { workspacePath, name }) => {
   try {
-    const mindPath = path.join(workspacePath, '.swarm', 'mind', `${name}.html`);
-    await fs.unlink(mindPath);
+    await deleteNote(workspacePath, name);
+    await mindIndex.removeNote(workspacePath, name);
     return { success: true };
   } catch (error) {
     console.error('Error deleting mind file:', error);
@@ -633,6 +662,197 @@ ipcMain.handle('mind:delete', async (event, { workspacePath, name }) => {
   }
 });
 
+ipcMain.handle('mind:createFolder', async (event, { workspacePath, name }) => {
+  try {
+    await fs.mkdir(resolveMindPath(workspacePath, name, ''), { recursive: true });
+    return { success: true };
+  } catch (error) {
+    console.error('Error creating mind folder:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Rename or move a note or a folder; links to the moved notes are rewritten
+ipcMain.handle('mind:rename', async (event, { workspacePath, from, to }) => {
+  try {
+    const note = await findNote(workspacePath, from);
+    const isNote = !!note;
+    const sourcePath = isNote ? note.path : resolveMindPath(workspacePath, from, '');
+    const targetPath = isNote ? resolveMindPath(workspacePath, to, NOTE_FORMATS[note.format]) : resolveMindPath(workspacePath, to, '');
+
+    if (!fsSync.existsSync(sourcePath)) {
+      return { success: false, error: `${from} not found` };
+    }
+    if (fsSync.existsSync(targetPath) || (isNote && await findNote(workspacePath, to))) {
+      return { success: false, error: `${to} already exists` };
+    }
+    if (!isNote && targetPath.startsWith(sourcePath + path.sep)) {
+      return { success: false, error: 'Cannot move a folder into itself' };
+    }
+
+    // Notes the move renames, so links to them can follow
+    const { files } = await listMindTree(workspacePath);
+    const moves = isNote
+      ? [{ from, to }]
+      : files
+        .filter(file => file.name.startsWith(`${from}/`))
+        .map(file => ({ from: file.name, to: `${to}${file.name.slice(from.length)}` }));
+
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.rename(sourcePath, targetPath);
+    await mindIndex.renameNotes(workspacePath, moves);
+    const updated = await mindIndex.rewriteLinks(workspacePath, moves);
+
+    return { success: true, moves, updated };
+  } catch (error) {
+    console.error('Error renaming mind item:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('mind:backlinks', async (event, { workspacePath, name }) => {
+  try {
+    const backlinks = await mindIndex.getBacklinks(workspacePath, name);
+    return { success: true, backlinks };
+  } catch (error) {
+    console.error('Error reading mind backlinks:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('mind:getFormat', async (event, workspacePath) => {
+  try {
+    return { success: true, format: await getMindFormat(workspacePath) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Switching the format converts the stored notes
+ipcMain.handle('mind:setFormat', async (event, { workspacePath, format }) => {
+  try {
+    const converted = await setMindFormat(workspacePath, format);
+    mindIndex.forget(workspacePath);
+    return { success: true, format, converted };
+  } catch (error) {
+    console.error('Error changing mind note format:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('mind:exportMarkdown', async (event, { workspacePath }) => {
+  try {
+    const result = await dialog.showOpenDialog({
+      title: 'Export notes as Markdown',
+      buttonLabel: 'Export',
+      properties: ['openDirectory', 'createDirectory']
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, cancelled: true };
+    }
+
+    const count = await exportMarkdown(workspacePath, result.filePaths[0]);
+    return { success: true, count, directory: result.filePaths[0] };
+  } catch (error) {
+    console.error('Error exporting mind notes:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('mind:importMarkdown', async (event, { workspacePath }) => {
+  try {
+    const result = await dialog.showOpenDialog({
+      title: 'Import Markdown folder',
+      buttonLabel: 'Import',
+      properties: ['openDirectory']
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, cancelled: true };
+    }
+
+    const { imported, skipped } = await importMarkdown(workspacePath, result.filePaths[0]);
+    mindIndex.forget(workspacePath);
+    return { success: true, imported, skipped };
+  } catch (error) {
+    console.error('Error importing markdown notes:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('mind:search', async (event, { workspacePath, query, limit }) => {
+  try {
+    const results = await mindIndex.search(workspacePath, query, limit);
+    return { success: true, results };
+  } catch (error) {
+    console.error('Error searching mind notes:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Whiteboards (stored in .swarm/whiteboards/<id>.json as { id, name, updatedAt, canvas })
+function getWhiteboardPath(workspacePath, id) {
+  if (!/^[\w-]+$/.test(id || '')) {
+    throw new Error(`Invalid whiteboard id: ${id}`);
+  }
+  return path.join(workspacePath, '.swarm', 'whiteboards', `${id}.json`);
+}
+
+ipcMain.handle('whiteboard:list', async (event, workspacePath) => {
+  try {
+    const dir = path.join(workspacePath, '.swarm', 'whiteboards');
+    await fs.mkdir(dir, { recursive: true });
+    const boards = [];
+    for (const file of (await fs.readdir(dir)).filter(name => name.endsWith('.json'))) {
+      try {
+        const board = JSON.parse(await fs.readFile(path.join(dir, file), 'utf-8'));
+        boards.push({ id: path.basename(file, '.json'), name: board.name, updatedAt: board.updatedAt });
+      } catch (error) {
+        console.warn('Skipping unreadable whiteboard:', file, error.message);
+      }
+    }
+    boards.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    return { success: true, boards };
+  } catch (error) {
+    console.error('Error listing whiteboards:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('whiteboard:read', async (event, { workspacePath, id }) => {
+  try {
+    const board = JSON.parse(await fs.readFile(getWhiteboardPath(workspacePath, id), 'utf-8'));
+    return { success: true, board };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { success: true, board: null };
+    }
+    console.error('Error reading whiteboard:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('whiteboard:write', async (event, { workspacePath, id, board }) => {
+  try {
+    const boardPath = getWhiteboardPath(workspacePath, id);
+    await fs.mkdir(path.dirname(boardPath), { recursive: true });
+    await fs.writeFile(boardPath, JSON.stringify({ ...board, id, updatedAt: Date.now() }), 'utf-8');
+    return { success: true };
+  } catch (error) {
+    console.error('Error writing whiteboard:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('whiteboard:delete', async (event, { workspacePath, id }) => {
+  try {
+    await fs.rm(getWhiteboardPath(workspacePath, id), { force: true });
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting whiteboard:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Terminal management
 const terminals = new Map();
 
@@ -1280,6 +1500,27 @@ ipcMain.handle('browser:stop', (event, { browserId }) => {
   }
 });
 
+// Get the visible text of the loaded page
+ipcMain.handle('browser:getPageText', async (event, { browserId }) => {
+  try {
+    const view = browsers.get(browserId);
+    if (!view) {
+      return { success: false, error: 'Browser not found' };
+    }
+
+    const text = await view.webContents.executeJavaScript('document.body ? document.body.innerText : ""');
+    return {
+      success: true,
+      url: view.webContents.getURL(),
+      title: view.webContents.getTitle(),
+      text
+    };
+  } catch (error) {
+    console.error('Error reading browser page text:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Focus browser (bring WebContentsView to front and focus it)
 ipcMain.handle('browser:focus', (event, { browserId }) => {
   try {
@@ -1464,6 +1705,7 @@ app.whenReady().then(() => {
 app.on('window-all-closed', function () {
   // Clean up LSP servers
   lspServerManager.stopAll();
+  chatService.cancelAll();
   
   // Clean up browsers
   for (const [browserId, view] of browsers.entries()) {
@@ -1519,7 +1761,7 @@ ipcMain.handle('git:status', async (event, { cwd }) => {
     // Skip if SSH workspace
     if (isSSHWorkspace(cwd)) {
       process.stdout.write(`[GIT] Skipping git:status for SSH workspace: ${cwd}\n`);
-      return { files: [], staged: [], modified: [], not_added: [], deleted: [], renamed: [] };
+      return { files: [], staged: [], modified: [], not_added: [], deleted: [], renamed: [], conflicted: [] };
     }
     
     const git = simpleGit(cwd);
@@ -1568,6 +1810,125 @@ ipcMain.handle('git:log', async (event, { cwd, maxCount = 50 }) => {
   }
 });
 
+// Decorations of a commit from %D with --decorate=full, e.g.
+// "HEAD -> refs/heads/main, refs/remotes/origin/main, tag: refs/tags/v1.0"
+function parseDecorations(decorations) {
+  const refs = [];
+  for (const part of decorations.split(', ').filter(Boolean)) {
+    const [head, name] = part.startsWith('HEAD -> ') ? [true, part.slice(8)] : [false, part.replace(/^tag: /, '')];
+    if (name === 'HEAD') {
+      refs.push({ name: 'HEAD', type: 'head' });
+    } else if (name.startsWith('refs/tags/')) {
+      refs.push({ name: name.slice(10), type: 'tag' });
+    } else if (name.startsWith('refs/remotes/')) {
+      refs.push({ name: name.slice(13), type: 'remote' });
+    } else if (name.startsWith('refs/heads/')) {
+      refs.push({ name: name.slice(11), type: 'branch', head });
+    }
+  }
+  return refs;
+}
+
+// One page of the history of all branches, newest first, for the history graph.
+// author and message match case-insensitive text, path limits it to commits
+// touching a file or directory (parents are then the nearest such commits)
+ipcMain.handle('git:history', async (event, { cwd, skip = 0, limit = 100, author = '', message = '', path: filePath = '' }) => {
+  try {
+    if (isSSHWorkspace(cwd)) {
+      return { success: true, commits: [], hasMore: false };
+    }
+
+    const git = simpleGit(cwd);
+    // A repository without commits has no history to walk
+    const head = (await git.raw(['rev-parse', '--verify', '--quiet', 'HEAD'])).trim();
+    const branches = (await git.raw(['for-each-ref', '--count=1', 'refs/heads', 'refs/remotes', 'refs/tags'])).trim();
+    if (!head && !branches) {
+      return { success: true, commits: [], hasMore: false };
+    }
+
+    // Stashes are commits too, but don't belong in the graph
+    const args = [
+      'log', '--exclude=refs/stash', '--all', '--date-order', '--parents', '--decorate=full', '-z',
+      '--format=%H%x1f%P%x1f%an%x1f%ae%x1f%aI%x1f%D%x1f%s',
+      `--skip=${skip}`, `--max-count=${limit + 1}`
+    ];
+    if (author || message) {
+      args.push('--regexp-ignore-case', '--fixed-strings');
+    }
+    if (author) args.push(`--author=${author}`);
+    if (message) args.push(`--grep=${message}`);
+    args.push('--');
+    if (filePath) args.push(toGitPath(cwd, filePath));
+
+    const commits = (await git.raw(args)).split('\0').filter(Boolean).map((record) => {
+      const [hash, parents, authorName, authorEmail, date, decorations, subject] = record.split('\x1f');
+      return {
+        hash,
+        parents: parents ? parents.split(' ') : [],
+        author: authorName,
+        email: authorEmail,
+        date,
+        refs: parseDecorations(decorations),
+        subject
+      };
+    });
+    return { success: true, commits: commits.slice(0, limit), hasMore: commits.length > limit };
+  } catch (error) {
+    console.error('Git history error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Metadata of a commit and the files it changed against its first parent
+ipcMain.handle('git:commitDetails', async (event, { cwd, hash }) => {
+  try {
+    const git = simpleGit(cwd);
+    const [info, body] = (await git.raw([
+      'show', '-s', '--decorate=full',
+      '--format=%H%x1f%P%x1f%an%x1f%ae%x1f%aI%x1f%cn%x1f%ce%x1f%cI%x1f%D%x00%B',
+      hash
+    ])).split('\0');
+    const [fullHash, parents, author, email, date, committer, committerEmail, committerDate, decorations] = info.split('\x1f');
+    const parentList = parents ? parents.split(' ') : [];
+
+    // name-status output: status, then one path (two for renames and copies)
+    const diffArgs = parentList.length > 0
+      ? ['diff-tree', '-r', '-z', '-M', '--name-status', parentList[0], fullHash]
+      : ['diff-tree', '-r', '-z', '-M', '--name-status', '--no-commit-id', '--root', fullHash];
+    const fields = (await git.raw(diffArgs)).split('\0').filter(Boolean);
+    const files = [];
+    for (let i = 0; i < fields.length;) {
+      const status = fields[i++];
+      if (/^[RC]/.test(status)) {
+        files.push({ status: status[0], from: fields[i], path: fields[i + 1] });
+        i += 2;
+      } else {
+        files.push({ status, path: fields[i++] });
+      }
+    }
+
+    return {
+      success: true,
+      commit: {
+        hash: fullHash,
+        parents: parentList,
+        author,
+        email,
+        date,
+        committer,
+        committerEmail,
+        committerDate,
+        refs: parseDecorations(decorations),
+        message: (body || '').trim()
+      },
+      files
+    };
+  } catch (error) {
+    console.error('Git commit details error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('git:add', async (event, { cwd, files }) => {
   try {
     const git = simpleGit(cwd);
@@ -1605,17 +1966,190 @@ ipcMain.handle('git:commit', async (event, { cwd, message }) => {
   }
 });
 
-ipcMain.handle('git:checkout', async (event, { cwd, branch }) => {
+// Merge, rebase or cherry-pick stopped half way in a repository, if any
+async function getGitOperation(git, cwd) {
+  const checks = [['rebase-merge', 'rebase'], ['rebase-apply', 'rebase'], ['MERGE_HEAD', 'merge'], ['CHERRY_PICK_HEAD', 'cherry-pick']];
+  for (const [name, operation] of checks) {
+    const gitPath = (await git.raw(['rev-parse', '--git-path', name])).trim();
+    if (fsSync.existsSync(path.resolve(cwd, gitPath))) return operation;
+  }
+  return null;
+}
+
+// Files with unresolved conflicts
+async function getUnmergedPaths(git) {
+  const unmerged = await git.raw(['diff', '--name-only', '--diff-filter=U', '-z']);
+  return [...new Set(unmerged.split('\0').filter(Boolean))];
+}
+
+// Operation in progress and the files it left with conflicts
+async function getRepoState(git, cwd) {
+  const [operation, conflicts] = await Promise.all([getGitOperation(git, cwd), getUnmergedPaths(git)]);
+  return { operation, conflicts };
+}
+
+// Branch names and revisions go to git as arguments, so they may not look like options
+function assertRefArgument(...refs) {
+  for (const ref of refs) {
+    if (typeof ref !== 'string' || !ref.trim() || ref.startsWith('-')) {
+      throw new Error(`Invalid branch or revision: ${ref}`);
+    }
+  }
+}
+
+// Run a branch operation. Progress goes to the window as git:progress events and
+// the result says how it ended: { success, operation, message } when done, or
+// success: false with the error, the files left with conflicts and the operation
+// waiting to be continued or aborted (inProgress)
+async function runGitOperation(event, cwd, operation, run) {
+  const report = (progress) => {
+    if (!event.sender.isDestroyed()) {
+      event.sender.send('git:progress', { cwd, operation, ...progress });
+    }
+  };
+  const git = simpleGit({
+    baseDir: cwd,
+    progress: ({ stage, progress }) => report({ stage, progress })
+  }).env({ ...process.env, GIT_EDITOR: 'true' });
+
+  report({ stage: 'started', progress: 0 });
+  // Conflicts left from before aren't this operation's doing
+  const conflictsBefore = new Set(await getUnmergedPaths(git).catch(() => []));
+  let output = '';
+  let failure = null;
   try {
-    const git = simpleGit(cwd);
-    await git.checkout(branch);
-    return { success: true };
+    output = await run(git);
   } catch (error) {
-    console.error('Git checkout error:', error);
-    throw error;
+    failure = error;
+  }
+
+  try {
+    // Conflicts don't always make git fail (a conflicted merge exits quietly)
+    const state = await getRepoState(git, cwd);
+    const newConflicts = state.conflicts.filter(file => !conflictsBefore.has(file));
+    if (failure || newConflicts.length > 0) {
+      const error = failure?.message || `${operation} stopped with conflicts`;
+      if (newConflicts.length === 0) {
+        console.error(`Git ${operation} error:`, failure);
+      }
+      return { success: false, operation, error, conflicts: state.conflicts, inProgress: state.operation };
+    }
+    return { success: true, operation, message: typeof output === 'string' ? output.trim() : '', inProgress: state.operation };
+  } catch (error) {
+    console.error(`Git ${operation} error:`, failure || error);
+    return { success: false, operation, error: (failure || error).message, conflicts: [], inProgress: null };
+  } finally {
+    report({ stage: 'done', progress: 100 });
+  }
+}
+
+ipcMain.handle('git:checkout', (event, { cwd, branch }) => runGitOperation(event, cwd, 'checkout', (git) => {
+  assertRefArgument(branch);
+  return git.raw(['checkout', branch]);
+}));
+
+ipcMain.handle('git:repoState', async (event, { cwd }) => {
+  try {
+    if (isSSHWorkspace(cwd)) {
+      return { success: true, operation: null, conflicts: [] };
+    }
+    return { success: true, ...(await getRepoState(simpleGit(cwd), cwd)) };
+  } catch (error) {
+    console.error('Git repo state error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Create a branch at startPoint (any commit-ish), switching to it unless checkout is false
+ipcMain.handle('git:createBranch', (event, { cwd, name, startPoint = 'HEAD', checkout = true }) => runGitOperation(event, cwd, 'create branch', (git) => {
+  assertRefArgument(name, startPoint);
+  return git.raw(checkout ? ['checkout', '-b', name, startPoint] : ['branch', name, startPoint]);
+}));
+
+// Delete a branch; one that isn't merged needs force and comes back with notMerged
+ipcMain.handle('git:deleteBranch', async (event, { cwd, name, force = false }) => {
+  const result = await runGitOperation(event, cwd, 'delete branch', (git) => {
+    assertRefArgument(name);
+    return git.raw(['branch', force ? '-D' : '-d', name]);
+  });
+  return result.success ? result : { ...result, notMerged: /not fully merged/.test(result.error) };
+});
+
+ipcMain.handle('git:renameBranch', (event, { cwd, oldName, newName }) => runGitOperation(event, cwd, 'rename branch', (git) => {
+  assertRefArgument(oldName, newName);
+  return git.raw(['branch', '-m', oldName, newName]);
+}));
+
+ipcMain.handle('git:merge', (event, { cwd, ref }) => runGitOperation(event, cwd, 'merge', (git) => {
+  assertRefArgument(ref);
+  return git.raw(['merge', '--no-edit', ref]);
+}));
+
+ipcMain.handle('git:rebase', (event, { cwd, onto }) => runGitOperation(event, cwd, 'rebase', (git) => {
+  assertRefArgument(onto);
+  return git.raw(['rebase', onto]);
+}));
+
+ipcMain.handle('git:cherryPick', (event, { cwd, commits }) => runGitOperation(event, cwd, 'cherry-pick', (git) => {
+  assertRefArgument(...commits);
+  return git.raw(['cherry-pick', ...commits]);
+}));
+
+// Continue, skip or abort the merge, rebase or cherry-pick in progress
+const OPERATION_COMMANDS = {
+  merge: { continue: ['commit', '--no-edit'], abort: ['merge', '--abort'] },
+  rebase: { continue: ['rebase', '--continue'], skip: ['rebase', '--skip'], abort: ['rebase', '--abort'] },
+  'cherry-pick': { continue: ['cherry-pick', '--continue'], skip: ['cherry-pick', '--skip'], abort: ['cherry-pick', '--abort'] }
+};
+
+for (const action of ['continue', 'skip', 'abort']) {
+  ipcMain.handle(`git:${action}`, (event, { cwd }) => runGitOperation(event, cwd, action, async (git) => {
+    const operation = await getGitOperation(git, cwd);
+    if (!operation) {
+      throw new Error('No merge, rebase or cherry-pick is in progress');
+    }
+    const command = OPERATION_COMMANDS[operation][action];
+    if (!command) {
+      throw new Error(`Can't ${action} a ${operation}`);
+    }
+    return git.raw(command);
+  }));
+}
+
+ipcMain.handle('git:stashList', async (event, { cwd }) => {
+  try {
+    if (isSSHWorkspace(cwd)) {
+      return { success: true, stashes: [] };
+    }
+    const output = await simpleGit(cwd).raw(['stash', 'list', '-z', '--format=%gd%x1f%H%x1f%aI%x1f%gs']);
+    const stashes = output.split('\0').filter(Boolean).map((record) => {
+      const [ref, hash, date, message] = record.split('\x1f');
+      return { index: Number(/\{(\d+)\}/.exec(ref)[1]), ref, hash, date, message };
+    });
+    return { success: true, stashes };
+  } catch (error) {
+    console.error('Git stash list error:', error);
+    return { success: false, error: error.message };
   }
 });
 
+ipcMain.handle('git:stashPush', (event, { cwd, message = '', includeUntracked = false }) => runGitOperation(event, cwd, 'stash', (git) => {
+  const args = ['stash', 'push'];
+  if (includeUntracked) args.push('--include-untracked');
+  if (message) args.push('-m', message);
+  return git.raw(args);
+}));
+
+// Apply a stash, removing it from the list when pop is set (git keeps it if
+// applying it conflicts)
+ipcMain.handle('git:stashApply', (event, { cwd, index, pop = false }) => runGitOperation(event, cwd, pop ? 'stash pop' : 'stash apply', (git) => (
+  git.raw(['stash', pop ? 'pop' : 'apply', `stash@{${Number(index)}}`])
+)));
+
+ipcMain.handle('git:stashDrop', (event, { cwd, index }) => runGitOperation(event, cwd, 'stash drop', (git) => (
+  git.raw(['stash', 'drop', `stash@{${Number(index)}}`])
+)));
+
 ipcMain.handle('git:diff', async (event, { cwd, file }) => {
   try {
     const git = simpleGit(cwd);
@@ -1627,6 +2161,156 @@ ipcMain.handle('git:diff', async (event, { cwd, file }) => {
   }
 });
 
+// Blob of a file in a commit-ish or an index stage, null if the file isn't there
+async function getGitBlob(git, ref, file) {
+  const stage = /^:([0-3])?$/.exec(ref);
+  if (stage) {
+    const entries = (await git.raw(['ls-files', '--stage', '-z', '--', file]))
+      .split('\0')
+      .filter(Boolean)
+      .map((line) => {
+        const [info, name] = line.split('\t');
+        const [mode, hash, number] = info.split(' ');
+        return { name, hash, stage: number, type: mode === '160000' ? 'commit' : 'blob' };
+      })
+      .filter(entry => entry.name === file);
+    if (stage[1]) {
+      return entries.find(entry => entry.stage === stage[1]) || null;
+    }
+    // A conflicted file has no stage 0; its index side is ours (stage 2)
+    return entries.find(entry => entry.stage === '0') || entries.find(entry => entry.stage === '2') || null;
+  }
+
+  const commit = (await git.raw(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`])).trim();
+  if (!commit) {
+    // HEAD of a repository without commits
+    if (ref === 'HEAD') return null;
+    throw new Error(`Unknown revision: ${ref}`);
+  }
+  const line = (await git.raw(['ls-tree', '-z', commit, '--', file])).split('\0')[0];
+  if (!line) return null;
+  const [mode, type, hash] = line.split('\t')[0].split(' ');
+  return type === 'tree' ? null : { hash, type: mode === '160000' ? 'commit' : type };
+}
+
+// Git treats content with a NUL byte in its first 8000 bytes as binary
+function isBinaryContent(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+// Bytes of a file at a revision (see git:show for refs), or null if it isn't there
+async function readGitFile(git, cwd, ref, file) {
+  if (ref === 'WORKTREE') {
+    try {
+      return await fs.readFile(path.join(cwd, file));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+  const blob = await getGitBlob(git, ref, file);
+  if (blob?.type === 'commit') {
+    return Buffer.from(`Subproject commit ${blob.hash}\n`);
+  }
+  return blob ? git.binaryCatFile(['-p', blob.hash]) : null;
+}
+
+// Content of a file at a revision. ref is a commit-ish ('HEAD', a hash, a branch),
+// ':' for the index (':1'-':3' for the stages of a conflict) or 'WORKTREE' for the
+// file on disk. A file that isn't there comes back with exists: false, so added
+// and deleted files can be diffed; binary and oversized files come without content
+ipcMain.handle('git:show', async (event, { cwd, file, ref = 'HEAD' }) => {
+  try {
+    const buffer = await readGitFile(simpleGit(cwd), cwd, ref, toGitPath(cwd, file));
+    if (!buffer) {
+      return { success: true, exists: false, binary: false, tooLarge: false, size: 0, content: '' };
+    }
+    const binary = isBinaryContent(buffer);
+    const tooLarge = buffer.length > MAX_FILE_SIZE;
+    return {
+      success: true,
+      exists: true,
+      binary,
+      tooLarge,
+      size: buffer.length,
+      content: binary || tooLarge ? '' : buffer.toString('utf-8')
+    };
+  } catch (error) {
+    console.error('Git show error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Which versions of a file a partial change goes between, and how its patch is applied:
+// staging adds lines of the working tree to the index, unstaging takes lines of the
+// index back to HEAD and discarding takes lines of the working tree back to the index
+const SELECTION_ACTIONS = {
+  stage: { base: ':', target: 'WORKTREE', reverse: false, flags: ['--cached'] },
+  unstage: { base: 'HEAD', target: ':', reverse: true, flags: ['--cached', '-R'] },
+  discard: { base: ':', target: 'WORKTREE', reverse: true, flags: ['-R'] }
+};
+
+// Stage, unstage or discard some changed lines of a file. originalLines and
+// modifiedLines are 1-based line numbers in the two sides of its diff (index and
+// working tree, or HEAD and index when unstaging); originalPath is the HEAD path
+// of a staged rename
+ipcMain.handle('git:applySelection', async (event, { cwd, file, action, originalLines = [], modifiedLines = [], originalPath = null }) => {
+  const mode = SELECTION_ACTIONS[action];
+  if (!mode) {
+    return { success: false, error: `Unknown action: ${action}` };
+  }
+
+  let patchFile = null;
+  try {
+    const git = simpleGit(cwd);
+    const relative = toGitPath(cwd, file);
+    const basePath = action === 'unstage' && originalPath ? toGitPath(cwd, originalPath) : relative;
+    const [base, target] = await Promise.all([
+      readGitFile(git, cwd, mode.base, basePath),
+      readGitFile(git, cwd, mode.target, relative)
+    ]);
+    if (!base || !target) {
+      return { success: false, error: 'Only changes to files on both sides can be applied by line' };
+    }
+    if (isBinaryContent(base) || isBinaryContent(target)) {
+      return { success: false, error: 'Binary files can only be changed as a whole' };
+    }
+
+    // Patches name files from the top of the repository
+    const prefix = (await git.raw(['rev-parse', '--show-prefix'])).trim();
+    const patch = buildPartialPatch(prefix + relative, base.toString('utf-8'), target.toString('utf-8'), {
+      originalLines,
+      modifiedLines
+    }, { reverse: mode.reverse });
+    if (!patch) {
+      return { success: true, applied: false };
+    }
+
+    patchFile = path.join(os.tmpdir(), `swarm-${crypto.randomUUID()}.patch`);
+    await fs.writeFile(patchFile, patch, 'utf-8');
+    await git.raw(['apply', ...mode.flags, '--whitespace=nowarn', patchFile]);
+    return { success: true, applied: true };
+  } catch (error) {
+    console.error('Git apply selection error:', error);
+    return { success: false, error: error.message };
+  } finally {
+    if (patchFile) {
+      await fs.rm(patchFile, { force: true });
+    }
+  }
+});
+
+// Throw away the working tree changes of whole files (see discardFiles)
+ipcMain.handle('git:discard', async (event, { cwd, files }) => {
+  try {
+    await discardFiles(simpleGit(cwd), cwd, files);
+    return { success: true };
+  } catch (error) {
+    console.error('Git discard error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('git:pull', async (event, { cwd }) => {
   try {
     const git = simpleGit(cwd);
@@ -1650,16 +2334,289 @@ ipcMain.handle('git:push', async (event, { cwd }) => {
 });
 
 // LSP IPC Handlers
-ipcMain.handle('lsp:startServer', (event, { languageId, serverConfig }) => {
-  return lspServerManager.startServer(languageId, serverConfig);
+ipcMain.handle('lsp:startServer', async (event, { serverId, serverConfig, remote }) => {
+  if (!remote) {
+    return lspServerManager.startServer(serverId, serverConfig);
+  }
+
+  // SSH workspaces run the server on the remote host over the workspace's connection
+  try {
+    const credentials = sshTempCredentials.get(remote.workspaceId) || remote.connection.credentials;
+    const connData = sshConnectionManager.isConnected(remote.connectionId)
+      ? sshConnectionManager.getConnection(remote.connectionId)
+      : await getOrCreateSSHConnection(remote.connectionId, remote.connection, credentials || {});
+
+    return await lspServerManager.startRemoteServer(serverId, serverConfig, {
+      client: connData.client,
+      uriPrefix: remote.uriPrefix,
+    });
+  } catch (error) {
+    console.error(`[LSP] Failed to start remote server ${serverId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('lsp:sendMessage', (event, { serverId, message }) => {
+  return lspServerManager.sendMessage(serverId, message);
+});
+
+ipcMain.handle('lsp:stopServer', (event, { serverId }) => {
+  return lspServerManager.stopServer(serverId);
+});
+
+// Servers of a project's .swarm/lsp.json would run its commands as soon as a
+// file is opened, so until the user trusts the workspace only these fields apply
+const UNTRUSTED_PROJECT_LSP_FIELDS = ['settings', 'initializationOptions'];
+
+function isLspWorkspaceTrusted(workspacePath) {
+  return store.get('lspTrustedWorkspaces', []).includes(path.resolve(workspacePath));
+}
+
+// Project servers without the fields an untrusted workspace may not set, and
+// the names of the servers that had some
+function restrictProjectServers(servers) {
+  const restricted = {};
+  const ignored = [];
+  for (const [name, config] of Object.entries(servers)) {
+    if (!config || typeof config !== 'object') continue;
+    const fields = Object.keys(config);
+    restricted[name] = Object.fromEntries(fields
+      .filter(field => UNTRUSTED_PROJECT_LSP_FIELDS.includes(field))
+      .map(field => [field, config[field]]));
+    if (fields.some(field => !UNTRUSTED_PROJECT_LSP_FIELDS.includes(field))) {
+      ignored.push(name);
+    }
+  }
+  return { servers: restricted, ignored };
+}
+
+// LSP server registry: user level lives in electron-store, project level in .swarm/lsp.json
+ipcMain.handle('lsp:getConfig', async (event, { workspacePath }) => {
+  const user = store.get('lspServers', {});
+  if (!workspacePath) {
+    return { success: true, user, project: {} };
+  }
+
+  const projectTrusted = isLspWorkspaceTrusted(workspacePath);
+  try {
+    const configPath = path.join(workspacePath, '.swarm', 'lsp.json');
+    const project = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+    if (projectTrusted) {
+      return { success: true, user, project, projectTrusted, projectIgnored: [] };
+    }
+    const { servers, ignored } = restrictProjectServers(project);
+    return { success: true, user, project: servers, projectTrusted, projectIgnored: ignored };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { success: true, user, project: {}, projectTrusted, projectIgnored: [] };
+    }
+    console.error('[LSP] Invalid .swarm/lsp.json:', error);
+    return { success: true, user, project: {}, projectTrusted, projectIgnored: [], projectError: error.message };
+  }
+});
+
+ipcMain.handle('lsp:setUserConfig', (event, { servers }) => {
+  store.set('lspServers', servers);
+  return { success: true };
+});
+
+// Let the workspace's .swarm/lsp.json set server commands, arguments and environment
+ipcMain.handle('lsp:setWorkspaceTrust', (event, { workspacePath, trusted }) => {
+  const resolved = path.resolve(workspacePath);
+  const others = store.get('lspTrustedWorkspaces', []).filter(trustedPath => trustedPath !== resolved);
+  store.set('lspTrustedWorkspaces', trusted ? [...others, resolved] : others);
+  return { success: true };
+});
+
+// Nearest directory from the file up to the workspace root that contains a root marker
+ipcMain.handle('lsp:findRoot', async (event, { filePath, workspacePath, rootMarkers, connectionId }) => {
+  if (connectionId) {
+    return findRemoteRoot(connectionId, filePath, workspacePath, rootMarkers);
+  }
+
+  let dir = path.dirname(filePath);
+  const stopAt = workspacePath ? path.resolve(workspacePath) : path.parse(dir).root;
+  // /ws2 is not inside /ws
+  const stopPrefix = stopAt.endsWith(path.sep) ? stopAt : stopAt + path.sep;
+
+  while (dir === stopAt || dir.startsWith(stopPrefix)) {
+    for (const marker of rootMarkers || []) {
+      try {
+        await fs.access(path.join(dir, marker));
+        return { success: true, rootPath: dir };
+      } catch {
+        // Not here, keep looking
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (dir === stopAt || parent === dir) break;
+    dir = parent;
+  }
+
+  return { success: true, rootPath: null };
+});
+
+// Same search over SFTP for SSH workspaces (remote paths are always POSIX)
+async function findRemoteRoot(connectionId, filePath, workspacePath, rootMarkers) {
+  const sftp = sshConnectionManager.getSftpSession(connectionId);
+  if (!sftp) {
+    return { success: false, error: 'SSH connection or SFTP session not found' };
+  }
+
+  const exists = (remotePath) => new Promise((resolve) => {
+    sftp.stat(remotePath, (err) => resolve(!err));
+  });
+
+  let dir = path.posix.dirname(filePath);
+  const stopAt = workspacePath || '/';
+  const stopPrefix = stopAt.endsWith('/') ? stopAt : `${stopAt}/`;
+
+  while (dir === stopAt || dir.startsWith(stopPrefix)) {
+    for (const marker of rootMarkers || []) {
+      if (await exists(path.posix.join(dir, marker))) {
+        return { success: true, rootPath: dir };
+      }
+    }
+
+    const parent = path.posix.dirname(dir);
+    if (dir === stopAt || parent === dir) break;
+    dir = parent;
+  }
+
+  return { success: true, rootPath: null };
+}
+
+// Resolve server commands on PATH so settings can show which servers are installed.
+// Servers of an SSH workspace run on the remote host, so they aren't checked (remote: true)
+ipcMain.handle('lsp:checkCommands', async (event, { commands, workspacePath }) => {
+  if (isSSHWorkspace(workspacePath)) {
+    return { success: true, results: {}, remote: true };
+  }
+
+  const results = {};
+  for (const command of commands) {
+    results[command] = await findExecutable(command);
+  }
+  return { success: true, results };
 });
 
-ipcMain.handle('lsp:sendMessage', (event, { languageId, message }) => {
-  return lspServerManager.sendMessage(languageId, message);
+// Agent chat: provider config lives in electron-store with the API key encrypted,
+// conversation history in .swarm/chat/history.json
+function getChatConfig() {
+  const { apiKey, ...config } = store.get('chatProvider', { type: 'openai', model: '' });
+  return { ...config, apiKey: decrypt(apiKey) };
+}
+
+ipcMain.handle('chat:getConfig', () => {
+  const { apiKey, ...config } = getChatConfig();
+  const providers = Object.entries(CHAT_PROVIDERS).map(([type, provider]) => ({
+    type,
+    label: provider.label,
+    defaultBaseUrl: provider.defaultBaseUrl
+  }));
+  return { success: true, config: { ...config, hasApiKey: !!apiKey }, providers };
+});
+
+// An empty apiKey keeps the saved one; clearApiKey removes it
+ipcMain.handle('chat:setConfig', (event, { config }) => {
+  const { apiKey, clearApiKey, hasApiKey, ...rest } = config;
+  const saved = store.get('chatProvider', {});
+  store.set('chatProvider', {
+    ...rest,
+    apiKey: clearApiKey ? undefined : (apiKey ? encrypt(apiKey) : saved.apiKey)
+  });
+  return { success: true };
+});
+
+// Real path of a file that may not exist yet: its nearest existing parent
+// with symlinks resolved, followed by the missing part
+async function realpathOfPath(filePath) {
+  try {
+    return await fs.realpath(filePath);
+  } catch (error) {
+    const parent = path.dirname(filePath);
+    if (error.code !== 'ENOENT' || parent === filePath) throw error;
+    return path.join(await realpathOfPath(parent), path.basename(filePath));
+  }
+}
+
+// Agent tools may only touch files inside the workspace. The renderer checks the
+// path lexically; this follows symlinks so a link can't lead out of it
+ipcMain.handle('agent:checkPath', async (event, { workspacePath, filePath }) => {
+  try {
+    const root = await fs.realpath(workspacePath);
+    const real = await realpathOfPath(path.resolve(workspacePath, filePath));
+    if (real !== root && !real.startsWith(root + path.sep)) {
+      return { success: false, error: `${filePath} is outside the workspace` };
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
 });
 
-ipcMain.handle('lsp:stopServer', (event, { languageId }) => {
-  return lspServerManager.stopServer(languageId);
+// Text files for the agent's tools. Unlike fs:readFile any extension (or none,
+// like Dockerfile) is read; content git would call binary is refused
+ipcMain.handle('agent:readFile', async (event, filePath) => {
+  try {
+    const stats = await fs.stat(filePath);
+    if (stats.size > MAX_FILE_SIZE) {
+      return {
+        error: 'too_large',
+        message: `File is too large (${(stats.size / 1024 / 1024).toFixed(2)}MB). Maximum size is 5MB.`
+      };
+    }
+
+    const buffer = await fs.readFile(filePath);
+    if (isBinaryContent(buffer)) {
+      return { error: 'binary', message: `${path.basename(filePath)} is a binary file` };
+    }
+    return { content: buffer.toString('utf-8') };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { error: 'not_found', message: `File not found: ${filePath}` };
+    }
+    return { error: 'read_error', message: `Error reading file: ${error.message}` };
+  }
+});
+
+ipcMain.handle('chat:send', (event, { requestId, messages, tools }) => {
+  return chatService.send(requestId, getChatConfig(), messages, tools);
+});
+
+ipcMain.handle('chat:cancel', (event, { requestId }) => {
+  return chatService.cancel(requestId);
+});
+
+ipcMain.handle('chat:loadHistory', async (event, { workspacePath }) => {
+  try {
+    const historyPath = path.join(workspacePath, '.swarm', 'chat', 'history.json');
+    const history = JSON.parse(await fs.readFile(historyPath, 'utf-8'));
+    return { success: true, messages: history.messages || [] };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { success: true, messages: [] };
+    }
+    console.error('Error loading chat history:', error);
+    return { success: false, error: error.message, messages: [] };
+  }
+});
+
+ipcMain.handle('chat:saveHistory', async (event, { workspacePath, messages }) => {
+  try {
+    const chatDir = path.join(workspacePath, '.swarm', 'chat');
+    await fs.mkdir(chatDir, { recursive: true });
+    await fs.writeFile(
+      path.join(chatDir, 'history.json'),
+      JSON.stringify({ messages, updatedAt: Date.now() }, null, 2),
+      'utf-8'
+    );
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving chat history:', error);
+    return { success: false, error: error.message };
+  }
 });
 
 // SSH IPC Handlers
@@ -0,0 +1,343 @@
+/**
+ * Mind Index - Runs in Electron main process
+ * Keeps the [[wiki link]] graph and a full-text inverted index of each
+ * workspace's Mind notes, so backlinks and searches can be answered without
+ * reading every note.
+ *
+ * A link target names a note by its full name ("projects/roadmap"), or by its
+ * last segment when that is unique.
+ */
+
+import fs from 'fs/promises';
+import { listMindTree, findNote, readNoteFile } from './mind-storage.mjs';
+import { markdownToHtml } from './mind-markdown.mjs';
+
+// BM25 ranking parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Terms found in the note name count this many times
+const NAME_WEIGHT = 3;
+// A query word matching only the start of a term scores this fraction
+const PREFIX_WEIGHT = 0.5;
+const SNIPPET_BEFORE = 60;
+const SNIPPET_LENGTH = 200;
+const DEFAULT_SEARCH_LIMIT = 50;
+
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+/**
+ * Link targets of a note's HTML: wiki link nodes and plain [[...]] text
+ */
+export function extractWikiLinks(html) {
+  const targets = new Set();
+  for (const match of html.matchAll(/data-wiki-link="([^"]*)"/g)) {
+    targets.add(decodeEntities(match[1]).trim());
+  }
+  const text = html.replace(/<[^>]*>/g, '');
+  for (const match of text.matchAll(/\[\[([^[\]|]+)(?:\|[^[\]]*)?\]\]/g)) {
+    targets.add(decodeEntities(match[1]).trim());
+  }
+  targets.delete('');
+  return [...targets];
+}
+
+// Does a link target refer to the note with this full name?
+export function linkMatchesNote(target, name) {
+  return target === name || (!target.includes('/') && name.split('/').pop() === target);
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function encodeAttribute(text) {
+  return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Plain text of a note, whitespace collapsed; block ends become spaces so
+ * words of adjacent paragraphs don't run together
+ */
+export function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<\/?(p|div|h[1-6]|li|ul|ol|tr|td|th|br|blockquote|pre|hr)\b[^>]*>/gi, ' ')
+      .replace(/<[^>]*>/g, '')
+  ).replace(/\s+/g, ' ').trim();
+}
+
+export function tokenize(text) {
+  return text.toLowerCase().match(WORD_PATTERN) || [];
+}
+
+// Indexed form of a note: its links, text and term frequencies
+function createEntry(name, html) {
+  const text = htmlToText(html);
+  return { links: extractWikiLinks(html), text, ...countTerms(name, text) };
+}
+
+function countTerms(name, text) {
+  const terms = new Map();
+  const words = tokenize(text);
+  for (const word of words) {
+    terms.set(word, (terms.get(word) || 0) + 1);
+  }
+  for (const word of tokenize(name)) {
+    terms.set(word, (terms.get(word) || 0) + NAME_WEIGHT);
+  }
+  return { terms, length: words.length + NAME_WEIGHT * tokenize(name).length };
+}
+
+/**
+ * Snippet of text around the first matching word, split into plain and
+ * matched segments for the renderer to highlight
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+function buildSnippet(text, words) {
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.map(escapeRegExp).join('|')})[\\p{L}\\p{N}_]*`, 'giu');
+  const first = pattern.exec(text);
+
+  let start = first ? Math.max(0, first.index - SNIPPET_BEFORE) : 0;
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < first.index ? space + 1 : start;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  const window = text.slice(start, end);
+  const segments = [];
+  let position = 0;
+  pattern.lastIndex = 0;
+  for (const match of window.matchAll(pattern)) {
+    if (match.index > position) {
+      segments.push({ text: window.slice(position, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    position = match.index + match[0].length;
+  }
+  if (position < window.length) {
+    segments.push({ text: window.slice(position), match: false });
+  }
+
+  if (start > 0) segments.unshift({ text: '\u2026', match: false });
+  if (end < text.length) segments.push({ text: '\u2026', match: false });
+  return segments;
+}
+
+export class MindIndex {
+  constructor() {
+    // workspacePath -> Promise<{ notes: Map<name, entry>, postings: Map<term, Set<name>> }>
+    this.workspaces = new Map();
+  }
+
+  /**
+   * Index of a workspace, read from disk on first use
+   */
+  getIndex(workspacePath) {
+    if (!this.workspaces.has(workspacePath)) {
+      const loading = this.build(workspacePath).catch((error) => {
+        this.workspaces.delete(workspacePath);
+        throw error;
+      });
+      this.workspaces.set(workspacePath, loading);
+    }
+    return this.workspaces.get(workspacePath);
+  }
+
+  async build(workspacePath) {
+    const { files } = await listMindTree(workspacePath);
+    const index = { notes: new Map(), postings: new Map() };
+    for (const file of files) {
+      try {
+        this.setEntry(index, file.name, createEntry(file.name, await readNoteFile(file)));
+      } catch (error) {
+        console.error(`[MindIndex] Failed to index ${file.name}:`, error.message);
+      }
+    }
+    return index;
+  }
+
+  setEntry(index, name, entry) {
+    this.deleteEntry(index, name);
+    index.notes.set(name, entry);
+    for (const term of entry.terms.keys()) {
+      if (!index.postings.has(term)) {
+        index.postings.set(term, new Set());
+      }
+      index.postings.get(term).add(name);
+    }
+  }
+
+  deleteEntry(index, name) {
+    const entry = index.notes.get(name);
+    if (!entry) return;
+    index.notes.delete(name);
+    for (const term of entry.terms.keys()) {
+      const names = index.postings.get(term);
+      names?.delete(name);
+      if (names?.size === 0) {
+        index.postings.delete(term);
+      }
+    }
+  }
+
+  // Only workspaces whose index was already built need updating
+  async updateNote(workspacePath, name, html) {
+    if (!this.workspaces.has(workspacePath)) return;
+    const index = await this.getIndex(workspacePath);
+    this.setEntry(index, name, createEntry(name, html));
+  }
+
+  async removeNote(workspacePath, name) {
+    if (!this.workspaces.has(workspacePath)) return;
+    const index = await this.getIndex(workspacePath);
+    this.deleteEntry(index, name);
+  }
+
+  /**
+   * Notes linking to a note
+   * @returns {Promise<Array<{ name: string }>>}
+   */
+  async getBacklinks(workspacePath, name) {
+    const { notes } = await this.getIndex(workspacePath);
+    const backlinks = [];
+    for (const [source, entry] of notes) {
+      if (source !== name && entry.links.some(target => linkMatchesNote(target, name))) {
+        backlinks.push({ name: source });
+      }
+    }
+    return backlinks.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Rank notes containing every word of a query (BM25; the last word may be
+   * unfinished, so words also match terms they start)
+   * @returns {Promise<Array<{ name: string, score: number, snippet: Array<{ text: string, match: boolean }> }>>}
+   */
+  async search(workspacePath, query, limit = DEFAULT_SEARCH_LIMIT) {
+    const words = [...new Set(tokenize(query))];
+    if (words.length === 0) return [];
+
+    const { notes, postings } = await this.getIndex(workspacePath);
+    const averageLength = [...notes.values()].reduce((sum, entry) => sum + entry.length, 0) / (notes.size || 1);
+    const scores = new Map();
+
+    for (const [i, word] of words.entries()) {
+      // Terms this word matches, with their weight
+      const matches = [...postings.keys()]
+        .filter(term => term.startsWith(word))
+        .map(term => ({ term, weight: term === word ? 1 : PREFIX_WEIGHT }));
+
+      const wordScores = new Map();
+      for (const { term, weight } of matches) {
+        const names = postings.get(term);
+        const idf = Math.log(1 + (notes.size - names.size + 0.5) / (names.size + 0.5));
+        for (const name of names) {
+          const entry = notes.get(name);
+          const tf = entry.terms.get(term);
+          const score = weight * idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * entry.length / averageLength));
+          wordScores.set(name, (wordScores.get(name) || 0) + score);
+        }
+      }
+
+      // Every word has to match
+      if (i === 0) {
+        wordScores.forEach((score, name) => scores.set(name, score));
+      } else {
+        for (const name of [...scores.keys()]) {
+          if (wordScores.has(name)) {
+            scores.set(name, scores.get(name) + wordScores.get(name));
+          } else {
+            scores.delete(name);
+          }
+        }
+      }
+      if (scores.size === 0) return [];
+    }
+
+    return [...scores]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([name, score]) => ({ name, score, snippet: buildSnippet(notes.get(name).text, words) }));
+  }
+
+  /**
+   * Rewrite links to moved notes in the notes that contain them
+   * @param {Array<{ from: string, to: string }>} moves - note renames the move implies
+   * @returns {Promise<string[]>} names of notes whose links were rewritten
+   */
+  async rewriteLinks(workspacePath, moves) {
+    const index = await this.getIndex(workspacePath);
+    const updated = [];
+
+    for (const [source, entry] of [...index.notes]) {
+      const targets = entry.links;
+      const renames = moves.filter(({ from }) => targets.some(target => linkMatchesNote(target, from)));
+      if (renames.length === 0) continue;
+
+      // Links are rewritten in the stored text, so Markdown notes keep their formatting
+      const file = await findNote(workspacePath, source);
+      if (!file) continue;
+      const encode = file.format === 'markdown' ? text => text : encodeAttribute;
+      let content = await fs.readFile(file.path, 'utf-8');
+      for (const { from, to } of renames) {
+        for (const target of targets.filter(target => linkMatchesNote(target, from))) {
+          // Short links stay short when the note keeps its last segment
+          const replacement = target === from || from.split('/').pop() !== to.split('/').pop() ? to : to.split('/').pop();
+          content = content
+            .replace(new RegExp(`data-wiki-link="${escapeRegExp(encodeAttribute(target))}"`, 'g'), `data-wiki-link="${encodeAttribute(replacement)}"`)
+            .replace(new RegExp(`\\[\\[${escapeRegExp(encode(target))}(\\|[^\\]]*)?\\]\\]`, 'g'), `[[${encode(replacement)}$1]]`);
+        }
+      }
+      await fs.writeFile(file.path, content, 'utf-8');
+      this.setEntry(index, source, createEntry(source, file.format === 'markdown' ? markdownToHtml(content) : content));
+      updated.push(source);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Drop a workspace's index after many notes changed; it is rebuilt on next use
+   */
+  forget(workspacePath) {
+    this.workspaces.delete(workspacePath);
+  }
+
+  /**
+   * Re-key the index after notes were moved on disk
+   */
+  async renameNotes(workspacePath, moves) {
+    if (!this.workspaces.has(workspacePath)) return;
+    const index = await this.getIndex(workspacePath);
+    const moved = moves
+      .filter(({ from }) => index.notes.has(from))
+      .map(({ from, to }) => ({ to, entry: index.notes.get(from) }));
+
+    moves.forEach(({ from }) => this.deleteEntry(index, from));
+    // The name is indexed too, so the terms are counted again
+    for (const { to, entry } of moved) {
+      this.setEntry(index, to, { ...entry, ...countTerms(to, entry.text) });
+    }
+  }
+}
+
+// Export singleton instance
+export const mindIndex = new MindIndex();
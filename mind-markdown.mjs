@@ -0,0 +1,341 @@
+/**
+ * Mind Markdown - Converts Mind notes between the editor's HTML and Markdown
+ * Runs in the Electron main process, which stores notes as .md when a
+ * workspace asks for it, and imports/exports folders of Markdown files.
+ *
+ * Markdown side: GFM tables and task lists, ==highlight==, [[wiki links]].
+ * Formatting Markdown has no syntax for (underline, colors, sub/superscript,
+ * embeds) is kept as inline HTML, which the Markdown parser passes through.
+ */
+
+import { Marked } from 'marked';
+
+const VOID_ELEMENTS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const HEADINGS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+
+const marked = new Marked({
+  gfm: true,
+  extensions: [
+    {
+      name: 'wikiLink',
+      level: 'inline',
+      start: (src) => src.indexOf('[['),
+      tokenizer(src) {
+        const match = /^\[\[([^[\]|]+)(?:\|[^[\]]*)?\]\]/.exec(src);
+        if (match) {
+          return { type: 'wikiLink', raw: match[0], target: match[1].trim() };
+        }
+        return undefined;
+      },
+      renderer: (token) => `<span data-wiki-link="${escapeHtml(token.target)}">[[${escapeHtml(token.target)}]]</span>`
+    },
+    {
+      name: 'highlight',
+      level: 'inline',
+      start: (src) => src.indexOf('=='),
+      tokenizer(src) {
+        const match = /^==(?=\S)([\s\S]*?\S)==/.exec(src);
+        if (match) {
+          return { type: 'highlight', raw: match[0], tokens: this.lexer.inlineTokens(match[1]) };
+        }
+        return undefined;
+      },
+      renderer(token) {
+        return `<mark>${this.parser.parseInline(token.tokens)}</mark>`;
+      }
+    }
+  ],
+  renderer: {
+    // Task lists in the markup the editor's TaskList/TaskItem extensions read
+    list(token) {
+      if (!token.items.some(item => item.task)) {
+        return false;
+      }
+      const items = token.items.map(item => (
+        `<li data-type="taskItem" data-checked="${!!item.checked}"><label><input type="checkbox"${item.checked ? ' checked' : ''}><span></span></label><div>${this.parser.parse(item.tokens)}</div></li>`
+      ));
+      return `<ul data-type="taskList">${items.join('')}</ul>\n`;
+    },
+    checkbox() {
+      return '';
+    }
+  }
+});
+
+/**
+ * Markdown to editor HTML
+ */
+export function markdownToHtml(markdown) {
+  return marked.parse(markdown || '').trim();
+}
+
+/**
+ * Editor HTML to Markdown
+ */
+export function htmlToMarkdown(html) {
+  const markdown = renderBlocks(parseHtml(html || '').children, { inTable: false });
+  return markdown ? `${markdown}\n` : '';
+}
+
+/**
+ * Parse HTML into { tag, attrs, children } / { text } nodes
+ * The editor writes well-formed HTML, so a tag tokenizer is enough; unclosed
+ * tags are closed by their parent's end tag
+ */
+function parseHtml(html) {
+  const root = { tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const pattern = /<!--[\s\S]*?-->|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>|([^<]+|<)/g;
+
+  for (const match of html.matchAll(pattern)) {
+    const [, closing, opening, attributes, text] = match;
+    const parent = stack[stack.length - 1];
+
+    if (text !== undefined) {
+      parent.children.push({ text: decodeEntities(text) });
+    } else if (opening) {
+      const node = { tag: opening.toLowerCase(), attrs: parseAttributes(attributes), children: [] };
+      parent.children.push(node);
+      if (!VOID_ELEMENTS.has(node.tag)) {
+        stack.push(node);
+      }
+    } else if (closing) {
+      const index = stack.map(node => node.tag).lastIndexOf(closing.toLowerCase());
+      if (index > 0) {
+        stack.length = index;
+      }
+    }
+  }
+
+  return root;
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  for (const match of (source || '').matchAll(/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g)) {
+    attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attrs;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Back to HTML, for elements Markdown can't express
+function serializeHtml(node) {
+  if (node.text !== undefined) return escapeHtml(node.text);
+  const attrs = Object.entries(node.attrs).map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`)).join('');
+  if (VOID_ELEMENTS.has(node.tag)) return `<${node.tag}${attrs}>`;
+  return `<${node.tag}${attrs}>${node.children.map(serializeHtml).join('')}</${node.tag}>`;
+}
+
+function openTag(node) {
+  const attrs = Object.entries(node.attrs).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+  return `<${node.tag}${attrs}>`;
+}
+
+function textContent(node) {
+  return node.text !== undefined ? node.text : node.children.map(textContent).join('');
+}
+
+function renderBlocks(nodes, context) {
+  const blocks = [];
+  let inline = [];
+
+  // Loose inline content between blocks becomes a paragraph
+  const flushInline = () => {
+    const text = renderInline(inline, context).trim();
+    if (text) blocks.push({ text: escapeBlockStart(text) });
+    inline = [];
+  };
+
+  for (const node of nodes) {
+    if (node.text !== undefined || !isBlock(node)) {
+      inline.push(node);
+      continue;
+    }
+    flushInline();
+    const text = renderBlock(node, context);
+    if (text) blocks.push({ text, isList: node.tag === 'ul' || node.tag === 'ol' });
+  }
+  flushInline();
+
+  // Nested lists follow their item's text directly, keeping the list tight
+  return blocks
+    .map((block, i) => (i === 0 ? '' : context.inListItem && block.isList ? '\n' : '\n\n') + block.text)
+    .join('');
+}
+
+function isBlock(node) {
+  return ['p', 'div', 'ul', 'ol', 'li', 'blockquote', 'pre', 'hr', 'table', 'iframe', 'figure', 'section', 'article', 'label'].includes(node.tag) ||
+    node.tag in HEADINGS;
+}
+
+function renderBlock(node, context) {
+  if (node.tag in HEADINGS) {
+    return `${'#'.repeat(HEADINGS[node.tag])} ${renderInline(node.children, context).trim()}`;
+  }
+
+  switch (node.tag) {
+  case 'p':
+    return escapeBlockStart(renderInline(node.children, context).trim());
+  case 'ul':
+  case 'ol':
+    return renderList(node, context);
+  case 'blockquote':
+    return renderBlocks(node.children, { ...context, inListItem: false }).split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+  case 'pre': {
+    const code = node.children.find(child => child.tag === 'code');
+    const language = (code?.attrs.class || '').match(/language-(\S+)/)?.[1] || '';
+    const text = textContent(code || node).replace(/\n$/, '');
+    const fence = text.includes('```') ? '~~~' : '```';
+    return `${fence}${language}\n${text}\n${fence}`;
+  }
+  case 'hr':
+    return '---';
+  case 'table':
+    return renderTable(node, context);
+  case 'iframe':
+    return serializeHtml(node);
+  case 'label':
+    return '';
+  default:
+    return renderBlocks(node.children, context);
+  }
+}
+
+function renderList(node, context) {
+  const isTaskList = node.attrs['data-type'] === 'taskList';
+  let number = Number(node.attrs.start) || 1;
+
+  return node.children
+    .filter(child => child.tag === 'li')
+    .map((item) => {
+      let marker = node.tag === 'ol' ? `${number++}.` : '-';
+      if (isTaskList || item.attrs['data-type'] === 'taskItem') {
+        marker += item.attrs['data-checked'] === 'true' ? ' [x]' : ' [ ]';
+      }
+      const content = renderBlocks(item.children.filter(child => child.tag !== 'label'), { ...context, inListItem: true });
+      const indent = ' '.repeat(node.tag === 'ol' ? marker.split(' ')[0].length + 1 : 2);
+      const lines = content.split('\n').map((line, i) => (i === 0 || !line ? line : `${indent}${line}`));
+      return `${marker} ${lines.join('\n')}`.trimEnd();
+    })
+    .join('\n');
+}
+
+function renderTable(node, context) {
+  const rows = [];
+  const collect = (parent) => {
+    for (const child of parent.children || []) {
+      if (child.tag === 'tr') rows.push(child);
+      else if (['thead', 'tbody', 'tfoot'].includes(child.tag)) collect(child);
+    }
+  };
+  collect(node);
+  if (rows.length === 0) return '';
+
+  const cellText = (cell) => renderBlocks(cell.children, { ...context, inTable: true, inListItem: false })
+    .replace(/\n\n/g, '<br>')
+    .replace(/\n/g, ' ')
+    .replace(/\|/g, '\\|');
+  const cells = rows.map(row => row.children.filter(cell => cell.tag === 'td' || cell.tag === 'th').map(cellText));
+  const columns = Math.max(...cells.map(row => row.length));
+  const line = (row) => `| ${Array.from({ length: columns }, (_, i) => row[i] || '').join(' | ')} |`;
+
+  // Markdown tables need a header row; the first row is it
+  return [line(cells[0]), `|${' --- |'.repeat(columns)}`, ...cells.slice(1).map(line)].join('\n');
+}
+
+function renderInline(nodes, context) {
+  return nodes.map(node => renderInlineNode(node, context)).join('');
+}
+
+function renderInlineNode(node, context) {
+  if (node.text !== undefined) {
+    return escapeText(node.text.replace(/\s+/g, ' '));
+  }
+
+  const content = () => renderInline(node.children, context);
+  switch (node.tag) {
+  case 'strong':
+  case 'b':
+    return wrap(content(), '**');
+  case 'em':
+  case 'i':
+    return wrap(content(), '*');
+  case 's':
+  case 'del':
+  case 'strike':
+    return wrap(content(), '~~');
+  case 'code':
+    return renderCode(textContent(node));
+  case 'mark':
+    return node.attrs['data-color'] || node.attrs.style
+      ? `${openTag(node)}${content()}</mark>`
+      : wrap(content(), '==');
+  case 'a': {
+    const title = node.attrs.title ? ` "${node.attrs.title.replace(/"/g, '\\"')}"` : '';
+    return `[${content()}](${escapeUrl(node.attrs.href || '')}${title})`;
+  }
+  case 'img': {
+    const title = node.attrs.title ? ` "${node.attrs.title.replace(/"/g, '\\"')}"` : '';
+    return `![${escapeText(node.attrs.alt || '')}](${escapeUrl(node.attrs.src || '')}${title})`;
+  }
+  case 'br':
+    return context.inTable ? '<br>' : '\\\n';
+  case 'span':
+    if (node.attrs['data-wiki-link'] !== undefined) {
+      return `[[${node.attrs['data-wiki-link']}]]`;
+    }
+    return node.attrs.style ? `${openTag(node)}${content()}</span>` : content();
+  case 'u':
+  case 'sub':
+  case 'sup':
+    return `${openTag(node)}${content()}</${node.tag}>`;
+  case 'input':
+    return '';
+  default:
+    return isBlock(node) ? renderBlocks(node.children, context) : content();
+  }
+}
+
+// Markers can't sit next to the whitespace they enclose
+function wrap(text, marker) {
+  const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+  return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : text;
+}
+
+function renderCode(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+function escapeText(text) {
+  return text.replace(/([\\`*_[\]<>]|==|~~)/g, '\\$1');
+}
+
+function escapeUrl(url) {
+  return /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+}
+
+// Text that would start a heading, list, quote or rule is escaped
+function escapeBlockStart(text) {
+  return text
+    .replace(/^(#{1,6}\s|[-+]\s|---)/, '\\$1')
+    .replace(/^(\d+)([.)]\s)/, '$1\\$2');
+}
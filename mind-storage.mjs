@@ -0,0 +1,230 @@
+/**
+ * Mind Storage - Runs in Electron main process
+ * Reads and writes Mind notes below .swarm/mind. The editor always works in
+ * HTML; a workspace can keep its notes as Markdown files instead, set in
+ * .swarm/mind.json ({ "format": "markdown" }) and converted on read and write.
+ *
+ * Notes are named by their path below .swarm/mind without the extension,
+ * e.g. "projects/roadmap".
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { markdownToHtml, htmlToMarkdown } from './mind-markdown.mjs';
+
+// File extension of each storage format
+export const NOTE_FORMATS = {
+  html: '.html',
+  markdown: '.md'
+};
+const DEFAULT_FORMAT = 'html';
+
+export function getMindDir(workspacePath) {
+  return path.join(workspacePath, '.swarm', 'mind');
+}
+
+/**
+ * Absolute path of a note or folder, refusing names that leave the Mind folder
+ */
+export function resolveMindPath(workspacePath, name, extension = NOTE_FORMATS.html) {
+  const mindDir = getMindDir(workspacePath);
+  const resolved = path.resolve(mindDir, `${name}${extension}`);
+  if (!resolved.startsWith(mindDir + path.sep)) {
+    throw new Error(`Invalid note name: ${name}`);
+  }
+  return resolved;
+}
+
+function getFormatOfFile(fileName) {
+  return Object.keys(NOTE_FORMATS).find(format => fileName.endsWith(NOTE_FORMATS[format])) || null;
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * List notes and folders below the Mind folder, recursively
+ * @returns {Promise<{ files: Array<{ name: string, path: string, format: string }>, folders: string[] }>}
+ */
+export async function listMindTree(workspacePath) {
+  const mindDir = getMindDir(workspacePath);
+  const files = new Map();
+  const folders = [];
+
+  async function walk(dir, prefix) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const format = entry.isFile() ? getFormatOfFile(entry.name) : null;
+      if (entry.isDirectory()) {
+        folders.push(name);
+        await walk(path.join(dir, entry.name), name);
+      } else if (format) {
+        const noteName = name.slice(0, -NOTE_FORMATS[format].length);
+        // A note left in both formats is listed once
+        if (!files.has(noteName)) {
+          files.set(noteName, { name: noteName, path: path.join(dir, entry.name), format });
+        }
+      }
+    }
+  }
+
+  await fs.mkdir(mindDir, { recursive: true });
+  await walk(mindDir, '');
+  return {
+    files: [...files.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    folders: folders.sort()
+  };
+}
+
+/**
+ * Storage format of a workspace's notes: 'html' or 'markdown'
+ */
+export async function getMindFormat(workspacePath) {
+  try {
+    const settings = JSON.parse(await fs.readFile(path.join(workspacePath, '.swarm', 'mind.json'), 'utf-8'));
+    return NOTE_FORMATS[settings.format] ? settings.format : DEFAULT_FORMAT;
+  } catch {
+    return DEFAULT_FORMAT;
+  }
+}
+
+/**
+ * Switch the storage format and convert the existing notes to it
+ * @returns {Promise<number>} number of converted notes
+ */
+export async function setMindFormat(workspacePath, format) {
+  if (!NOTE_FORMATS[format]) {
+    throw new Error(`Unknown note format: ${format}`);
+  }
+
+  const settingsPath = path.join(workspacePath, '.swarm', 'mind.json');
+  let settings = {};
+  try {
+    settings = JSON.parse(await fs.readFile(settingsPath, 'utf-8'));
+  } catch {
+    // No settings yet
+  }
+  await fs.mkdir(path.dirname(settingsPath), { recursive: true });
+  await fs.writeFile(settingsPath, JSON.stringify({ ...settings, format }, null, 2), 'utf-8');
+
+  const { files } = await listMindTree(workspacePath);
+  let converted = 0;
+  for (const file of files.filter(file => file.format !== format)) {
+    await writeNote(workspacePath, file.name, await readNoteFile(file), format);
+    converted++;
+  }
+  return converted;
+}
+
+/**
+ * The file of a note in whichever format it is stored
+ * @returns {Promise<{ path: string, format: string } | null>}
+ */
+export async function findNote(workspacePath, name) {
+  const preferred = await getMindFormat(workspacePath);
+  const formats = [preferred, ...Object.keys(NOTE_FORMATS).filter(format => format !== preferred)];
+  for (const format of formats) {
+    const notePath = resolveMindPath(workspacePath, name, NOTE_FORMATS[format]);
+    if (await exists(notePath)) {
+      return { path: notePath, format };
+    }
+  }
+  return null;
+}
+
+/**
+ * HTML of a stored note file
+ */
+export async function readNoteFile(file) {
+  const content = await fs.readFile(file.path, 'utf-8');
+  return file.format === 'markdown' ? markdownToHtml(content) : content;
+}
+
+export async function readNote(workspacePath, name) {
+  const file = await findNote(workspacePath, name);
+  if (!file) {
+    throw new Error(`Note not found: ${name}`);
+  }
+  return readNoteFile(file);
+}
+
+/**
+ * Save a note's HTML in the workspace's format; a copy left in the other
+ * format is removed so the note is stored once
+ */
+export async function writeNote(workspacePath, name, html, format = null) {
+  const targetFormat = format || await getMindFormat(workspacePath);
+  const notePath = resolveMindPath(workspacePath, name, NOTE_FORMATS[targetFormat]);
+
+  await fs.mkdir(path.dirname(notePath), { recursive: true });
+  await fs.writeFile(notePath, targetFormat === 'markdown' ? htmlToMarkdown(html) : html, 'utf-8');
+
+  for (const [otherFormat, extension] of Object.entries(NOTE_FORMATS)) {
+    if (otherFormat !== targetFormat) {
+      await fs.rm(resolveMindPath(workspacePath, name, extension), { force: true });
+    }
+  }
+}
+
+export async function deleteNote(workspacePath, name) {
+  const file = await findNote(workspacePath, name);
+  if (!file) {
+    throw new Error(`Note not found: ${name}`);
+  }
+  await fs.unlink(file.path);
+}
+
+/**
+ * Write every note as a Markdown file below a folder, keeping the note folders
+ * @returns {Promise<number>} number of exported notes
+ */
+export async function exportMarkdown(workspacePath, targetDir) {
+  const { files } = await listMindTree(workspacePath);
+  for (const file of files) {
+    const targetPath = path.join(targetDir, ...file.name.split('/')) + NOTE_FORMATS.markdown;
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.writeFile(targetPath, htmlToMarkdown(await readNoteFile(file)), 'utf-8');
+  }
+  return files.length;
+}
+
+/**
+ * Add the Markdown files of a folder (recursively) as notes; sub folders
+ * become note folders. Hidden folders are skipped and existing notes are kept.
+ * @returns {Promise<{ imported: string[], skipped: string[] }>}
+ */
+export async function importMarkdown(workspacePath, sourceDir) {
+  const imported = [];
+  const skipped = [];
+
+  async function walk(dir, prefix) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      const entryPath = path.join(dir, entry.name);
+      const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        await walk(entryPath, name);
+      } else if (entry.isFile() && /\.(md|markdown)$/i.test(entry.name)) {
+        const noteName = name.replace(/\.(md|markdown)$/i, '');
+        if (await findNote(workspacePath, noteName)) {
+          skipped.push(noteName);
+          continue;
+        }
+        await writeNote(workspacePath, noteName, markdownToHtml(await fs.readFile(entryPath, 'utf-8')));
+        imported.push(noteName);
+      }
+    }
+  }
+
+  await walk(sourceDir, '');
+  return { imported, skipped };
+}
@@ -2,6 +2,7 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
   openFolder: () => ipcRenderer.invoke('dialog:openFolder'),
+  saveFileDialog: (opts) => ipcRenderer.invoke('dialog:saveFile', opts),
   getRecentProjects: () => ipcRenderer.invoke('store:getRecentProjects'),
   readDirectory: (path) => ipcRenderer.invoke('fs:readDirectory', path),
   readFile: (path) => ipcRenderer.invoke('fs:readFile', path),
@@ -28,6 +29,23 @@ contextBridge.exposeInMainWorld('electronAPI', {
   lspSendMessage: (opts) => ipcRenderer.invoke('lsp:sendMessage', opts),
   lspStopServer: (opts) => ipcRenderer.invoke('lsp:stopServer', opts),
   onLspMessage: (callback) => ipcRenderer.on('lsp:message', (event, data) => callback(data)),
+  onLspExit: (callback) => ipcRenderer.on('lsp:exit', (event, data) => callback(data)),
+  onLspStderr: (callback) => ipcRenderer.on('lsp:stderr', (event, data) => callback(data)),
+  lspGetConfig: (opts) => ipcRenderer.invoke('lsp:getConfig', opts),
+  lspSetUserConfig: (opts) => ipcRenderer.invoke('lsp:setUserConfig', opts),
+  lspSetWorkspaceTrust: (opts) => ipcRenderer.invoke('lsp:setWorkspaceTrust', opts),
+  lspFindRoot: (opts) => ipcRenderer.invoke('lsp:findRoot', opts),
+  lspCheckCommands: (opts) => ipcRenderer.invoke('lsp:checkCommands', opts),
+  // Agent chat
+  chatGetConfig: () => ipcRenderer.invoke('chat:getConfig'),
+  chatSetConfig: (opts) => ipcRenderer.invoke('chat:setConfig', opts),
+  chatSend: (opts) => ipcRenderer.invoke('chat:send', opts),
+  chatCancel: (opts) => ipcRenderer.invoke('chat:cancel', opts),
+  onChatDelta: (callback) => ipcRenderer.on('chat:delta', (event, data) => callback(data)),
+  chatLoadHistory: (opts) => ipcRenderer.invoke('chat:loadHistory', opts),
+  chatSaveHistory: (opts) => ipcRenderer.invoke('chat:saveHistory', opts),
+  agentCheckPath: (opts) => ipcRenderer.invoke('agent:checkPath', opts),
+  agentReadFile: (path) => ipcRenderer.invoke('agent:readFile', path),
   // Browser APIs
   browserCreate: (opts) => ipcRenderer.invoke('browser:create', opts),
   browserSetBounds: (opts) => ipcRenderer.invoke('browser:setBounds', opts),
@@ -37,6 +55,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   browserGoForward: (opts) => ipcRenderer.invoke('browser:goForward', opts),
   browserReload: (opts) => ipcRenderer.invoke('browser:reload', opts),
   browserStop: (opts) => ipcRenderer.invoke('browser:stop', opts),
+  browserGetPageText: (opts) => ipcRenderer.invoke('browser:getPageText', opts),
   browserDestroy: (opts) => ipcRenderer.invoke('browser:destroy', opts),
   browserFocus: (opts) => ipcRenderer.invoke('browser:focus', opts),
   onBrowserNavigation: (callback) => ipcRenderer.on('browser:navigation', (event, data) => callback(data)),
@@ -57,6 +76,19 @@ contextBridge.exposeInMainWorld('electronAPI', {
   mindRead: (opts) => ipcRenderer.invoke('mind:read', opts),
   mindWrite: (opts) => ipcRenderer.invoke('mind:write', opts),
   mindDelete: (opts) => ipcRenderer.invoke('mind:delete', opts),
+  mindCreateFolder: (opts) => ipcRenderer.invoke('mind:createFolder', opts),
+  mindRename: (opts) => ipcRenderer.invoke('mind:rename', opts),
+  mindBacklinks: (opts) => ipcRenderer.invoke('mind:backlinks', opts),
+  mindSearch: (opts) => ipcRenderer.invoke('mind:search', opts),
+  mindGetFormat: (workspacePath) => ipcRenderer.invoke('mind:getFormat', workspacePath),
+  mindSetFormat: (opts) => ipcRenderer.invoke('mind:setFormat', opts),
+  mindExportMarkdown: (opts) => ipcRenderer.invoke('mind:exportMarkdown', opts),
+  mindImportMarkdown: (opts) => ipcRenderer.invoke('mind:importMarkdown', opts),
+  // Whiteboard APIs
+  whiteboardList: (workspacePath) => ipcRenderer.invoke('whiteboard:list', workspacePath),
+  whiteboardRead: (opts) => ipcRenderer.invoke('whiteboard:read', opts),
+  whiteboardWrite: (opts) => ipcRenderer.invoke('whiteboard:write', opts),
+  whiteboardDelete: (opts) => ipcRenderer.invoke('whiteboard:delete', opts),
   // Git APIs
   gitStatus: (opts) => ipcRenderer.invoke('git:status', opts),
   gitBranches: (opts) => ipcRenderer.invoke('git:branches', opts),
@@ -65,7 +97,27 @@ contextBridge.exposeInMainWorld('electronAPI', {
   gitReset: (opts) => ipcRenderer.invoke('git:reset', opts),
   gitCommit: (opts) => ipcRenderer.invoke('git:commit', opts),
   gitCheckout: (opts) => ipcRenderer.invoke('git:checkout', opts),
+  gitRepoState: (opts) => ipcRenderer.invoke('git:repoState', opts),
+  gitCreateBranch: (opts) => ipcRenderer.invoke('git:createBranch', opts),
+  gitDeleteBranch: (opts) => ipcRenderer.invoke('git:deleteBranch', opts),
+  gitRenameBranch: (opts) => ipcRenderer.invoke('git:renameBranch', opts),
+  gitMerge: (opts) => ipcRenderer.invoke('git:merge', opts),
+  gitRebase: (opts) => ipcRenderer.invoke('git:rebase', opts),
+  gitCherryPick: (opts) => ipcRenderer.invoke('git:cherryPick', opts),
+  gitContinue: (opts) => ipcRenderer.invoke('git:continue', opts),
+  gitSkip: (opts) => ipcRenderer.invoke('git:skip', opts),
+  gitAbort: (opts) => ipcRenderer.invoke('git:abort', opts),
+  gitStashList: (opts) => ipcRenderer.invoke('git:stashList', opts),
+  gitStashPush: (opts) => ipcRenderer.invoke('git:stashPush', opts),
+  gitStashApply: (opts) => ipcRenderer.invoke('git:stashApply', opts),
+  gitStashDrop: (opts) => ipcRenderer.invoke('git:stashDrop', opts),
+  onGitProgress: (callback) => ipcRenderer.on('git:progress', (event, data) => callback(data)),
   gitDiff: (opts) => ipcRenderer.invoke('git:diff', opts),
+  gitShow: (opts) => ipcRenderer.invoke('git:show', opts),
+  gitHistory: (opts) => ipcRenderer.invoke('git:history', opts),
+  gitCommitDetails: (opts) => ipcRenderer.invoke('git:commitDetails', opts),
+  gitApplySelection: (opts) => ipcRenderer.invoke('git:applySelection', opts),
+  gitDiscard: (opts) => ipcRenderer.invoke('git:discard', opts),
   gitPull: (opts) => ipcRenderer.invoke('git:pull', opts),
   gitPush: (opts) => ipcRenderer.invoke('git:push', opts),
   // SSH APIs
@@ -98,6 +150,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
   timelineRestoreSnapshot: (opts) => ipcRenderer.invoke('timeline:restoreSnapshot', opts),
   timelineWatchFile: (opts) => ipcRenderer.invoke('timeline:watchFile', opts),
   timelineUnwatchFile: (opts) => ipcRenderer.invoke('timeline:unwatchFile', opts),
+  timelineGetWorkspaceTimeline: (opts) => ipcRenderer.invoke('timeline:getWorkspaceTimeline', opts),
+  timelineRollbackGroup: (opts) => ipcRenderer.invoke('timeline:rollbackGroup', opts),
+  timelineGc: (opts) => ipcRenderer.invoke('timeline:gc', opts),
+  timelineGetRetention: (opts) => ipcRenderer.invoke('timeline:getRetention', opts),
+  timelineSetRetention: (opts) => ipcRenderer.invoke('timeline:setRetention', opts),
   onTimelineFileChanged: (callback) => ipcRenderer.on('timeline:fileChanged', (event, data) => callback(data)),
   // Clipboard and file upload APIs
   getClipboardImage: () => ipcRenderer.invoke('clipboard:getImage'),
@@ -0,0 +1,118 @@
+/**
+ * Mock chat provider for trying the agent chat without an API key.
+ * Serves OpenAI-compatible POST /v1/chat/completions and Anthropic-compatible
+ * POST /v1/messages, streaming back an echo of the last user message.
+ * A message like `tool read_file {"path": "README.md"}` makes it call that tool,
+ * and the tool's result is echoed back.
+ *
+ * Usage: node scripts/mock-chat-server.mjs [port]
+ * Then point the chat settings at http://localhost:<port>/v1 with any model.
+ * Tests import createMockChatServer and listen on a port of their own.
+ */
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+const CHUNK_DELAY = 30;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Text of the last message, whether plain or a list of content blocks
+function lastText(messages) {
+  const last = messages[messages.length - 1];
+  if (typeof last?.content === 'string') return last.content;
+  return (last?.content || []).map(part => part.text || part.content || '').join('');
+}
+
+function replyFor(messages) {
+  const last = messages[messages.length - 1];
+  const text = lastText(messages);
+  const isToolResult = last?.role === 'tool' || (Array.isArray(last?.content) && last.content[0]?.type === 'tool_result');
+  if (isToolResult) {
+    return { text: `The tool returned:\n\n\`\`\`\n${text}\n\`\`\`` };
+  }
+
+  const match = text.match(/^tool (\w+)\s*(\{.*\})?\s*$/s);
+  if (match) {
+    return { text: `Calling ${match[1]}.`, tool: { id: `call_${Date.now()}`, name: match[1], arguments: match[2] || '{}' } };
+  }
+  return { text: `You said: **${text || '(nothing)'}**\n\nThis reply comes from the mock chat server.` };
+}
+
+async function streamWords(res, text, writeChunk) {
+  for (const word of text.split(/(?<=\s)/)) {
+    if (res.destroyed) return;
+    writeChunk(word);
+    await sleep(CHUNK_DELAY);
+  }
+}
+
+export function createMockChatServer() {
+  return http.createServer(handleRequest);
+}
+
+function handleRequest(req, res) {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', async () => {
+    let payload;
+    try {
+      payload = JSON.parse(body || '{}');
+    } catch {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'Invalid JSON' } }));
+      return;
+    }
+
+    const send = (event, data) => {
+      res.write(`${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+    };
+    const reply = replyFor(payload.messages || []);
+
+    if (req.method === 'POST' && req.url.endsWith('/chat/completions')) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      await streamWords(res, reply.text, text => send(null, { choices: [{ delta: { content: text } }] }));
+      if (reply.tool) {
+        send(null, { choices: [{ delta: { tool_calls: [{ index: 0, id: reply.tool.id, function: { name: reply.tool.name, arguments: '' } }] } }] });
+        send(null, { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: reply.tool.arguments } }] } }] });
+      }
+      send(null, '[DONE]');
+      res.end();
+    } else if (req.method === 'POST' && req.url.endsWith('/messages')) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      send('message_start', { type: 'message_start', message: { role: 'assistant', content: [] } });
+      send('content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } });
+      await streamWords(res, reply.text, text => send('content_block_delta', {
+        type: 'content_block_delta',
+        index: 0,
+        delta: { type: 'text_delta', text }
+      }));
+      send('content_block_stop', { type: 'content_block_stop', index: 0 });
+      if (reply.tool) {
+        send('content_block_start', {
+          type: 'content_block_start',
+          index: 1,
+          content_block: { type: 'tool_use', id: reply.tool.id, name: reply.tool.name, input: {} }
+        });
+        send('content_block_delta', {
+          type: 'content_block_delta',
+          index: 1,
+          delta: { type: 'input_json_delta', partial_json: reply.tool.arguments }
+        });
+        send('content_block_stop', { type: 'content_block_stop', index: 1 });
+      }
+      send('message_stop', { type: 'message_stop' });
+      res.end();
+    } else {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: `No route for ${req.method} ${req.url}` } }));
+    }
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.argv[2]) || 8787;
+  createMockChatServer().listen(port, () => {
+    console.log(`Mock chat server listening on http://localhost:${port}/v1`);
+  });
+}
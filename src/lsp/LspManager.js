@@ -1,41 +1,248 @@
 /**
  * LSP Manager - Handles LSP server lifecycle and message routing
  * Runs in the renderer process, communicates with main process via IPC
+ *
+ * One server runs per (workspace root, server config) pair, identified by a
+ * serverId, so each project gets its own module resolution.
+ *
+ * Servers for SSH workspaces run on the remote host; their documents use
+ * ssh://user@host:port/path URIs, which the main process maps to the remote
+ * server's file:// URIs.
  */
 
+import { get } from 'svelte/store';
+import { workspaceStore } from '../stores/workspaceStore.js';
+import { lspStatusStore } from '../stores/lspStatusStore.js';
+import { outputStore } from '../stores/outputStore.js';
+import { TOKEN_TYPES, TOKEN_MODIFIERS } from './semanticTokens.js';
+
+// Every LSP SymbolKind (File = 1 ... TypeParameter = 26)
+const SYMBOL_KINDS = Array.from({ length: 26 }, (_, i) => i + 1);
+
+// Crash recovery: restart after 1s, 2s, 4s... up to 30s, giving up after 5 crashes in a row
+const RESTART_BASE_DELAY = 1000;
+const RESTART_MAX_DELAY = 30000;
+const MAX_RESTART_ATTEMPTS = 5;
+// A server that stayed up this long before crashing starts its backoff over
+const STABLE_UPTIME = 60000;
+
 export class LspManager {
   constructor() {
-    this.servers = new Map(); // languageId -> server info
+    this.servers = new Map(); // serverId -> { serverId, configName, serverConfig, rootPath, capabilities }
+    this.starting = new Map(); // serverId -> Promise resolving once the server is initialized
+    this.restarts = new Map(); // serverId -> { attempts, timer } for crashed servers
+    this.serverConfigs = new Map(); // serverId -> { context, configName, serverConfig }, kept across crashes
+    this.messageListenerRegistered = false;
+    this.workspacePaths = new Set();
     this.messageHandlers = new Map(); // requestId -> handler
+    this.requestHandlers = new Map(); // method -> handler for server-to-client requests
     this.requestId = 0;
+
+    // Requests we acknowledge without acting on them
+    const acknowledge = async () => null;
+    this.onRequest('client/registerCapability', acknowledge);
+    this.onRequest('client/unregisterCapability', acknowledge);
+    this.onRequest('window/workDoneProgress/create', acknowledge);
+
+    this.onRequest('workspace/workspaceFolders', async (serverId) => {
+      const server = this.servers.get(serverId);
+      return server ? [this.getWorkspaceFolder(server.rootPath, server.remote)] : null;
+    });
+
+    // Settings come from the server's `settings` config, looked up by section
+    this.onRequest('workspace/configuration', async (serverId, params) => {
+      const settings = this.servers.get(serverId)?.serverConfig.settings || {};
+      return params.items.map(item => this.getSettingsSection(settings, item.section));
+    });
+
+    // Shut down servers whose workspace was closed
+    workspaceStore.subscribe((state) => {
+      const paths = new Set(state.workspaces.map((w) => w.path).filter(Boolean));
+      for (const path of this.workspacePaths) {
+        if (!paths.has(path)) {
+          this.shutdownWorkspace(path);
+        }
+      }
+      this.workspacePaths = paths;
+    });
   }
 
   /**
-   * Start an LSP server for a language
+   * Find the workspace a file belongs to and where its server should be rooted
+   * Files of an active SSH workspace are remote paths on that host. Local files
+   * use the deepest open workspace containing them, falling back to the file's
+   * own directory for files outside every workspace.
+   * @returns {{ workspacePath: string|null, rootPath: string, remote: Object|null }}
    */
-  async startServer(languageId, serverConfig) {
-    if (this.servers.has(languageId)) {
-      console.log(`[LspManager] Server for ${languageId} already running`);
-      return;
+  resolveWorkspace(filePath) {
+    const { workspaces, activeWorkspaceId } = get(workspaceStore);
+    const fileDir = filePath.substring(0, filePath.lastIndexOf('/')) || '/';
+    const isInside = (dir) => dir && (filePath === dir || filePath.startsWith(`${dir.replace(/\/$/, '')}/`));
+
+    const active = workspaces.find(w => w.id === activeWorkspaceId);
+    if (active?.isSSH && active.sshConnection) {
+      const { username, host, port } = active.sshConnection;
+      // Workspace paths are ssh://user@host:port[/path] or a plain remote path
+      let remotePath = active.path;
+      if (remotePath.startsWith('ssh://')) {
+        const afterProto = remotePath.split('://')[1];
+        const pathStart = afterProto.indexOf('/');
+        remotePath = pathStart >= 0 ? afterProto.substring(pathStart) : null;
+      }
+
+      return {
+        workspacePath: active.path,
+        rootPath: isInside(remotePath) ? remotePath.replace(/\/$/, '') || '/' : fileDir,
+        remote: {
+          workspaceId: active.id,
+          connectionId: active.sshConnection.id,
+          connection: active.sshConnection,
+          uriPrefix: `ssh://${username}@${host.toLowerCase()}:${port || 22}`,
+        },
+      };
+    }
+
+    const workspace = workspaces
+      .filter(w => !w.isSSH && isInside(w.path))
+      .sort((a, b) => b.path.length - a.path.length)[0];
+
+    return {
+      workspacePath: workspace?.path || null,
+      rootPath: workspace ? workspace.path.replace(/\/$/, '') : fileDir,
+      remote: null,
+    };
+  }
+
+  /**
+   * Find the directory a server should be rooted in
+   * The nearest directory containing one of the config's root markers, not
+   * above the workspace; the workspace root if there is none.
+   * @returns {Promise<Object>} The workspace context with rootPath adjusted
+   */
+  async findServerRoot(filePath, context, serverConfig) {
+    if (!serverConfig.rootMarkers?.length) return context;
+
+    const result = await window.electronAPI.lspFindRoot({
+      filePath,
+      workspacePath: context.rootPath,
+      rootMarkers: serverConfig.rootMarkers,
+      connectionId: context.remote?.connectionId,
+    });
+    return result.rootPath ? { ...context, rootPath: result.rootPath } : context;
+  }
+
+  /**
+   * Look up a dotted settings section (e.g. 'python.analysis')
+   */
+  getSettingsSection(settings, section) {
+    if (!section) return settings;
+
+    // Flat keys ('python.analysis': {...}) are accepted as well as nested objects
+    if (section in settings) return settings[section];
+
+    let value = settings;
+    for (const part of section.split('.')) {
+      if (value === null || typeof value !== 'object' || !(part in value)) return null;
+      value = value[part];
+    }
+    return value;
+  }
+
+  /**
+   * Build the server ID for a workspace root and server config name
+   */
+  getServerId(rootPath, configName, remote = null) {
+    return `${configName}@${remote ? remote.uriPrefix : ''}${rootPath}`;
+  }
+
+  /**
+   * Start and initialize the server for a workspace root if it isn't running
+   * Concurrent callers share the same startup
+   * @returns {Promise<string|null>} serverId, or null if the server failed to start
+   */
+  async ensureServer(context, configName, serverConfig) {
+    const { rootPath, remote } = context;
+    const serverId = this.getServerId(rootPath, configName, remote);
+    if (this.starting.has(serverId)) return this.starting.get(serverId);
+    if (this.servers.has(serverId)) return serverId;
+
+    // A crashed server waiting for its restart is started right away
+    const restart = this.restarts.get(serverId);
+    if (restart) {
+      clearTimeout(restart.timer);
+      restart.timer = null;
     }
 
-    console.log(`[LspManager] Starting LSP server for ${languageId}`);
-    
-    // Request main process to start the LSP server
+    if (!this.starting.has(serverId)) {
+      const startup = (async () => {
+        const result = await this.startServer(serverId, serverConfig, context, configName);
+        if (!result?.success) {
+          lspStatusStore.setStatus(serverId, { status: 'crashed', error: result?.error });
+          return null;
+        }
+
+        await this.initialize(serverId, rootPath);
+        lspStatusStore.setStatus(serverId, { status: 'ready', error: null, gaveUp: false });
+        return serverId;
+      })().finally(() => this.starting.delete(serverId));
+
+      this.starting.set(serverId, startup);
+    }
+
+    return this.starting.get(serverId);
+  }
+
+  /**
+   * Register a handler for requests sent by the server (e.g. workspace/applyEdit)
+   * Handler receives (serverId, params) and returns the result
+   */
+  onRequest(method, handler) {
+    this.requestHandlers.set(method, handler);
+  }
+
+  /**
+   * Start an LSP server for a workspace root
+   */
+  async startServer(serverId, serverConfig, context, configName) {
+    const { rootPath, workspacePath = null, remote = null } = context;
+
+    if (this.servers.has(serverId)) {
+      console.log(`[LspManager] Server ${serverId} already running`);
+      return { success: true };
+    }
+
+    console.log(`[LspManager] Starting LSP server ${serverId}`);
+    this.serverConfigs.set(serverId, { context, configName, serverConfig });
+    const restarting = this.restarts.has(serverId);
+    lspStatusStore.setStatus(serverId, {
+      name: configName,
+      rootPath: remote ? `${remote.uriPrefix}${rootPath}` : rootPath,
+      status: restarting ? 'restarting' : 'starting',
+      retryAt: null,
+    });
+
+    // Listen for messages before the server can send any
+    this.setupMessageListener();
+
+    // Request main process to start the LSP server in the workspace root
     const result = await window.electronAPI.lspStartServer({
-      languageId,
-      serverConfig
+      serverId,
+      serverConfig: { ...serverConfig, cwd: rootPath },
+      remote,
     });
 
     if (result.success) {
-      this.servers.set(languageId, {
-        languageId,
+      this.servers.set(serverId, {
+        serverId,
+        configName,
         serverConfig,
-        capabilities: null
+        rootPath,
+        workspacePath,
+        remote,
+        capabilities: null,
+        startedAt: Date.now(),
+        stopping: false,
       });
-
-      // Listen for messages from this server
-      this.setupMessageListener(languageId);
     }
 
     return result;
@@ -44,16 +251,20 @@ export class LspManager {
   /**
    * Send a request to the LSP server
    */
-  async sendRequest(languageId, method, params) {
+  async sendRequest(serverId, method, params) {
+    if (!this.servers.has(serverId)) {
+      throw new Error(`LSP server not running: ${serverId}`);
+    }
+
     const id = ++this.requestId;
-    
+
     return new Promise((resolve, reject) => {
       // Store handler for response
-      this.messageHandlers.set(id, { resolve, reject });
+      this.messageHandlers.set(id, { serverId, resolve, reject });
 
       // Send request to main process
       window.electronAPI.lspSendMessage({
-        languageId,
+        serverId,
         message: {
           jsonrpc: '2.0',
           id,
@@ -75,9 +286,12 @@ export class LspManager {
   /**
    * Send a notification to the LSP server (no response expected)
    */
-  sendNotification(languageId, method, params) {
+  sendNotification(serverId, method, params) {
+    // Changes made while a server is down are replayed by didOpen on restart
+    if (!this.servers.has(serverId)) return;
+
     window.electronAPI.lspSendMessage({
-      languageId,
+      serverId,
       message: {
         jsonrpc: '2.0',
         method,
@@ -87,13 +301,33 @@ export class LspManager {
   }
 
   /**
-   * Setup listener for messages from LSP server
+   * Setup the listener for messages from all LSP servers
    */
-  setupMessageListener(languageId) {
+  setupMessageListener() {
+    if (this.messageListenerRegistered) return;
+    this.messageListenerRegistered = true;
+
+    window.electronAPI.onLspExit(({ serverId, code, signal }) => {
+      this.handleServerExit(serverId, code, signal);
+    });
+
+    window.electronAPI.onLspStderr(({ serverId, data }) => {
+      const server = this.servers.get(serverId);
+      for (const line of data.split(/\r?\n/)) {
+        if (line.trim()) {
+          outputStore.addLog(line, 'log', 'lsp', { channel: serverId, label: server?.configName });
+        }
+      }
+    });
+
     window.electronAPI.onLspMessage((data) => {
-      if (data.languageId !== languageId) return;
+      const { serverId, message } = data;
 
-      const message = data.message;
+      // Handle request from the server (has both an id and a method)
+      if (message.id !== undefined && message.method) {
+        this.handleServerRequest(serverId, message);
+        return;
+      }
 
       // Handle response to request
       if (message.id !== undefined && this.messageHandlers.has(message.id)) {
@@ -109,36 +343,75 @@ export class LspManager {
 
       // Handle server notifications (diagnostics, etc.)
       if (message.method) {
-        this.handleServerNotification(languageId, message.method, message.params);
+        this.handleServerNotification(serverId, message.method, message.params);
       }
     });
   }
 
+  /**
+   * Handle a request from the LSP server and send back the response
+   */
+  async handleServerRequest(serverId, message) {
+    const handler = this.requestHandlers.get(message.method);
+    const response = { jsonrpc: '2.0', id: message.id };
+
+    if (!handler) {
+      response.error = { code: -32601, message: `Unhandled method ${message.method}` };
+    } else {
+      try {
+        response.result = (await handler(serverId, message.params)) ?? null;
+      } catch (error) {
+        response.error = { code: -32603, message: error.message };
+      }
+    }
+
+    window.electronAPI.lspSendMessage({ serverId, message: response });
+  }
+
   /**
    * Handle notifications from the LSP server
    */
-  handleServerNotification(languageId, method, params) {
-    console.log(`[LspManager] Notification from ${languageId}:`, method);
+  handleServerNotification(serverId, method, params) {
+    console.log(`[LspManager] Notification from ${serverId}:`, method);
 
     // Dispatch custom events for notifications
     window.dispatchEvent(new CustomEvent('lsp:notification', {
-      detail: { languageId, method, params }
+      detail: { serverId, method, params },
     }));
   }
 
+  /**
+   * Build an LSP WorkspaceFolder for a root path
+   */
+  getWorkspaceFolder(rootPath, remote = null) {
+    return {
+      uri: remote ? pathToFileUri(rootPath).replace(/^file:\/\//, remote.uriPrefix) : pathToFileUri(rootPath),
+      name: rootPath.split('/').filter(Boolean).pop() || rootPath,
+    };
+  }
+
   /**
    * Initialize the server (send initialize request)
    */
-  async initialize(languageId, workspaceFolder) {
-    const result = await this.sendRequest(languageId, 'initialize', {
+  async initialize(serverId, rootPath) {
+    const remote = this.servers.get(serverId)?.remote;
+    const workspaceFolder = rootPath ? this.getWorkspaceFolder(rootPath, remote) : null;
+    const result = await this.sendRequest(serverId, 'initialize', {
       processId: null,
       clientInfo: {
         name: 'SwarmIDE',
         version: '1.0.0'
       },
-      rootUri: workspaceFolder ? `file://${workspaceFolder}` : null,
+      rootPath: rootPath || null,
+      rootUri: workspaceFolder ? workspaceFolder.uri : null,
+      workspaceFolders: workspaceFolder ? [workspaceFolder] : null,
+      initializationOptions: this.servers.get(serverId)?.serverConfig.initializationOptions,
       capabilities: {
         textDocument: {
+          synchronization: {
+            dynamicRegistration: true,
+            didSave: false,
+          },
           hover: {
             dynamicRegistration: true,
             contentFormat: ['markdown', 'plaintext']
@@ -159,8 +432,13 @@ export class LspManager {
           },
           signatureHelp: {
             dynamicRegistration: true,
+            contextSupport: true,
             signatureInformation: {
-              documentationFormat: ['markdown', 'plaintext']
+              documentationFormat: ['markdown', 'plaintext'],
+              parameterInformation: {
+                labelOffsetSupport: true,
+              },
+              activeParameterSupport: true,
             }
           },
           definition: {
@@ -170,23 +448,111 @@ export class LspManager {
           references: {
             dynamicRegistration: true
           },
+          documentHighlight: {
+            dynamicRegistration: true,
+          },
+          implementation: {
+            dynamicRegistration: true,
+            linkSupport: true,
+          },
+          rename: {
+            dynamicRegistration: true,
+            prepareSupport: true,
+          },
           documentSymbol: {
-            dynamicRegistration: true
-          }
+            dynamicRegistration: true,
+            hierarchicalDocumentSymbolSupport: true,
+            symbolKind: {
+              valueSet: SYMBOL_KINDS,
+            },
+          },
+          inlayHint: {
+            dynamicRegistration: true,
+          },
+          codeAction: {
+            dynamicRegistration: true,
+            isPreferredSupport: true,
+            dataSupport: true,
+            resolveSupport: {
+              properties: ['edit'],
+            },
+            codeActionLiteralSupport: {
+              codeActionKind: {
+                valueSet: [
+                  '',
+                  'quickfix',
+                  'refactor',
+                  'refactor.extract',
+                  'refactor.inline',
+                  'refactor.rewrite',
+                  'source',
+                  'source.organizeImports',
+                  'source.fixAll',
+                ],
+              },
+            },
+          },
+          formatting: {
+            dynamicRegistration: true,
+          },
+          rangeFormatting: {
+            dynamicRegistration: true,
+          },
+          onTypeFormatting: {
+            dynamicRegistration: true,
+          },
+          semanticTokens: {
+            dynamicRegistration: true,
+            requests: {
+              full: { delta: true },
+            },
+            tokenTypes: TOKEN_TYPES,
+            tokenModifiers: TOKEN_MODIFIERS,
+            formats: ['relative'],
+            overlappingTokenSupport: false,
+            multilineTokenSupport: false,
+          },
         },
         workspace: {
+          workspaceFolders: true,
+          configuration: true,
+          applyEdit: true,
+          executeCommand: {
+            dynamicRegistration: true,
+          },
+          workspaceEdit: {
+            documentChanges: true,
+          },
           didChangeConfiguration: {
             dynamicRegistration: true
-          }
+          },
+          semanticTokens: {
+            refreshSupport: true,
+          },
+          inlayHint: {
+            refreshSupport: true,
+          },
+          symbol: {
+            dynamicRegistration: true,
+            symbolKind: {
+              valueSet: SYMBOL_KINDS,
+            },
+          },
         }
       }
     });
 
     // Send initialized notification
-    this.sendNotification(languageId, 'initialized', {});
+    this.sendNotification(serverId, 'initialized', {});
+
+    // Push settings for servers that don't pull them with workspace/configuration
+    const settings = this.servers.get(serverId)?.serverConfig.settings;
+    if (settings) {
+      this.sendNotification(serverId, 'workspace/didChangeConfiguration', { settings });
+    }
 
     // Store server capabilities
-    const serverInfo = this.servers.get(languageId);
+    const serverInfo = this.servers.get(serverId);
     if (serverInfo) {
       serverInfo.capabilities = result.capabilities;
     }
@@ -197,8 +563,8 @@ export class LspManager {
   /**
    * Notify server of document open
    */
-  didOpenTextDocument(languageId, uri, text, version = 1) {
-    this.sendNotification(languageId, 'textDocument/didOpen', {
+  didOpenTextDocument(serverId, uri, languageId, text, version = 1) {
+    this.sendNotification(serverId, 'textDocument/didOpen', {
       textDocument: {
         uri,
         languageId,
@@ -211,8 +577,8 @@ export class LspManager {
   /**
    * Notify server of document change
    */
-  didChangeTextDocument(languageId, uri, changes, version) {
-    this.sendNotification(languageId, 'textDocument/didChange', {
+  didChangeTextDocument(serverId, uri, changes, version) {
+    this.sendNotification(serverId, 'textDocument/didChange', {
       textDocument: {
         uri,
         version
@@ -224,8 +590,8 @@ export class LspManager {
   /**
    * Notify server of document close
    */
-  didCloseTextDocument(languageId, uri) {
-    this.sendNotification(languageId, 'textDocument/didClose', {
+  didCloseTextDocument(serverId, uri) {
+    this.sendNotification(serverId, 'textDocument/didClose', {
       textDocument: { uri }
     });
   }
@@ -233,8 +599,8 @@ export class LspManager {
   /**
    * Request hover information
    */
-  async hover(languageId, uri, position) {
-    return this.sendRequest(languageId, 'textDocument/hover', {
+  async hover(serverId, uri, position) {
+    return this.sendRequest(serverId, 'textDocument/hover', {
       textDocument: { uri },
       position
     });
@@ -243,36 +609,351 @@ export class LspManager {
   /**
    * Request completion
    */
-  async completion(languageId, uri, position) {
-    return this.sendRequest(languageId, 'textDocument/completion', {
+  async completion(serverId, uri, position) {
+    return this.sendRequest(serverId, 'textDocument/completion', {
       textDocument: { uri },
       position
     });
   }
 
+  /**
+   * Request definition locations
+   */
+  async definition(serverId, uri, position) {
+    return this.sendRequest(serverId, 'textDocument/definition', {
+      textDocument: { uri },
+      position,
+    });
+  }
+
+  /**
+   * Request implementation locations
+   */
+  async implementation(serverId, uri, position) {
+    return this.sendRequest(serverId, 'textDocument/implementation', {
+      textDocument: { uri },
+      position,
+    });
+  }
+
+  /**
+   * Request references
+   */
+  async references(serverId, uri, position, includeDeclaration = true) {
+    return this.sendRequest(serverId, 'textDocument/references', {
+      textDocument: { uri },
+      position,
+      context: { includeDeclaration },
+    });
+  }
+
+  /**
+   * Request document highlights for the symbol at a position
+   */
+  async documentHighlight(serverId, uri, position) {
+    return this.sendRequest(serverId, 'textDocument/documentHighlight', {
+      textDocument: { uri },
+      position,
+    });
+  }
+
+  /**
+   * Check whether a symbol can be renamed and get its range
+   */
+  async prepareRename(serverId, uri, position) {
+    return this.sendRequest(serverId, 'textDocument/prepareRename', {
+      textDocument: { uri },
+      position,
+    });
+  }
+
+  /**
+   * Request a WorkspaceEdit that renames a symbol
+   */
+  async rename(serverId, uri, position, newName) {
+    return this.sendRequest(serverId, 'textDocument/rename', {
+      textDocument: { uri },
+      position,
+      newName,
+    });
+  }
+
+  /**
+   * Request code actions for a range, given the diagnostics overlapping it
+   */
+  async codeAction(serverId, uri, range, context) {
+    return this.sendRequest(serverId, 'textDocument/codeAction', {
+      textDocument: { uri },
+      range,
+      context,
+    });
+  }
+
+  /**
+   * Fill in the edit of a code action returned without one
+   */
+  async resolveCodeAction(serverId, codeAction) {
+    return this.sendRequest(serverId, 'codeAction/resolve', codeAction);
+  }
+
+  /**
+   * Run a server-side command (from a code action or code lens)
+   */
+  async executeCommand(serverId, command, args) {
+    return this.sendRequest(serverId, 'workspace/executeCommand', {
+      command,
+      arguments: args,
+    });
+  }
+
+  /**
+   * Request formatting edits for a whole document
+   */
+  async formatting(serverId, uri, options) {
+    return this.sendRequest(serverId, 'textDocument/formatting', {
+      textDocument: { uri },
+      options,
+    });
+  }
+
+  /**
+   * Request formatting edits for a range
+   */
+  async rangeFormatting(serverId, uri, range, options) {
+    return this.sendRequest(serverId, 'textDocument/rangeFormatting', {
+      textDocument: { uri },
+      range,
+      options,
+    });
+  }
+
+  /**
+   * Request formatting edits after a trigger character was typed
+   */
+  async onTypeFormatting(serverId, uri, position, ch, options) {
+    return this.sendRequest(serverId, 'textDocument/onTypeFormatting', {
+      textDocument: { uri },
+      position,
+      ch,
+      options,
+    });
+  }
+
+  /**
+   * Request signature help at a position
+   */
+  async signatureHelp(serverId, uri, position, context) {
+    return this.sendRequest(serverId, 'textDocument/signatureHelp', {
+      textDocument: { uri },
+      position,
+      context,
+    });
+  }
+
+  /**
+   * Request inlay hints for a range
+   */
+  async inlayHint(serverId, uri, range) {
+    return this.sendRequest(serverId, 'textDocument/inlayHint', {
+      textDocument: { uri },
+      range,
+    });
+  }
+
+  /**
+   * Request the symbols of a document
+   */
+  async documentSymbol(serverId, uri) {
+    return this.sendRequest(serverId, 'textDocument/documentSymbol', {
+      textDocument: { uri },
+    });
+  }
+
+  /**
+   * Search symbols across the workspace of every running server that supports it
+   * A server that fails doesn't hide the results of the others
+   * @returns {Promise<Array<{ serverId: string, symbol: Object }>>}
+   */
+  async workspaceSymbol(query, workspacePath = null) {
+    const servers = [...this.servers.values()].filter(server =>
+      server.capabilities?.workspaceSymbolProvider &&
+      (!workspacePath || server.workspacePath === workspacePath),
+    );
+
+    const results = await Promise.all(servers.map(async ({ serverId }) => {
+      try {
+        const symbols = await this.sendRequest(serverId, 'workspace/symbol', { query });
+        return (symbols || []).map(symbol => ({ serverId, symbol }));
+      } catch (error) {
+        console.error(`[LspManager] workspace/symbol failed for ${serverId}:`, error);
+        return [];
+      }
+    }));
+
+    return results.flat();
+  }
+
+  /**
+   * Request semantic tokens for a whole document
+   */
+  async semanticTokensFull(serverId, uri) {
+    return this.sendRequest(serverId, 'textDocument/semanticTokens/full', {
+      textDocument: { uri },
+    });
+  }
+
+  /**
+   * Request the semantic token edits since a previous result
+   */
+  async semanticTokensFullDelta(serverId, uri, previousResultId) {
+    return this.sendRequest(serverId, 'textDocument/semanticTokens/full/delta', {
+      textDocument: { uri },
+      previousResultId,
+    });
+  }
+
+  /**
+   * Get the capabilities the server reported in initialize
+   */
+  getCapabilities(serverId) {
+    return this.servers.get(serverId)?.capabilities || {};
+  }
+
+  /**
+   * Handle a server process exiting on its own
+   * Fails its pending requests and schedules a restart with exponential backoff
+   */
+  handleServerExit(serverId, code, signal) {
+    const server = this.servers.get(serverId);
+    if (!server || server.stopping) return;
+
+    console.error(`[LspManager] Server ${serverId} exited (code ${code}, signal ${signal})`);
+    this.servers.delete(serverId);
+
+    for (const [id, handler] of this.messageHandlers) {
+      if (handler.serverId === serverId) {
+        this.messageHandlers.delete(id);
+        handler.reject(new Error(`LSP server exited: ${serverId}`));
+      }
+    }
+
+    const restart = this.restarts.get(serverId) || { attempts: 0, timer: null };
+    if (Date.now() - server.startedAt > STABLE_UPTIME) {
+      restart.attempts = 0;
+    }
+
+    if (restart.attempts >= MAX_RESTART_ATTEMPTS) {
+      console.error(`[LspManager] Server ${serverId} keeps crashing, giving up`);
+      this.restarts.delete(serverId);
+      lspStatusStore.setStatus(serverId, { status: 'crashed', lastExitCode: code, retryAt: null, gaveUp: true });
+      return;
+    }
+
+    const delay = Math.min(RESTART_BASE_DELAY * 2 ** restart.attempts, RESTART_MAX_DELAY);
+    restart.attempts++;
+    restart.timer = setTimeout(() => {
+      restart.timer = null;
+      this.restartServer(serverId, this.serverConfigs.get(serverId));
+    }, delay);
+    this.restarts.set(serverId, restart);
+
+    lspStatusStore.setStatus(serverId, {
+      status: 'crashed',
+      lastExitCode: code,
+      retryAt: Date.now() + delay,
+      restarts: restart.attempts,
+      gaveUp: false,
+    });
+  }
+
+  /**
+   * Start a crashed server again and let open documents re-sync
+   */
+  async restartServer(serverId, server) {
+    try {
+      const restartedId = await this.ensureServer(server.context, server.configName, server.serverConfig);
+      if (!restartedId) return;
+
+      window.dispatchEvent(new CustomEvent('lsp:serverRestarted', {
+        detail: { serverId },
+      }));
+    } catch (error) {
+      // A crash during startup reports its own exit and reschedules
+      console.error(`[LspManager] Failed to restart ${serverId}:`, error);
+    }
+  }
+
+  /**
+   * Restart a server that gave up after repeated crashes
+   */
+  retryServer(serverId) {
+    if (this.servers.has(serverId) || this.starting.has(serverId)) return;
+
+    const server = this.serverConfigs.get(serverId);
+    if (!server) return;
+
+    this.restarts.set(serverId, { attempts: 0, timer: null });
+    this.restartServer(serverId, server);
+  }
+
   /**
    * Shutdown a server
    */
-  async shutdownServer(languageId) {
-    if (!this.servers.has(languageId)) return;
+  async shutdownServer(serverId) {
+    const restart = this.restarts.get(serverId);
+    if (restart) {
+      clearTimeout(restart.timer);
+      this.restarts.delete(serverId);
+    }
+    this.serverConfigs.delete(serverId);
+    lspStatusStore.remove(serverId);
+
+    const server = this.servers.get(serverId);
+    if (!server || server.stopping) return;
+    server.stopping = true;
 
-    await this.sendRequest(languageId, 'shutdown', null);
-    this.sendNotification(languageId, 'exit', null);
+    try {
+      await this.sendRequest(serverId, 'shutdown', null);
+      this.sendNotification(serverId, 'exit', null);
+    } finally {
+      this.servers.delete(serverId);
 
-    this.servers.delete(languageId);
+      // Tell main process to kill the server
+      await window.electronAPI.lspStopServer({ serverId });
+    }
+  }
 
-    // Tell main process to kill the server
-    await window.electronAPI.lspStopServer({ languageId });
+  /**
+   * Shutdown all servers rooted in a workspace
+   */
+  async shutdownWorkspace(workspacePath) {
+    // Includes crashed servers waiting for a restart
+    const serverIds = Array.from(this.serverConfigs.entries())
+      .filter(([, { context }]) => context.workspacePath === workspacePath
+        || (!context.remote && (context.rootPath === workspacePath || context.rootPath.startsWith(`${workspacePath}/`))))
+      .map(([serverId]) => serverId);
+
+    console.log(`[LspManager] Workspace closed, stopping ${serverIds.length} server(s): ${workspacePath}`);
+    await Promise.all(serverIds.map(id => this.shutdownServer(id).catch((error) => {
+      console.error(`[LspManager] Failed to shut down ${id}:`, error);
+    })));
   }
 
   /**
    * Shutdown all servers
    */
   async shutdownAll() {
-    const languageIds = Array.from(this.servers.keys());
-    await Promise.all(languageIds.map(id => this.shutdownServer(id)));
+    const serverIds = Array.from(this.serverConfigs.keys());
+    await Promise.all(serverIds.map(id => this.shutdownServer(id)));
   }
 }
 
+/**
+ * Convert an absolute file path to a file:// URI
+ */
+export function pathToFileUri(filePath) {
+  return `file://${encodeURI(filePath).replace(/[?#]/g, encodeURIComponent)}`;
+}
+
 // Global instance
 export const lspManager = new LspManager();
@@ -5,28 +5,180 @@
 
 import * as monaco from 'monaco-editor';
 import { lspManager } from './LspManager.js';
+import { editorStore } from '../stores/editorStore.js';
+import { CLIENT_LEGEND, createTokenMapper, applySemanticTokensEdits } from './semanticTokens.js';
+
+// TextDocumentSyncKind
+const TEXT_DOCUMENT_SYNC_NONE = 0;
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+const TEXT_DOCUMENT_SYNC_INCREMENTAL = 2;
+
+// Codicon names by Monaco SymbolKind (File = 0 ... TypeParameter = 25)
+const SYMBOL_KIND_ICONS = [
+  'file', 'module', 'namespace', 'package', 'class', 'method', 'property', 'field',
+  'constructor', 'enum', 'interface', 'function', 'variable', 'constant', 'string',
+  'number', 'boolean', 'array', 'object', 'key', 'null', 'enum-member', 'struct',
+  'event', 'operator', 'type-parameter',
+];
+
+// How long save waits for the server's formatting edits before writing anyway
+const FORMAT_ON_SAVE_TIMEOUT = 3000;
 
 export class MonacoLspAdapter {
   constructor() {
     this.disposables = [];
     this.documentVersions = new Map(); // uri -> version number
+    this.documentUris = new Map(); // Monaco model uri -> LSP document uri (file://, or ssh:// for remote files)
+    this.pendingReveals = new Map(); // filePath -> Monaco range to reveal once the editor mounts
+    this.peekModels = new Set(); // Models created only to show cross-file references
+    this.diagnostics = new Map(); // LSP uri -> Map(markerKey -> LSP diagnostic)
+    this.documentServers = new Map(); // Monaco model uri -> serverId of the server the document is open in
+    this.openDocuments = new Map(); // LSP uri -> { serverId, modelUris: Set, syncedModelUri } of every editor on the document
+    this.codeActionSources = new WeakMap(); // Monaco code action -> { serverId, lspAction }
+    this.registeredLanguages = new Set();
+    this.formattingRegistrations = new Set(); // `${languageId}:${kind}` for registered formatting providers
+    this.changeListeners = new Map(); // Monaco model uri -> content change listener disposable
+    this.semanticTokens = new Map(); // Monaco model uri -> { serverId, resultId, data } of the last server response
+    this.tokenMappers = new Map(); // serverId -> remaps the server's token legend onto CLIENT_LEGEND
+    this.semanticTokensLanguages = new Set();
+    this.semanticTokensChanged = new monaco.Emitter();
+    this.inlayHintsChanged = new monaco.Emitter();
+    this.globalHandlersRegistered = false;
+  }
+
+  /**
+   * Register handlers shared by all languages (editor opener, workspace/applyEdit)
+   */
+  registerGlobalHandlers() {
+    if (this.globalHandlersRegistered) return;
+    this.globalHandlersRegistered = true;
+
+    // Cross-file navigation (go to definition etc.) opens the target as a tab
+    this.disposables.push(
+      monaco.editor.registerEditorOpener({
+        openCodeEditor: (source, resource, selectionOrPosition) => {
+          const lspUri = this.documentUris.get(resource.toString()) || resource.toString();
+          if (!lspUri.startsWith('file://') && !lspUri.startsWith('ssh://')) return false;
+
+          this.openLocation(lspUri, selectionOrPosition);
+          return true;
+        },
+      }),
+    );
+
+    // Cached results are stale, so the next request asks for full tokens
+    lspManager.onRequest('workspace/semanticTokens/refresh', async (serverId) => {
+      this.clearSemanticTokens(serverId);
+      this.semanticTokensChanged.fire();
+      return null;
+    });
+
+    lspManager.onRequest('workspace/inlayHint/refresh', async () => {
+      this.inlayHintsChanged.fire();
+      return null;
+    });
+
+    lspManager.onRequest('workspace/applyEdit', async (serverId, params) => {
+      try {
+        await this.applyWorkspaceEditToModels(params.edit);
+        return { applied: true };
+      } catch (error) {
+        console.error('[MonacoLspAdapter] applyEdit error:', error);
+        return { applied: false, failureReason: error.message };
+      }
+    });
+
+    // Commands referenced by code actions
+    this.disposables.push(
+      monaco.editor.registerCommand('swarm.lsp.executeCommand', async (accessor, serverId, command) => {
+        try {
+          await lspManager.executeCommand(serverId, command.command, command.arguments);
+        } catch (error) {
+          console.error('[MonacoLspAdapter] executeCommand error:', error);
+        }
+      }),
+      monaco.editor.registerCommand('swarm.lsp.applyWorkspaceEdit', async (accessor, edit, followUp) => {
+        try {
+          await this.applyWorkspaceEditToModels(edit);
+          if (followUp) {
+            await lspManager.executeCommand(followUp.serverId, followUp.command.command, followUp.command.arguments);
+          }
+        } catch (error) {
+          console.error('[MonacoLspAdapter] Code action edit error:', error);
+        }
+      }),
+    );
+
+    // Diagnostics from every server
+    window.addEventListener('lsp:notification', (event) => {
+      const { method, params } = event.detail;
+
+      if (method === 'textDocument/publishDiagnostics') {
+        this.handleDiagnostics(params);
+      }
+    });
+
+    // A restarted server knows nothing about open documents, so open them again
+    window.addEventListener('lsp:serverRestarted', (event) => {
+      this.reopenDocuments(event.detail.serverId);
+    });
+  }
+
+  /**
+   * Replay didOpen for every document open in a server, with the text of the
+   * editor it last synced from
+   */
+  reopenDocuments(serverId) {
+    this.clearSemanticTokens(serverId);
+    this.tokenMappers.delete(serverId);
+
+    for (const [uri, document] of this.openDocuments) {
+      if (document.serverId !== serverId) continue;
+
+      const model = monaco.editor.getModel(monaco.Uri.parse(document.syncedModelUri));
+      if (!model) continue;
+
+      const languageId = model.getLanguageId();
+      this.registerFormattingProviders(languageId, lspManager.getCapabilities(serverId));
+      this.registerSemanticTokensProvider(languageId, lspManager.getCapabilities(serverId));
+      lspManager.didOpenTextDocument(serverId, uri, languageId, model.getValue(), this.documentVersions.get(uri) || 1);
+    }
   }
 
   /**
    * Register LSP providers for a language
+   * Providers are shared by every server of the language and route each request
+   * to the server the model's document was opened in.
+   */
+  registerLanguage(languageId, serverId) {
+    if (!this.registeredLanguages.has(languageId)) {
+      this.registeredLanguages.add(languageId);
+      this.registerProviders(languageId);
+    }
+
+    this.registerFormattingProviders(languageId, lspManager.getCapabilities(serverId));
+    this.registerSemanticTokensProvider(languageId, lspManager.getCapabilities(serverId));
+    this.registerGlobalHandlers();
+  }
+
+  /**
+   * Register the providers every server gets
    */
-  registerLanguage(languageId) {
+  registerProviders(languageId) {
     console.log(`[MonacoLspAdapter] Registering providers for ${languageId}`);
 
     // Hover Provider
     this.disposables.push(
       monaco.languages.registerHoverProvider(languageId, {
         provideHover: async (model, position) => {
-          const uri = model.uri.toString();
+          const serverId = this.getServerId(model);
+          if (!serverId) return null;
+
+          const uri = this.getDocumentUri(model);
           const lspPosition = this.monacoPositionToLsp(position);
 
           try {
-            const result = await lspManager.hover(languageId, uri, lspPosition);
+            const result = await lspManager.hover(serverId, uri, lspPosition);
             
             if (!result || !result.contents) return null;
 
@@ -46,11 +198,14 @@ export class MonacoLspAdapter {
     this.disposables.push(
       monaco.languages.registerCompletionItemProvider(languageId, {
         provideCompletionItems: async (model, position) => {
-          const uri = model.uri.toString();
+          const serverId = this.getServerId(model);
+          if (!serverId) return { suggestions: [] };
+
+          const uri = this.getDocumentUri(model);
           const lspPosition = this.monacoPositionToLsp(position);
 
           try {
-            const result = await lspManager.completion(languageId, uri, lspPosition);
+            const result = await lspManager.completion(serverId, uri, lspPosition);
             
             if (!result) return { suggestions: [] };
 
@@ -67,14 +222,456 @@ export class MonacoLspAdapter {
       })
     );
 
-    // Listen for diagnostics notifications
-    window.addEventListener('lsp:notification', (event) => {
-      const { languageId: notifLang, method, params } = event.detail;
-      
-      if (notifLang === languageId && method === 'textDocument/publishDiagnostics') {
-        this.handleDiagnostics(params);
+    // Definition Provider
+    this.disposables.push(
+      monaco.languages.registerDefinitionProvider(languageId, {
+        provideDefinition: async (model, position) => {
+          const serverId = this.getServerId(model);
+          if (!serverId) return null;
+
+          try {
+            const result = await lspManager.definition(
+              serverId,
+              this.getDocumentUri(model),
+              this.monacoPositionToLsp(position),
+            );
+            return this.lspLocationsToMonaco(result);
+          } catch (error) {
+            console.error('[MonacoLspAdapter] Definition error:', error);
+            return null;
+          }
+        },
+      }),
+    );
+
+    // Implementation Provider
+    this.disposables.push(
+      monaco.languages.registerImplementationProvider(languageId, {
+        provideImplementation: async (model, position) => {
+          const serverId = this.getServerId(model);
+          if (!serverId) return null;
+
+          try {
+            const result = await lspManager.implementation(
+              serverId,
+              this.getDocumentUri(model),
+              this.monacoPositionToLsp(position),
+            );
+            return this.lspLocationsToMonaco(result);
+          } catch (error) {
+            console.error('[MonacoLspAdapter] Implementation error:', error);
+            return null;
+          }
+        },
+      }),
+    );
+
+    // References Provider
+    this.disposables.push(
+      monaco.languages.registerReferenceProvider(languageId, {
+        provideReferences: async (model, position, context) => {
+          const serverId = this.getServerId(model);
+          if (!serverId) return [];
+
+          try {
+            const result = await lspManager.references(
+              serverId,
+              this.getDocumentUri(model),
+              this.monacoPositionToLsp(position),
+              context.includeDeclaration,
+            );
+            const locations = this.lspLocationsToMonaco(result);
+
+            // The references peek widget needs a model for every file it previews
+            await Promise.all(locations.map(location => this.ensurePeekModel(location.uri)));
+            return locations;
+          } catch (error) {
+            console.error('[MonacoLspAdapter] References error:', error);
+            return [];
+          }
+        },
+      }),
+    );
+
+    // Document Highlight Provider
+    this.disposables.push(
+      monaco.languages.registerDocumentHighlightProvider(languageId, {
+        provideDocumentHighlights: async (model, position) => {
+          const serverId = this.getServerId(model);
+          if (!serverId) return [];
+
+          try {
+            const result = await lspManager.documentHighlight(
+              serverId,
+              this.getDocumentUri(model),
+              this.monacoPositionToLsp(position),
+            );
+            if (!result) return [];
+
+            return result.map(highlight => ({
+              range: this.lspRangeToMonaco(highlight.range),
+              // LSP kinds are 1-based (Text, Read, Write), Monaco's are 0-based
+              kind: highlight.kind ? highlight.kind - 1 : monaco.languages.DocumentHighlightKind.Text,
+            }));
+          } catch (error) {
+            console.error('[MonacoLspAdapter] Document highlight error:', error);
+            return [];
+          }
+        },
+      }),
+    );
+
+    // Rename Provider
+    this.disposables.push(
+      monaco.languages.registerRenameProvider(languageId, {
+        provideRenameEdits: async (model, position, newName) => {
+          const serverId = this.getServerId(model);
+          if (!serverId) return { edits: [], rejectReason: 'No language server for this file' };
+
+          try {
+            const result = await lspManager.rename(
+              serverId,
+              this.getDocumentUri(model),
+              this.monacoPositionToLsp(position),
+              newName,
+            );
+            if (!result) {
+              return { edits: [], rejectReason: 'Nothing to rename' };
+            }
+            return await this.applyWorkspaceEdit(result);
+          } catch (error) {
+            console.error('[MonacoLspAdapter] Rename error:', error);
+            return { edits: [], rejectReason: error.message };
+          }
+        },
+
+        resolveRenameLocation: async (model, position) => {
+          const word = model.getWordAtPosition(position);
+          const wordRange = word
+            ? new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn)
+            : new monaco.Range(position.lineNumber, position.column, position.lineNumber, position.column);
+
+          const serverId = this.getServerId(model);
+          const renameProvider = serverId && lspManager.getCapabilities(serverId).renameProvider;
+          if (!renameProvider?.prepareProvider) {
+            if (!word) {
+              return { range: wordRange, text: '', rejectReason: 'No symbol to rename' };
+            }
+            return { range: wordRange, text: word.word };
+          }
+
+          try {
+            const result = await lspManager.prepareRename(
+              serverId,
+              this.getDocumentUri(model),
+              this.monacoPositionToLsp(position),
+            );
+            return this.lspPrepareRenameToMonaco(result, model, wordRange);
+          } catch (error) {
+            return { range: wordRange, text: '', rejectReason: error.message };
+          }
+        },
+      }),
+    );
+
+    // Code Action Provider (quick fixes for markers, refactorings, source actions)
+    this.disposables.push(
+      monaco.languages.registerCodeActionProvider(languageId, {
+        provideCodeActions: async (model, range, context) => {
+          const serverId = this.getServerId(model);
+          if (!serverId) return { actions: [], dispose: () => {} };
+
+          const uri = this.getDocumentUri(model);
+
+          try {
+            const result = await lspManager.codeAction(serverId, uri, this.monacoRangeToLsp(range), {
+              diagnostics: context.markers
+                .map(marker => this.getDiagnosticForMarker(uri, marker))
+                .filter(Boolean),
+              only: context.only ? [context.only] : undefined,
+              triggerKind: context.trigger,
+            });
+
+            return {
+              actions: (result || []).map(item => this.lspCodeActionToMonaco(serverId, item)),
+              dispose: () => {},
+            };
+          } catch (error) {
+            console.error('[MonacoLspAdapter] Code action error:', error);
+            return { actions: [], dispose: () => {} };
+          }
+        },
+
+        resolveCodeAction: async (action) => {
+          const source = this.codeActionSources.get(action);
+          const resolveProvider = source && lspManager.getCapabilities(source.serverId).codeActionProvider?.resolveProvider;
+          if (!resolveProvider || action.edit) return action;
+
+          try {
+            const resolved = await lspManager.resolveCodeAction(source.serverId, source.lspAction);
+            if (resolved?.edit) {
+              this.attachCodeActionEdit(action, resolved.edit, source.serverId);
+            }
+          } catch (error) {
+            console.error('[MonacoLspAdapter] Resolve code action error:', error);
+          }
+          return action;
+        },
+      }),
+    );
+
+    // Signature Help Provider
+    this.disposables.push(
+      monaco.languages.registerSignatureHelpProvider(languageId, {
+        signatureHelpTriggerCharacters: ['(', ','],
+        signatureHelpRetriggerCharacters: [')'],
+        provideSignatureHelp: async (model, position, token, context) => {
+          const serverId = this.getServerId(model);
+          if (!serverId || !lspManager.getCapabilities(serverId).signatureHelpProvider) return null;
+
+          try {
+            const result = await lspManager.signatureHelp(
+              serverId,
+              this.getDocumentUri(model),
+              this.monacoPositionToLsp(position),
+              {
+                triggerKind: context.triggerKind,
+                triggerCharacter: context.triggerCharacter,
+                isRetrigger: context.isRetrigger,
+              },
+            );
+            if (!result?.signatures?.length) return null;
+
+            return { value: this.lspSignatureHelpToMonaco(result), dispose: () => {} };
+          } catch (error) {
+            console.error('[MonacoLspAdapter] Signature help error:', error);
+            return null;
+          }
+        },
+      }),
+    );
+
+    // Inlay Hints Provider
+    this.disposables.push(
+      monaco.languages.registerInlayHintsProvider(languageId, {
+        onDidChangeInlayHints: this.inlayHintsChanged.event,
+        provideInlayHints: async (model, range) => {
+          const serverId = this.getServerId(model);
+          if (!serverId || !lspManager.getCapabilities(serverId).inlayHintProvider) return null;
+
+          try {
+            const result = await lspManager.inlayHint(serverId, this.getDocumentUri(model), this.monacoRangeToLsp(range));
+            return {
+              hints: (result || []).map(hint => this.lspInlayHintToMonaco(hint)),
+              dispose: () => {},
+            };
+          } catch (error) {
+            console.error('[MonacoLspAdapter] Inlay hint error:', error);
+            return null;
+          }
+        },
+      }),
+    );
+
+    // Document Symbol Provider (Ctrl+Shift+O, and the Outline view)
+    this.disposables.push(
+      monaco.languages.registerDocumentSymbolProvider(languageId, {
+        displayName: 'Language Server',
+        provideDocumentSymbols: model => this.getDocumentSymbols(model),
+      }),
+    );
+  }
+
+  /**
+   * Get a document's symbols as a Monaco DocumentSymbol tree
+   * Servers answering with flat SymbolInformation get a flat list
+   */
+  async getDocumentSymbols(model) {
+    const serverId = this.getServerId(model);
+    if (!serverId || !lspManager.getCapabilities(serverId).documentSymbolProvider) return [];
+
+    try {
+      const result = await lspManager.documentSymbol(serverId, this.getDocumentUri(model));
+      return (result || []).map(symbol => this.lspDocumentSymbolToMonaco(symbol));
+    } catch (error) {
+      console.error('[MonacoLspAdapter] Document symbol error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Open the location of a workspace/symbol result
+   * WorkspaceSymbol results may carry only a URI, which opens the file at the top
+   */
+  openSymbolLocation(symbol) {
+    const { uri, range } = symbol.location;
+    const position = range
+      ? { lineNumber: range.start.line + 1, column: range.start.character + 1 }
+      : null;
+    return this.openLocation(uri, position);
+  }
+
+  /**
+   * Register the semantic tokens provider once a server of the language has one
+   * Server data is kept per model so delta responses can be applied to it, then
+   * remapped onto the client legend for Monaco
+   */
+  registerSemanticTokensProvider(languageId, capabilities) {
+    if (!capabilities.semanticTokensProvider?.full || this.semanticTokensLanguages.has(languageId)) return;
+    this.semanticTokensLanguages.add(languageId);
+
+    this.disposables.push(
+      monaco.languages.registerDocumentSemanticTokensProvider(languageId, {
+        onDidChange: this.semanticTokensChanged.event,
+        getLegend: () => CLIENT_LEGEND,
+        provideDocumentSemanticTokens: async (model) => {
+          const serverId = this.getServerId(model);
+          if (!serverId) return null;
+
+          const provider = lspManager.getCapabilities(serverId).semanticTokensProvider;
+          if (!provider?.full) return null;
+
+          const modelUri = model.uri.toString();
+          const uri = this.getDocumentUri(model);
+          const previous = this.semanticTokens.get(modelUri);
+
+          try {
+            let data = null;
+            let result;
+            if (provider.full.delta && previous?.serverId === serverId && previous.resultId) {
+              result = await lspManager.semanticTokensFullDelta(serverId, uri, previous.resultId);
+              // Servers may answer a delta request with full tokens
+              data = result?.edits ? applySemanticTokensEdits(previous.data, result.edits) : result?.data;
+            } else {
+              result = await lspManager.semanticTokensFull(serverId, uri);
+              data = result?.data;
+            }
+
+            if (!data) {
+              this.semanticTokens.delete(modelUri);
+              return null;
+            }
+
+            this.semanticTokens.set(modelUri, { serverId, resultId: result.resultId || null, data });
+            return { data: this.getTokenMapper(serverId, provider.legend)(data) };
+          } catch (error) {
+            console.error('[MonacoLspAdapter] Semantic tokens error:', error);
+            this.semanticTokens.delete(modelUri);
+            return null;
+          }
+        },
+        releaseDocumentSemanticTokens: () => {},
+      }),
+    );
+  }
+
+  getTokenMapper(serverId, legend) {
+    if (!this.tokenMappers.has(serverId)) {
+      this.tokenMappers.set(serverId, createTokenMapper(legend));
+    }
+    return this.tokenMappers.get(serverId);
+  }
+
+  /**
+   * Drop cached semantic tokens of a server's documents
+   */
+  clearSemanticTokens(serverId) {
+    for (const [modelUri, entry] of this.semanticTokens) {
+      if (entry.serverId === serverId) {
+        this.semanticTokens.delete(modelUri);
       }
-    });
+    }
+  }
+
+  /**
+   * Register formatting providers for the kinds of formatting a server supports
+   * Only registered once a server formats, so Monaco's built-in formatters keep
+   * working for languages whose server doesn't
+   */
+  registerFormattingProviders(languageId, capabilities) {
+    const register = (kind) => {
+      const key = `${languageId}:${kind}`;
+      if (!capabilities[kind] || this.formattingRegistrations.has(key)) return false;
+      this.formattingRegistrations.add(key);
+      return true;
+    };
+
+    if (register('documentFormattingProvider')) {
+      this.disposables.push(
+        monaco.languages.registerDocumentFormattingEditProvider(languageId, {
+          provideDocumentFormattingEdits: async (model, options) => {
+            const serverId = this.getServerId(model);
+            if (!serverId) return [];
+
+            try {
+              const result = await lspManager.formatting(
+                serverId,
+                this.getDocumentUri(model),
+                this.monacoFormattingOptionsToLsp(options),
+              );
+              return this.lspTextEditsToMonaco(result);
+            } catch (error) {
+              console.error('[MonacoLspAdapter] Formatting error:', error);
+              return [];
+            }
+          },
+        }),
+      );
+    }
+
+    if (register('documentRangeFormattingProvider')) {
+      this.disposables.push(
+        monaco.languages.registerDocumentRangeFormattingEditProvider(languageId, {
+          provideDocumentRangeFormattingEdits: async (model, range, options) => {
+            const serverId = this.getServerId(model);
+            if (!serverId) return [];
+
+            try {
+              const result = await lspManager.rangeFormatting(
+                serverId,
+                this.getDocumentUri(model),
+                this.monacoRangeToLsp(range),
+                this.monacoFormattingOptionsToLsp(options),
+              );
+              return this.lspTextEditsToMonaco(result);
+            } catch (error) {
+              console.error('[MonacoLspAdapter] Range formatting error:', error);
+              return [];
+            }
+          },
+        }),
+      );
+    }
+
+    const onTypeProvider = capabilities.documentOnTypeFormattingProvider;
+    if (register('documentOnTypeFormattingProvider')) {
+      this.disposables.push(
+        monaco.languages.registerOnTypeFormattingEditProvider(languageId, {
+          autoFormatTriggerCharacters: [
+            onTypeProvider.firstTriggerCharacter,
+            ...(onTypeProvider.moreTriggerCharacter || []),
+          ],
+          provideOnTypeFormattingEdits: async (model, position, ch, options) => {
+            const serverId = this.getServerId(model);
+            if (!serverId) return [];
+
+            try {
+              const result = await lspManager.onTypeFormatting(
+                serverId,
+                this.getDocumentUri(model),
+                this.monacoPositionToLsp(position),
+                ch,
+                this.monacoFormattingOptionsToLsp(options),
+              );
+              return this.lspTextEditsToMonaco(result);
+            } catch (error) {
+              console.error('[MonacoLspAdapter] On-type formatting error:', error);
+              return [];
+            }
+          },
+        }),
+      );
+    }
   }
 
   /**
@@ -83,17 +680,34 @@ export class MonacoLspAdapter {
   handleDiagnostics(params) {
     const { uri, diagnostics } = params;
     
-    // Find the Monaco model for this URI
-    const models = monaco.editor.getModels();
-    const model = models.find(m => m.uri.toString() === uri);
+    // Find the Monaco models for this URI (one per editor showing the file)
+    const models = this.findModels(uri);
     
-    if (!model) {
+    if (models.length === 0) {
       console.warn('[MonacoLspAdapter] No model found for URI:', uri);
       return;
     }
 
-    // Convert LSP diagnostics to Monaco markers
-    const markers = diagnostics.map(diag => ({
+    // Convert LSP diagnostics to Monaco markers, remembering the originals
+    // so code action requests can send them back to the server unchanged
+    const diagnosticsByMarker = new Map();
+    const markers = diagnostics.map(diag => {
+      const marker = this.lspDiagnosticToMarker(diag);
+      diagnosticsByMarker.set(this.getMarkerKey(marker), diag);
+      return marker;
+    });
+    this.diagnostics.set(this.normalizeUri(uri), diagnosticsByMarker);
+
+    for (const model of models) {
+      monaco.editor.setModelMarkers(model, 'lsp', markers);
+    }
+  }
+
+  /**
+   * Convert an LSP diagnostic to a Monaco marker
+   */
+  lspDiagnosticToMarker(diag) {
+    return {
       severity: this.lspSeverityToMonaco(diag.severity),
       startLineNumber: diag.range.start.line + 1,
       startColumn: diag.range.start.character + 1,
@@ -101,44 +715,291 @@ export class MonacoLspAdapter {
       endColumn: diag.range.end.character + 1,
       message: diag.message,
       source: diag.source || 'LSP',
-      code: diag.code
-    }));
+      code: typeof diag.code === 'object' ? diag.code.value : diag.code,
+    };
+  }
 
-    monaco.editor.setModelMarkers(model, 'lsp', markers);
+  getMarkerKey(marker) {
+    return `${marker.startLineNumber}:${marker.startColumn}:${marker.endLineNumber}:${marker.endColumn}:${marker.message}`;
+  }
+
+  /**
+   * Find the LSP diagnostic a Monaco marker was created from
+   */
+  getDiagnosticForMarker(uri, marker) {
+    return this.diagnostics.get(this.normalizeUri(uri))?.get(this.getMarkerKey(marker)) || null;
   }
 
   /**
    * Notify LSP when a model is opened
+   * Editors on the same file each have a model but share one document: the
+   * first model opens it, later ones join it
    */
-  onModelAdded(model, languageId) {
-    const uri = model.uri.toString();
-    const text = model.getValue();
-    const version = 1;
+  onModelAdded(model, serverId, languageId, uri = model.uri.toString()) {
+    const modelUri = model.uri.toString();
+    this.documentUris.set(modelUri, uri);
+    this.documentServers.set(modelUri, serverId);
 
-    this.documentVersions.set(uri, version);
-    lspManager.didOpenTextDocument(languageId, uri, text, version);
+    const document = this.openDocuments.get(uri);
+    if (document) {
+      document.modelUris.add(modelUri);
+    } else {
+      const version = 1;
+      this.openDocuments.set(uri, { serverId, modelUris: new Set([modelUri]), syncedModelUri: modelUri });
+      this.documentVersions.set(uri, version);
+      lspManager.didOpenTextDocument(serverId, uri, languageId, model.getValue(), version);
+    }
 
     // Listen for content changes
-    model.onDidChangeContent(() => {
-      const newVersion = (this.documentVersions.get(uri) || 0) + 1;
-      this.documentVersions.set(uri, newVersion);
-
-      lspManager.didChangeTextDocument(
-        languageId,
-        uri,
-        [{ text: model.getValue() }], // Full document sync
-        newVersion
-      );
-    });
+    this.changeListeners.get(modelUri)?.dispose();
+    this.changeListeners.set(modelUri, model.onDidChangeContent((event) => {
+      this.sendDocumentChange(uri, model, event.changes);
+    }));
+  }
+
+  /**
+   * Send a model's change to the server of its document
+   * The server holds the text of the model that last changed; a change from
+   * another editor on the file replaces the whole text with that model's
+   */
+  sendDocumentChange(uri, model, changes) {
+    const document = this.openDocuments.get(uri);
+    if (!document) return;
+
+    const { serverId } = document;
+    const syncKind = this.getSyncKind(serverId);
+    if (syncKind === TEXT_DOCUMENT_SYNC_NONE) return;
+
+    const modelUri = model.uri.toString();
+    const incremental = syncKind === TEXT_DOCUMENT_SYNC_INCREMENTAL && document.syncedModelUri === modelUri;
+    document.syncedModelUri = modelUri;
+
+    const newVersion = (this.documentVersions.get(uri) || 0) + 1;
+    this.documentVersions.set(uri, newVersion);
+
+    lspManager.didChangeTextDocument(
+      serverId,
+      uri,
+      incremental ? this.monacoContentChangesToLsp(changes) : [{ text: model.getValue() }],
+      newVersion
+    );
+  }
+
+  /**
+   * Get how a server wants document changes sent (TextDocumentSyncKind)
+   * Servers that don't say get full document sync
+   */
+  getSyncKind(serverId) {
+    const sync = lspManager.getCapabilities(serverId).textDocumentSync;
+    const kind = typeof sync === 'number' ? sync : sync?.change;
+    return kind ?? TEXT_DOCUMENT_SYNC_FULL;
+  }
+
+  /**
+   * Convert Monaco content changes to LSP incremental changes
+   * Monaco orders the changes of one edit so they apply one after another,
+   * each range relative to the document as left by the previous change
+   */
+  monacoContentChangesToLsp(changes) {
+    return changes.map(change => ({
+      range: this.monacoRangeToLsp(change.range),
+      rangeLength: change.rangeLength,
+      text: change.text,
+    }));
   }
 
   /**
    * Notify LSP when a model is closed
+   * The document stays open while another editor still shows it
    */
-  onModelRemoved(model, languageId) {
-    const uri = model.uri.toString();
-    lspManager.didCloseTextDocument(languageId, uri);
+  onModelRemoved(model) {
+    const modelUri = model.uri.toString();
+    const uri = this.getDocumentUri(model);
+    const serverId = this.getServerId(model);
+    this.changeListeners.get(modelUri)?.dispose();
+    this.changeListeners.delete(modelUri);
+    this.semanticTokens.delete(modelUri);
+    this.documentUris.delete(modelUri);
+    this.documentServers.delete(modelUri);
+
+    const document = this.openDocuments.get(uri);
+    document?.modelUris.delete(modelUri);
+    if (document?.modelUris.size > 0) {
+      // The server may hold this editor's text; give it one that is still open
+      if (document.syncedModelUri === modelUri) {
+        const remaining = monaco.editor.getModel(monaco.Uri.parse(document.modelUris.values().next().value));
+        if (remaining) {
+          this.sendDocumentChange(uri, remaining, []);
+        }
+      }
+      return;
+    }
+
+    this.openDocuments.delete(uri);
+    if (serverId) {
+      lspManager.didCloseTextDocument(serverId, uri);
+    }
     this.documentVersions.delete(uri);
+    this.diagnostics.delete(this.normalizeUri(uri));
+  }
+
+  /**
+   * Get the server a model's document is open in, if it is still running
+   */
+  getServerId(model) {
+    const serverId = this.documentServers.get(model.uri.toString());
+    return serverId && lspManager.servers.has(serverId) ? serverId : null;
+  }
+
+  /**
+   * Get the LSP document URI for a Monaco model
+   * Editor models use in-memory URIs, so the file URI is tracked separately
+   */
+  getDocumentUri(model) {
+    return this.documentUris.get(model.uri.toString()) || model.uri.toString();
+  }
+
+  /**
+   * Find the editor models backing an LSP document URI, one per editor on the file
+   */
+  findModels(lspUri) {
+    const normalized = this.normalizeUri(lspUri);
+    const models = [];
+    for (const [modelUri, documentUri] of this.documentUris) {
+      if (this.normalizeUri(documentUri) === normalized) {
+        const model = monaco.editor.getModel(monaco.Uri.parse(modelUri));
+        if (model) models.push(model);
+      }
+    }
+    return models;
+  }
+
+  /**
+   * Find an editor model backing an LSP document URI
+   */
+  findModel(lspUri) {
+    return this.findModels(lspUri)[0] || null;
+  }
+
+  /**
+   * Convert a file path to an LSP document URI
+   * Remote files get the workspace's ssh:// prefix in place of file://
+   */
+  filePathToUri(filePath, remote = null) {
+    const uri = monaco.Uri.file(filePath).toString();
+    return remote ? uri.replace(/^file:\/\//, remote.uriPrefix) : uri;
+  }
+
+  /**
+   * Find the SSH connection serving an ssh:// document URI
+   */
+  getRemoteConnectionId(uri) {
+    const authority = monaco.Uri.parse(uri).authority;
+    for (const { context } of lspManager.serverConfigs.values()) {
+      if (context.remote && monaco.Uri.parse(context.remote.uriPrefix).authority === authority) {
+        return context.remote.connectionId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read a document's content from disk, over SFTP for remote files
+   * @returns {Promise<string|null>}
+   */
+  async readDocument(uri) {
+    const filePath = this.uriToFilePath(uri);
+    if (uri.startsWith('ssh://')) {
+      const connectionId = this.getRemoteConnectionId(uri);
+      const result = connectionId && await window.electronAPI.sshSftpReadFile(connectionId, filePath);
+      return result?.success ? result.content : null;
+    }
+
+    const result = await window.electronAPI.readFile(filePath);
+    return result && !result.error && result.content !== undefined ? result.content : null;
+  }
+
+  /**
+   * Write a document's content to disk, over SFTP for remote files
+   */
+  async writeDocument(uri, content) {
+    const filePath = this.uriToFilePath(uri);
+    if (uri.startsWith('ssh://')) {
+      const connectionId = this.getRemoteConnectionId(uri);
+      if (!connectionId) throw new Error(`No SSH connection for ${uri}`);
+      return window.electronAPI.sshSftpWriteFile(connectionId, filePath, content);
+    }
+    return window.electronAPI.writeFile(filePath, content);
+  }
+
+  /**
+   * Convert an LSP document URI to a file path
+   */
+  uriToFilePath(uri) {
+    return monaco.Uri.parse(uri).path;
+  }
+
+  normalizeUri(uri) {
+    return monaco.Uri.parse(uri).toString();
+  }
+
+  /**
+   * Open a file:// or ssh:// location as an editor tab and reveal the range once mounted
+   */
+  async openLocation(lspUri, selectionOrPosition) {
+    await this.revealInFile(this.uriToFilePath(lspUri), selectionOrPosition);
+  }
+
+  /**
+   * Open a file's tab and reveal a range or position in it
+   */
+  async revealInFile(filePath, selectionOrPosition) {
+    const fileName = filePath.split('/').pop();
+
+    if (selectionOrPosition) {
+      this.pendingReveals.set(filePath, selectionOrPosition);
+    }
+
+    await editorStore.openFile(filePath, fileName);
+
+    // Already-mounted editors pick the reveal up from this event
+    window.dispatchEvent(new CustomEvent('lsp:revealLocation', {
+      detail: { filePath },
+    }));
+  }
+
+  /**
+   * Take the pending reveal for a file, if any
+   * @returns {Object|null} Monaco range or position
+   */
+  takePendingReveal(filePath) {
+    const selection = this.pendingReveals.get(filePath);
+    this.pendingReveals.delete(filePath);
+    return selection || null;
+  }
+
+  /**
+   * Load a read-only model for a file so peek widgets can preview it
+   */
+  async ensurePeekModel(resource) {
+    if (monaco.editor.getModel(resource) || !['file', 'ssh'].includes(resource.scheme)) return;
+
+    const content = await this.readDocument(resource.toString());
+    if (content === null || monaco.editor.getModel(resource)) return;
+
+    const model = monaco.editor.createModel(content, undefined, resource);
+    this.peekModels.add(model);
+  }
+
+  /**
+   * Dispose peek models for a file whose content changed on disk
+   */
+  disposePeekModel(lspUri) {
+    const model = monaco.editor.getModel(monaco.Uri.parse(lspUri));
+    if (model && this.peekModels.has(model)) {
+      this.peekModels.delete(model);
+      model.dispose();
+    }
   }
 
   /**
@@ -151,6 +1012,16 @@ export class MonacoLspAdapter {
     };
   }
 
+  /**
+   * Convert Monaco range to LSP range
+   */
+  monacoRangeToLsp(range) {
+    return {
+      start: { line: range.startLineNumber - 1, character: range.startColumn - 1 },
+      end: { line: range.endLineNumber - 1, character: range.endColumn - 1 },
+    };
+  }
+
   /**
    * Convert LSP range to Monaco range
    */
@@ -163,6 +1034,323 @@ export class MonacoLspAdapter {
     );
   }
 
+  /**
+   * Convert an LSP document URI to the Monaco URI of its open model (if any)
+   */
+  lspUriToMonaco(uri) {
+    const model = this.findModel(uri);
+    return model ? model.uri : monaco.Uri.parse(uri);
+  }
+
+  /**
+   * Convert LSP Location | Location[] | LocationLink[] to Monaco locations
+   */
+  lspLocationsToMonaco(result) {
+    if (!result) return [];
+
+    const items = Array.isArray(result) ? result : [result];
+    return items.map(item => {
+      // LocationLink
+      if (item.targetUri) {
+        return {
+          uri: this.lspUriToMonaco(item.targetUri),
+          range: this.lspRangeToMonaco(item.targetRange),
+          targetSelectionRange: item.targetSelectionRange
+            ? this.lspRangeToMonaco(item.targetSelectionRange)
+            : undefined,
+          originSelectionRange: item.originSelectionRange
+            ? this.lspRangeToMonaco(item.originSelectionRange)
+            : undefined,
+        };
+      }
+
+      return {
+        uri: this.lspUriToMonaco(item.uri),
+        range: this.lspRangeToMonaco(item.range),
+      };
+    });
+  }
+
+  /**
+   * Convert an LSP prepareRename result to a Monaco rename location
+   */
+  lspPrepareRenameToMonaco(result, model, wordRange) {
+    if (!result) {
+      return { range: wordRange, text: '', rejectReason: 'This element cannot be renamed' };
+    }
+
+    // { defaultBehavior: true } - the client picks the word at the cursor
+    if (result.defaultBehavior) {
+      return { range: wordRange, text: model.getValueInRange(wordRange) };
+    }
+
+    // Range or { range, placeholder }
+    const range = this.lspRangeToMonaco(result.range || result);
+    return {
+      range,
+      text: result.placeholder ?? model.getValueInRange(range),
+    };
+  }
+
+  /**
+   * Convert an LSP code action (or bare Command) to a Monaco code action
+   */
+  lspCodeActionToMonaco(serverId, item) {
+    // Bare Command
+    if (typeof item.command === 'string') {
+      return {
+        title: item.title,
+        command: this.lspCommandToMonaco(serverId, item),
+      };
+    }
+
+    const action = {
+      title: item.title,
+      kind: item.kind,
+      isPreferred: item.isPreferred,
+      disabled: item.disabled?.reason,
+      diagnostics: item.diagnostics?.map(diag => this.lspDiagnosticToMarker(diag)),
+      command: item.command ? this.lspCommandToMonaco(serverId, item.command) : undefined,
+    };
+
+    this.codeActionSources.set(action, { serverId, lspAction: item });
+
+    if (item.edit) {
+      this.attachCodeActionEdit(action, item.edit, serverId);
+    }
+    return action;
+  }
+
+  /**
+   * Attach a WorkspaceEdit to a Monaco code action
+   * Monaco can only apply edits to open models, so edits touching closed
+   * files run through a command that also writes those files to disk.
+   */
+  attachCodeActionEdit(action, workspaceEdit, serverId) {
+    const editsByUri = this.collectWorkspaceEdits(workspaceEdit);
+    const allOpen = Array.from(editsByUri.keys()).every(uri => this.findModel(uri));
+
+    if (allOpen) {
+      action.edit = { edits: this.toMonacoWorkspaceEdits(editsByUri) };
+      return;
+    }
+
+    const lspCommand = this.codeActionSources.get(action)?.lspAction.command;
+    action.command = {
+      id: 'swarm.lsp.applyWorkspaceEdit',
+      title: action.title,
+      arguments: [workspaceEdit, lspCommand ? { serverId, command: lspCommand } : undefined],
+    };
+  }
+
+  /**
+   * Wrap an LSP Command so Monaco runs it through workspace/executeCommand
+   */
+  lspCommandToMonaco(serverId, command) {
+    return {
+      id: 'swarm.lsp.executeCommand',
+      title: command.title,
+      arguments: [serverId, command],
+    };
+  }
+
+  /**
+   * Group the text edits of an LSP WorkspaceEdit by document URI
+   * @returns {Map<string, Object[]>}
+   */
+  collectWorkspaceEdits(workspaceEdit) {
+    const editsByUri = new Map();
+    const addEdits = (uri, edits) => {
+      if (!editsByUri.has(uri)) editsByUri.set(uri, []);
+      editsByUri.get(uri).push(...edits);
+    };
+
+    if (workspaceEdit.documentChanges) {
+      for (const change of workspaceEdit.documentChanges) {
+        if (change.textDocument) {
+          addEdits(change.textDocument.uri, change.edits);
+        } else {
+          console.warn('[MonacoLspAdapter] Unsupported resource operation:', change.kind);
+        }
+      }
+    } else if (workspaceEdit.changes) {
+      for (const [uri, edits] of Object.entries(workspaceEdit.changes)) {
+        addEdits(uri, edits);
+      }
+    }
+
+    return editsByUri;
+  }
+
+  /**
+   * Convert grouped LSP edits for open documents to Monaco resource edits
+   * Every editor on a document gets its edits
+   */
+  toMonacoWorkspaceEdits(editsByUri) {
+    const monacoEdits = [];
+    for (const [uri, edits] of editsByUri) {
+      for (const model of this.findModels(uri)) {
+        for (const edit of edits) {
+          monacoEdits.push({
+            resource: model.uri,
+            textEdit: {
+              range: this.lspRangeToMonaco(edit.range),
+              text: edit.newText,
+            },
+            versionId: undefined,
+          });
+        }
+      }
+    }
+    return monacoEdits;
+  }
+
+  /**
+   * Apply an LSP WorkspaceEdit
+   * Edits to files open in an editor are returned as a Monaco WorkspaceEdit so
+   * they land in the model (and its undo stack); closed files are edited on disk.
+   */
+  async applyWorkspaceEdit(workspaceEdit) {
+    const editsByUri = this.collectWorkspaceEdits(workspaceEdit);
+
+    for (const [uri, edits] of editsByUri) {
+      if (!this.findModel(uri)) {
+        await this.applyEditsToFile(uri, edits);
+      }
+    }
+
+    return { edits: this.toMonacoWorkspaceEdits(editsByUri) };
+  }
+
+  /**
+   * Apply an LSP WorkspaceEdit outside of a Monaco provider
+   * (server-initiated applyEdit, code action commands)
+   * All ranges refer to the document before the edit, so each model gets its
+   * edits (from changes or documentChanges) in a single operation
+   */
+  async applyWorkspaceEditToModels(workspaceEdit) {
+    const { edits } = await this.applyWorkspaceEdit(workspaceEdit);
+    const operationsByModel = new Map();
+    for (const { resource, textEdit } of edits) {
+      const model = monaco.editor.getModel(resource);
+      if (!model) continue;
+      if (!operationsByModel.has(model)) operationsByModel.set(model, []);
+      operationsByModel.get(model).push({ range: textEdit.range, text: textEdit.text });
+    }
+
+    for (const [model, operations] of operationsByModel) {
+      model.pushStackElement();
+      model.pushEditOperations([], operations, () => null);
+      model.pushStackElement();
+    }
+  }
+
+  /**
+   * Format a document before it is saved
+   * Waits for the server's edits (bounded by a timeout) and applies them as a
+   * single undo step; skipped if the document changed while waiting.
+   */
+  async formatOnSave(editor) {
+    const model = editor.getModel();
+    const serverId = model && this.getServerId(model);
+    if (!serverId || !lspManager.getCapabilities(serverId).documentFormattingProvider) return;
+
+    const versionId = model.getVersionId();
+    const { tabSize, insertSpaces } = model.getOptions();
+
+    try {
+      const result = await Promise.race([
+        lspManager.formatting(serverId, this.getDocumentUri(model), { tabSize, insertSpaces }),
+        new Promise((resolve, reject) => {
+          setTimeout(() => reject(new Error('Formatting timed out')), FORMAT_ON_SAVE_TIMEOUT);
+        }),
+      ]);
+
+      if (!result?.length || model.getVersionId() !== versionId) return;
+
+      editor.pushUndoStop();
+      editor.executeEdits('lsp-format-on-save', this.lspTextEditsToMonaco(result));
+      editor.pushUndoStop();
+    } catch (error) {
+      console.warn('[MonacoLspAdapter] Format on save skipped:', error.message);
+    }
+  }
+
+  /**
+   * Convert LSP TextEdits to Monaco edit operations
+   */
+  lspTextEditsToMonaco(edits) {
+    if (!edits) return [];
+
+    return edits.map(edit => ({
+      range: this.lspRangeToMonaco(edit.range),
+      text: edit.newText,
+    }));
+  }
+
+  /**
+   * Convert Monaco formatting options to LSP FormattingOptions
+   */
+  monacoFormattingOptionsToLsp(options) {
+    return {
+      tabSize: options.tabSize,
+      insertSpaces: options.insertSpaces,
+    };
+  }
+
+  /**
+   * Apply text edits to a file that isn't open in an editor
+   */
+  async applyEditsToFile(uri, edits) {
+    const filePath = this.uriToFilePath(uri);
+    const content = await this.readDocument(uri);
+    if (content === null) {
+      throw new Error(`Cannot edit ${filePath}: read failed`);
+    }
+
+    const newContent = this.applyTextEditsToString(content, edits);
+    const writeResult = await this.writeDocument(uri, newContent);
+    if (!writeResult.success) {
+      throw new Error(`Cannot write ${filePath}: ${writeResult.error}`);
+    }
+
+    // Background tabs have no model; their stored content is what they show and save
+    editorStore.setFileContent(filePath, newContent);
+    this.disposePeekModel(uri);
+  }
+
+  /**
+   * Apply LSP TextEdits to a string
+   * Edits are applied back to front so earlier offsets stay valid
+   */
+  applyTextEditsToString(text, edits) {
+    const lineOffsets = [0];
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\n') lineOffsets.push(i + 1);
+    }
+
+    const toOffset = ({ line, character }) => {
+      if (line >= lineOffsets.length) return text.length;
+      return Math.min(lineOffsets[line] + character, text.length);
+    };
+
+    // Inserts at the same position keep their original order
+    const sorted = edits
+      .map((edit, index) => ({
+        start: toOffset(edit.range.start),
+        end: toOffset(edit.range.end),
+        newText: edit.newText,
+        index,
+      }))
+      .sort((a, b) => b.start - a.start || b.index - a.index);
+
+    let result = text;
+    for (const edit of sorted) {
+      result = result.substring(0, edit.start) + edit.newText + result.substring(edit.end);
+    }
+    return result;
+  }
+
   /**
    * Convert LSP hover contents to Monaco format
    */
@@ -199,6 +1387,84 @@ export class MonacoLspAdapter {
     return [{ value: String(contents) }];
   }
 
+  /**
+   * Convert LSP MarkupContent | string documentation to Monaco
+   */
+  lspDocumentationToMonaco(documentation) {
+    if (!documentation || typeof documentation === 'string') return documentation || undefined;
+    return documentation.kind === 'markdown' ? { value: documentation.value } : documentation.value;
+  }
+
+  /**
+   * Convert LSP SignatureHelp to Monaco
+   * Parameter labels may be strings or [start, end] offsets into the signature label
+   */
+  lspSignatureHelpToMonaco(help) {
+    return {
+      signatures: help.signatures.map(signature => ({
+        label: signature.label,
+        documentation: this.lspDocumentationToMonaco(signature.documentation),
+        parameters: (signature.parameters || []).map(parameter => ({
+          label: parameter.label,
+          documentation: this.lspDocumentationToMonaco(parameter.documentation),
+        })),
+        activeParameter: signature.activeParameter,
+      })),
+      activeSignature: help.activeSignature || 0,
+      activeParameter: help.activeParameter || 0,
+    };
+  }
+
+  /**
+   * Convert LSP InlayHint to Monaco
+   */
+  lspInlayHintToMonaco(hint) {
+    const label = typeof hint.label === 'string'
+      ? hint.label
+      : hint.label.map(part => ({
+        label: part.value,
+        tooltip: this.lspDocumentationToMonaco(part.tooltip),
+        location: part.location
+          ? { uri: this.lspUriToMonaco(part.location.uri), range: this.lspRangeToMonaco(part.location.range) }
+          : undefined,
+      }));
+
+    return {
+      label,
+      position: { lineNumber: hint.position.line + 1, column: hint.position.character + 1 },
+      kind: hint.kind,
+      tooltip: this.lspDocumentationToMonaco(hint.tooltip),
+      paddingLeft: hint.paddingLeft,
+      paddingRight: hint.paddingRight,
+    };
+  }
+
+  /**
+   * Convert LSP DocumentSymbol | SymbolInformation to a Monaco DocumentSymbol
+   * Monaco's SymbolKind is LSP's minus one
+   */
+  lspDocumentSymbolToMonaco(symbol) {
+    const range = this.lspRangeToMonaco(symbol.range || symbol.location.range);
+    return {
+      name: symbol.name,
+      detail: symbol.detail || '',
+      kind: symbol.kind - 1,
+      tags: symbol.tags || [],
+      containerName: symbol.containerName,
+      range,
+      selectionRange: symbol.selectionRange ? this.lspRangeToMonaco(symbol.selectionRange) : range,
+      children: (symbol.children || []).map(child => this.lspDocumentSymbolToMonaco(child)),
+    };
+  }
+
+  /**
+   * Get the codicon class for a Monaco SymbolKind
+   */
+  symbolKindIcon(kind) {
+    const name = SYMBOL_KIND_ICONS[kind] || 'misc';
+    return `codicon codicon-symbol-${name}`;
+  }
+
   /**
    * Convert LSP completion item to Monaco format
    */
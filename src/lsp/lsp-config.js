@@ -1,55 +1,186 @@
 /**
  * LSP Server Configurations
  * Defines how to start LSP servers for different languages
+ *
+ * The effective registry is layered: built-in defaults, then the user-level
+ * config (electron-store), then the project's `.swarm/lsp.json`. Each layer
+ * maps a server name to a partial config:
+ *
+ *   {
+ *     command: 'rust-analyzer',
+ *     args: [],
+ *     env: { RUST_LOG: 'error' },
+ *     languageIds: ['rust'],
+ *     filePatterns: ['*.rs'],             // Optional globs a file must match
+ *     rootMarkers: ['Cargo.toml'],        // Nearest directory containing one becomes the server root
+ *     initializationOptions: {},
+ *     settings: { 'rust-analyzer': {} },  // Served through workspace/configuration
+ *     enabled: true
+ *   }
+ *
+ * Until the user trusts a workspace, its `.swarm/lsp.json` can only set
+ * `settings` and `initializationOptions` (see lsp:getConfig in main.mjs).
  */
 
 export const lspConfigs = {
   javascript: {
     command: 'typescript-language-server',
     args: ['--stdio'],
-    languageIds: ['javascript', 'javascriptreact']
+    languageIds: ['javascript', 'javascriptreact'],
+    rootMarkers: ['package.json', 'jsconfig.json'],
   },
-  
+
   typescript: {
     command: 'typescript-language-server',
     args: ['--stdio'],
-    languageIds: ['typescript', 'typescriptreact']
+    languageIds: ['typescript', 'typescriptreact'],
+    rootMarkers: ['tsconfig.json', 'package.json'],
   },
 
   python: {
     command: 'pylsp',
     args: [],
-    languageIds: ['python']
+    languageIds: ['python'],
+    rootMarkers: ['pyproject.toml', 'setup.py', 'setup.cfg', 'requirements.txt'],
+  },
+
+  rust: {
+    command: 'rust-analyzer',
+    args: [],
+    languageIds: ['rust'],
+    rootMarkers: ['Cargo.toml'],
   },
 
-  // Add more language servers as needed
-  // rust: {
-  //   command: 'rust-analyzer',
-  //   args: [],
-  //   languageIds: ['rust']
-  // },
-  
-  // go: {
-  //   command: 'gopls',
-  //   args: [],
-  //   languageIds: ['go']
-  // }
+  go: {
+    command: 'gopls',
+    args: [],
+    languageIds: ['go'],
+    rootMarkers: ['go.mod', 'go.work'],
+  },
 };
 
+// Fields merged key by key across layers instead of being replaced
+const MERGED_OBJECT_FIELDS = ['env', 'initializationOptions', 'settings'];
+
+const configCache = new Map(); // workspacePath -> Promise of { servers, sources, projectTrusted, projectIgnored, projectError }
+
 /**
- * Get LSP config for a language ID
+ * Merge config layers, later layers overriding earlier ones
+ * @returns {{ servers: Object, sources: Object }} merged servers and, per server, the layers that defined it
  */
-export function getLspConfig(languageId) {
-  // Check if there's a direct match
-  if (lspConfigs[languageId]) {
-    return lspConfigs[languageId];
+export function mergeLspConfigs(layers) {
+  const servers = {};
+  const sources = {};
+
+  for (const { name: layerName, servers: layerServers } of layers) {
+    for (const [name, config] of Object.entries(layerServers || {})) {
+      if (!config || typeof config !== 'object') continue;
+
+      const merged = { ...servers[name], ...config };
+      for (const field of MERGED_OBJECT_FIELDS) {
+        if (servers[name]?.[field] && config[field]) {
+          merged[field] = deepMerge(servers[name][field], config[field]);
+        }
+      }
+
+      servers[name] = merged;
+      sources[name] = [...(sources[name] || []), layerName];
+    }
   }
 
-  // Check if any config supports this language ID
-  for (const config of Object.values(lspConfigs)) {
-    if (config.languageIds.includes(languageId)) {
-      return config;
+  return { servers, sources };
+}
+
+function deepMerge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override;
+
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = key in base ? deepMerge(base[key], value) : value;
+  }
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Load the effective registry for a workspace (cached until invalidated)
+ */
+export function loadLspConfig(workspacePath = null) {
+  const key = workspacePath || '';
+  if (!configCache.has(key)) {
+    const loading = (async () => {
+      const result = await window.electronAPI.lspGetConfig({ workspacePath });
+      if (!result.success) {
+        // Fall back to the built-in servers this time; the next lookup retries
+        console.error('[LspConfig] Failed to load config:', result.error);
+        forget();
+      }
+
+      const { servers, sources } = mergeLspConfigs([
+        { name: 'built-in', servers: lspConfigs },
+        { name: 'user', servers: result.user },
+        { name: 'project', servers: result.project },
+      ]);
+      return {
+        servers,
+        sources,
+        projectTrusted: result.projectTrusted || false,
+        projectIgnored: result.projectIgnored || [],
+        projectError: result.projectError || null,
+      };
+    })();
+
+    // Don't cache failures (rejected or reported), the next lookup retries
+    const forget = () => {
+      if (configCache.get(key) === loading) configCache.delete(key);
+    };
+    loading.catch(forget);
+    configCache.set(key, loading);
+  }
+
+  return configCache.get(key);
+}
+
+/**
+ * Drop cached registries so the next lookup re-reads the config files
+ */
+export function invalidateLspConfig(workspacePath = null) {
+  if (workspacePath) {
+    configCache.delete(workspacePath);
+  } else {
+    configCache.clear();
+  }
+}
+
+/**
+ * Get LSP config for a language ID
+ * @param {string} languageId - Monaco language ID
+ * @param {string} [filePath] - File being opened, checked against the server's filePatterns
+ * @param {string} [workspacePath] - Workspace whose `.swarm/lsp.json` applies
+ * @returns {Promise<Object|null>} Server config with its `name`, or null if no server handles the file
+ */
+export async function getLspConfig(languageId, filePath = null, workspacePath = null) {
+  const { servers } = await loadLspConfig(workspacePath);
+
+  const candidates = Object.entries(servers).filter(([name, config]) => {
+    if (config.enabled === false || !config.command) return false;
+    return name === languageId || (config.languageIds || []).includes(languageId);
+  });
+
+  // A server named after the language wins over one that merely lists it
+  candidates.sort(([a], [b]) => (b === languageId) - (a === languageId));
+
+  for (const [name, config] of candidates) {
+    if (filePath && config.filePatterns?.length) {
+      const relativePath = workspacePath && filePath.startsWith(`${workspacePath}/`)
+        ? filePath.substring(workspacePath.length + 1)
+        : filePath;
+      if (!config.filePatterns.some(pattern => matchesGlob(relativePath, pattern))) continue;
     }
+    return { name, ...config };
   }
 
   return null;
@@ -58,6 +189,48 @@ export function getLspConfig(languageId) {
 /**
  * Check if LSP is available for a language
  */
-export function hasLspSupport(languageId) {
-  return getLspConfig(languageId) !== null;
+export async function hasLspSupport(languageId, filePath = null, workspacePath = null) {
+  return (await getLspConfig(languageId, filePath, workspacePath)) !== null;
+}
+
+/**
+ * Match a path against a glob (`*`, `**`, `?`, `{a,b}`)
+ * Patterns without a slash match the file name alone
+ */
+export function matchesGlob(filePath, pattern) {
+  const target = pattern.includes('/') ? filePath : filePath.split('/').pop();
+  return globToRegExp(pattern).test(target);
+}
+
+function globToRegExp(pattern) {
+  let source = '';
+  let braceDepth = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` matches zero or more directories
+        const slash = pattern[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (ch === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (ch === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += ch.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  // Absolute patterns match from the start, relative ones at any depth
+  return new RegExp(pattern.startsWith('/') || pattern.startsWith('**') ? `^${source}$` : `(?:^|/)${source}$`);
 }
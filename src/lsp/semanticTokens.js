@@ -0,0 +1,141 @@
+/**
+ * Semantic Tokens - Legend, token remapping and theme colors
+ *
+ * Each server declares its own legend, but a Monaco provider has one fixed
+ * legend per language. Server data is decoded and remapped onto the client
+ * legend below, so servers with different (or custom) legends can share a
+ * provider; token types the client doesn't know are dropped.
+ */
+
+import * as monaco from 'monaco-editor';
+
+// Standard LSP token types and modifiers (3.17)
+export const TOKEN_TYPES = [
+  'namespace', 'type', 'class', 'enum', 'interface', 'struct', 'typeParameter',
+  'parameter', 'variable', 'property', 'enumMember', 'event', 'function', 'method',
+  'macro', 'keyword', 'modifier', 'comment', 'string', 'number', 'regexp',
+  'operator', 'decorator',
+];
+
+export const TOKEN_MODIFIERS = [
+  'declaration', 'definition', 'readonly', 'static', 'deprecated', 'abstract',
+  'async', 'modification', 'documentation', 'defaultLibrary',
+];
+
+export const CLIENT_LEGEND = { tokenTypes: TOKEN_TYPES, tokenModifiers: TOKEN_MODIFIERS };
+
+/**
+ * Build a function that remaps server token data onto the client legend
+ * @param {{ tokenTypes: string[], tokenModifiers: string[] }} serverLegend
+ * @returns {(data: number[]) => Uint32Array}
+ */
+export function createTokenMapper(serverLegend) {
+  const typeMap = serverLegend.tokenTypes.map(type => TOKEN_TYPES.indexOf(type));
+  const modifierBits = serverLegend.tokenModifiers.map((modifier) => {
+    const index = TOKEN_MODIFIERS.indexOf(modifier);
+    return index === -1 ? 0 : 1 << index;
+  });
+
+  return (data) => {
+    const result = [];
+    let line = 0;
+    let char = 0;
+    let lastLine = 0;
+    let lastChar = 0;
+
+    for (let i = 0; i + 4 < data.length; i += 5) {
+      // Positions are relative to the previous token, including dropped ones
+      line += data[i];
+      char = data[i] === 0 ? char + data[i + 1] : data[i + 1];
+
+      const type = typeMap[data[i + 3]];
+      if (type === undefined || type === -1) continue;
+
+      let modifiers = 0;
+      for (let bit = 0, mask = data[i + 4]; mask; bit++, mask >>>= 1) {
+        if (mask & 1) modifiers |= modifierBits[bit] || 0;
+      }
+
+      result.push(line - lastLine, line === lastLine ? char - lastChar : char, data[i + 2], type, modifiers);
+      lastLine = line;
+      lastChar = char;
+    }
+
+    return new Uint32Array(result);
+  };
+}
+
+/**
+ * Apply semanticTokens/full/delta edits to the previous token data
+ * Edits index into the flat integer array and are applied back to front
+ */
+export function applySemanticTokensEdits(data, edits) {
+  const result = Array.from(data);
+  const sorted = [...edits].sort((a, b) => b.start - a.start);
+  for (const edit of sorted) {
+    result.splice(edit.start, edit.deleteCount, ...(edit.data || []));
+  }
+  return result;
+}
+
+// Colors for token types the built-in themes don't cover (VS Code Dark+/Light+)
+const DARK_RULES = [
+  { token: 'namespace', foreground: '4EC9B0' },
+  { token: 'class', foreground: '4EC9B0' },
+  { token: 'enum', foreground: '4EC9B0' },
+  { token: 'interface', foreground: '4EC9B0' },
+  { token: 'struct', foreground: '4EC9B0' },
+  { token: 'typeParameter', foreground: '4EC9B0' },
+  { token: 'type', foreground: '4EC9B0' },
+  { token: 'parameter', foreground: '9CDCFE' },
+  { token: 'variable', foreground: '9CDCFE' },
+  { token: 'variable.readonly', foreground: '4FC1FF' },
+  { token: 'property', foreground: '9CDCFE' },
+  { token: 'enumMember', foreground: '4FC1FF' },
+  { token: 'function', foreground: 'DCDCAA' },
+  { token: 'method', foreground: 'DCDCAA' },
+  { token: 'decorator', foreground: 'DCDCAA' },
+  { token: 'macro', foreground: '569CD6' },
+  { token: 'event', foreground: '9CDCFE' },
+  { token: 'regexp', foreground: 'D16969' },
+  { token: 'operator', foreground: 'D4D4D4' },
+  { token: 'modifier', foreground: '569CD6' },
+];
+
+const LIGHT_RULES = [
+  { token: 'namespace', foreground: '267F99' },
+  { token: 'class', foreground: '267F99' },
+  { token: 'enum', foreground: '267F99' },
+  { token: 'interface', foreground: '267F99' },
+  { token: 'struct', foreground: '267F99' },
+  { token: 'typeParameter', foreground: '267F99' },
+  { token: 'type', foreground: '267F99' },
+  { token: 'parameter', foreground: '001080' },
+  { token: 'variable', foreground: '001080' },
+  { token: 'variable.readonly', foreground: '0070C1' },
+  { token: 'property', foreground: '001080' },
+  { token: 'enumMember', foreground: '0070C1' },
+  { token: 'function', foreground: '795E26' },
+  { token: 'method', foreground: '795E26' },
+  { token: 'decorator', foreground: '795E26' },
+  { token: 'macro', foreground: '0000FF' },
+  { token: 'event', foreground: '001080' },
+  { token: 'regexp', foreground: '811F3F' },
+  { token: 'operator', foreground: '000000' },
+  { token: 'modifier', foreground: '0000FF' },
+];
+
+let themesDefined = false;
+
+/**
+ * Get the editor theme for the color scheme
+ * The themes extend vs/vs-dark with colors for semantic token types
+ */
+export function getEditorTheme(dark) {
+  if (!themesDefined) {
+    themesDefined = true;
+    monaco.editor.defineTheme('swarm-dark', { base: 'vs-dark', inherit: true, rules: DARK_RULES, colors: {} });
+    monaco.editor.defineTheme('swarm-light', { base: 'vs', inherit: true, rules: LIGHT_RULES, colors: {} });
+  }
+  return dark ? 'swarm-dark' : 'swarm-light';
+}
@@ -0,0 +1,376 @@
+import { editorStore } from '../stores/editorStore.js';
+import { agentStore } from '../stores/agentStore.js';
+import { monacoLspAdapter } from '../lsp/MonacoLspAdapter.js';
+
+const COMMAND_TIMEOUT = 120000;
+const MAX_OUTPUT_LENGTH = 16000;
+const MAX_FILE_LENGTH = 100000;
+
+const ESC = '\u001b';
+const BEL = '\u0007';
+const ANSI_PATTERN = new RegExp(
+  `${ESC}\\[[0-9;?]*[ -/]*[@-~]|${ESC}\\][^${BEL}]*(${BEL}|${ESC}\\\\)|${ESC}[@-Z\\\\-_]`,
+  'g',
+);
+
+/**
+ * Tools offered to the chat agent, as provider-neutral JSON schema definitions
+ * Paths are relative to the workspace root
+ */
+export const AGENT_TOOLS = [
+  {
+    name: 'read_file',
+    description: 'Read a text file of the workspace.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the workspace root' },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'list_directory',
+    description: 'List the files and folders of a workspace directory.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory path relative to the workspace root; defaults to the root' },
+      },
+    },
+  },
+  {
+    name: 'write_file',
+    description: 'Propose the full new content of a file. The user reviews the change as a diff and may edit, accept or reject it.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the workspace root' },
+        content: { type: 'string', description: 'Complete new file content' },
+      },
+      required: ['path', 'content'],
+    },
+  },
+  {
+    name: 'run_command',
+    description: 'Run a shell command in the workspace root after the user allows it. Returns the exit code and output.',
+    parameters: {
+      type: 'object',
+      properties: {
+        command: { type: 'string', description: 'Command line to run' },
+      },
+      required: ['command'],
+    },
+  },
+  {
+    name: 'git_status',
+    description: 'Show the current branch and the changed files of the workspace repository.',
+    parameters: { type: 'object', properties: {} },
+  },
+  {
+    name: 'git_diff',
+    description: 'Show the unstaged diff of the workspace repository, optionally limited to one path.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File or folder relative to the workspace root' },
+      },
+    },
+  },
+  {
+    name: 'open_file',
+    description: 'Open a file in an editor tab for the user, optionally at a line.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the workspace root' },
+        line: { type: 'number', description: '1-based line to reveal' },
+      },
+      required: ['path'],
+    },
+  },
+];
+
+// Tool implementations, called with the service as `this`
+const handlers = {
+  async read_file({ path }, workspacePath) {
+    const filePath = await resolveToolPath(workspacePath, path);
+    const result = await window.electronAPI.agentReadFile(filePath);
+    if (result.error) {
+      return { status: 'error', result: result.message };
+    }
+    return { status: 'done', result: truncate(result.content, MAX_FILE_LENGTH) };
+  },
+
+  async list_directory({ path = '.' }, workspacePath) {
+    const dirPath = await resolveToolPath(workspacePath, path);
+    const entries = await window.electronAPI.readDirectory(dirPath);
+    const lines = entries.map((entry) => (entry.isDirectory ? `${entry.name}/` : entry.name));
+    return { status: 'done', result: lines.length > 0 ? lines.join('\n') : '(empty directory)' };
+  },
+
+  async write_file({ path, content }, workspacePath, call, sessionId) {
+    if (typeof content !== 'string') {
+      return { status: 'error', result: 'content must be a string' };
+    }
+
+    const filePath = await resolveToolPath(workspacePath, path);
+    const current = await window.electronAPI.agentReadFile(filePath);
+    let originalContent = '';
+    if (current.error) {
+      // A missing file is created; anything else (binary, too large) can't be diffed
+      if (current.error !== 'not_found') {
+        return { status: 'error', result: current.message };
+      }
+    } else {
+      originalContent = current.content;
+    }
+
+    const proposalId = `proposal-${call.id || this.nextId++}`;
+    const decision = agentStore.requestApproval({
+      id: proposalId,
+      kind: 'write',
+      toolCallId: call.id,
+      filePath,
+      isNewFile: !!current.error,
+    });
+    editorStore.openProposedEdit(proposalId, filePath, originalContent, content);
+
+    const { approved, content: finalContent } = await decision;
+    editorStore.closeProposedEdit(proposalId);
+    if (!approved) {
+      return { status: 'denied', result: 'The user rejected this change.' };
+    }
+
+    const written = finalContent ?? content;
+    const result = await window.electronAPI.writeFile(filePath, written);
+    if (!result.success) {
+      return { status: 'error', result: result.error };
+    }
+
+    await window.electronAPI.timelineSaveSnapshot({
+      workspacePath,
+      filePath,
+      content: written,
+      source: 'agent',
+      session: sessionId,
+      previousContent: current.error ? null : originalContent,
+    });
+    editorStore.setFileContent(filePath, written);
+
+    return {
+      status: 'done',
+      result: written === content
+        ? `Wrote ${path}.`
+        : `Wrote ${path} with the user's edits applied:\n${truncate(written, MAX_FILE_LENGTH)}`,
+    };
+  },
+
+  async run_command({ command }, workspacePath, call) {
+    if (!command?.trim()) {
+      return { status: 'error', result: 'command is empty' };
+    }
+
+    const { approved } = await agentStore.requestApproval({
+      id: `command-${call.id || this.nextId++}`,
+      kind: 'command',
+      toolCallId: call.id,
+      command,
+    });
+    if (!approved) {
+      return { status: 'denied', result: 'The user did not allow this command.' };
+    }
+
+    const { exitCode, output, timedOut } = await this.runCommand(command, workspacePath);
+    const header = timedOut
+      ? `Command timed out after ${COMMAND_TIMEOUT / 1000}s`
+      : `Exit code: ${exitCode}`;
+    return {
+      status: exitCode === 0 ? 'done' : 'error',
+      result: `${header}\n\n${truncate(output, MAX_OUTPUT_LENGTH, true) || '(no output)'}`,
+    };
+  },
+
+  async git_status(args, workspacePath) {
+    const status = await window.electronAPI.gitStatus({ cwd: workspacePath });
+    const lines = [`Branch: ${status.current || '(detached)'}`];
+    if (status.tracking) {
+      lines.push(`Tracking: ${status.tracking} (ahead ${status.ahead}, behind ${status.behind})`);
+    }
+    for (const file of status.files || []) {
+      lines.push(`${file.index}${file.working_dir} ${file.path}`);
+    }
+    if (!status.files?.length) {
+      lines.push('Working tree clean');
+    }
+    return { status: 'done', result: lines.join('\n') };
+  },
+
+  async git_diff({ path = '.' }, workspacePath) {
+    const root = resolveWorkspacePath(workspacePath, '.');
+    const filePath = await resolveToolPath(workspacePath, path);
+    const relative = filePath === root ? '.' : filePath.slice(root.length + 1);
+    const diff = await window.electronAPI.gitDiff({ cwd: workspacePath, file: relative });
+    return { status: 'done', result: truncate(diff, MAX_OUTPUT_LENGTH) || 'No unstaged changes' };
+  },
+
+  async open_file({ path, line }, workspacePath) {
+    const filePath = await resolveToolPath(workspacePath, path);
+    if (line > 0) {
+      monacoLspAdapter.revealInFile(filePath, { lineNumber: line, column: 1 });
+    } else {
+      await editorStore.openFile(filePath, filePath.split('/').pop());
+    }
+    return { status: 'done', result: `Opened ${path}.` };
+  },
+};
+
+/**
+ * AgentToolService - Runs the chat agent's tool calls against the IDE
+ * Files are read through agent:readFile and written through fs:writeFile,
+ * commands run in a headless pty, and writes wait for the user's review in a
+ * diff tab before they are applied
+ */
+class AgentToolService {
+  constructor() {
+    this.commands = new Map(); // terminalId -> { output, resolve, timer }
+    this.listening = false;
+    this.nextId = 1;
+  }
+
+  /**
+   * Run one tool call
+   * @param {Object} call - { id, name, arguments, invalidArguments? }
+   * @param {string} workspacePath - root the tools are confined to
+   * @param {string} [sessionId] - agent run the call belongs to; its file writes form one timeline change set
+   * @returns {Promise<{ status: 'done'|'error'|'denied', result: string }>}
+   */
+  async execute(call, workspacePath, sessionId = null) {
+    if (call.invalidArguments !== undefined) {
+      return { status: 'error', result: `Invalid JSON arguments: ${call.invalidArguments}` };
+    }
+
+    const handler = handlers[call.name];
+    if (!handler) {
+      return { status: 'error', result: `Unknown tool: ${call.name}` };
+    }
+
+    try {
+      return await handler.call(this, call.arguments || {}, workspacePath, call, sessionId);
+    } catch (error) {
+      console.error(`[AgentTools] ${call.name} failed:`, error);
+      return { status: 'error', result: error.message };
+    }
+  }
+
+  /**
+   * Run a command in a pty that no terminal tab shows and collect its output
+   * The shell exits with the command's exit code once it finishes
+   */
+  async runCommand(command, cwd) {
+    this.listen();
+
+    const terminalId = `agent-command-${Date.now()}-${this.nextId++}`;
+    const finished = new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        window.electronAPI.terminalKill({ terminalId });
+        this.finish(terminalId, { exitCode: null, timedOut: true });
+      }, COMMAND_TIMEOUT);
+      this.commands.set(terminalId, { output: '', resolve, timer });
+    });
+
+    const result = await window.electronAPI.terminalCreate({ cwd, terminalId });
+    if (!result.success) {
+      this.finish(terminalId, { exitCode: null });
+      throw new Error(result.error);
+    }
+    await window.electronAPI.terminalWrite({ terminalId, data: `${command}\rexit $?\r` });
+
+    return finished;
+  }
+
+  // terminal:data listeners can't be removed, so one listener routes by terminal id
+  listen() {
+    if (this.listening) return;
+    this.listening = true;
+
+    window.electronAPI.onTerminalData(({ terminalId, data }) => {
+      const command = this.commands.get(terminalId);
+      if (command) {
+        command.output += data;
+      }
+    });
+    window.electronAPI.onTerminalExit(({ terminalId, exitCode }) => {
+      this.finish(terminalId, { exitCode });
+    });
+  }
+
+  finish(terminalId, { exitCode, timedOut = false }) {
+    const command = this.commands.get(terminalId);
+    if (!command) return;
+
+    clearTimeout(command.timer);
+    this.commands.delete(terminalId);
+    const output = command.output.replace(ANSI_PATTERN, '').replace(/\r\n?/g, '\n').trim();
+    command.resolve({ exitCode, output, timedOut });
+  }
+
+  /**
+   * Stop running commands and reject pending reviews (chat cancelled)
+   */
+  cancelAll() {
+    for (const terminalId of [...this.commands.keys()]) {
+      window.electronAPI.terminalKill({ terminalId });
+      this.finish(terminalId, { exitCode: null });
+    }
+    agentStore.rejectAll();
+  }
+}
+
+/**
+ * Resolve a tool path against the workspace root, refusing paths outside it
+ */
+export function resolveWorkspacePath(workspacePath, path) {
+  if (typeof path !== 'string' || !path.trim()) {
+    throw new Error('path is required');
+  }
+
+  const root = workspacePath.replace(/\/+$/, '');
+  const absolute = path.startsWith('/') ? path : `${root}/${path}`;
+  const parts = [];
+  for (const part of absolute.split('/')) {
+    if (part === '..') {
+      parts.pop();
+    } else if (part && part !== '.') {
+      parts.push(part);
+    }
+  }
+
+  const resolved = `/${parts.join('/')}`;
+  if (resolved !== root && !resolved.startsWith(`${root}/`)) {
+    throw new Error(`${path} is outside the workspace`);
+  }
+  return resolved;
+}
+
+// resolveWorkspacePath, then the main process follows symlinks so a link inside
+// the workspace can't point the tool outside it
+async function resolveToolPath(workspacePath, path) {
+  const resolved = resolveWorkspacePath(workspacePath, path);
+  const check = await window.electronAPI.agentCheckPath({ workspacePath, filePath: resolved });
+  if (!check.success) {
+    throw new Error(check.error);
+  }
+  return resolved;
+}
+
+// Keep the start of files and diffs, the end of command output
+function truncate(text, maxLength, keepEnd = false) {
+  if (!text || text.length <= maxLength) return text;
+  const omitted = `[${text.length - maxLength} characters omitted]`;
+  return keepEnd
+    ? `${omitted}\n${text.slice(-maxLength)}`
+    : `${text.slice(0, maxLength)}\n${omitted}`;
+}
+
+export const agentToolService = new AgentToolService();
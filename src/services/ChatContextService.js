@@ -0,0 +1,257 @@
+import { get } from 'svelte/store';
+import * as monaco from 'monaco-editor';
+import { workspaceStore } from '../stores/workspaceStore.js';
+import { editorStore } from '../stores/editorStore.js';
+import { activeEditorStore } from '../stores/activeEditorStore.js';
+import { terminalStore } from '../stores/terminalStore.js';
+import { browserStore } from '../stores/browserStore.js';
+
+// Rough token estimate used by most tokenizers for English text and code
+const CHARS_PER_TOKEN = 4;
+const CHUNK_TOKENS = 2000;
+const MAX_MENTION_TOKENS = 24000;
+const TERMINAL_LINES = 500;
+
+/**
+ * Things a chat message can @-mention; those with targets need one picked
+ * (which terminal, note or browser tab)
+ */
+export const MENTION_KINDS = [
+  { kind: 'file', label: 'file', description: 'Current file' },
+  { kind: 'selection', label: 'selection', description: 'Selected text in the editor' },
+  { kind: 'diagnostics', label: 'diagnostics', description: 'Problems reported for open files' },
+  { kind: 'diff', label: 'diff', description: 'Unstaged git changes' },
+  { kind: 'terminal', label: 'terminal', description: 'Terminal scrollback', hasTargets: true },
+  { kind: 'mind', label: 'mind', description: 'Mind note', hasTargets: true },
+  { kind: 'browser', label: 'browser', description: 'Page text of a browser tab', hasTargets: true },
+];
+
+export function estimateTokens(text) {
+  return Math.ceil((text?.length || 0) / CHARS_PER_TOKEN);
+}
+
+/**
+ * ChatContextService - Resolves @-mentions of the chat input into content
+ * A resolved mention is { kind, label, tokens, truncated, chunks: [{ label, content, tokens }] }
+ */
+class ChatContextService {
+  /**
+   * Targets of a mention kind in the active workspace
+   * @returns {Promise<Array<{ id: string, label: string }>>}
+   */
+  async listTargets(kind) {
+    const workspace = getActiveWorkspace();
+    if (!workspace) return [];
+
+    if (kind === 'terminal') {
+      return terminalStore.getWorkspaceTerminals(workspace.id).map((terminal) => ({ id: terminal.id, label: terminal.title }));
+    }
+    if (kind === 'browser') {
+      return get(browserStore).browsers
+        .filter((browser) => browser.workspaceId === workspace.id)
+        .map((browser) => ({ id: browser.id, label: browser.title || browser.url }));
+    }
+    if (kind === 'mind') {
+      const result = await window.electronAPI.mindList(workspace.path);
+      return result.success ? result.files.map((file) => ({ id: file.name, label: file.name })) : [];
+    }
+    return [];
+  }
+
+  /**
+   * Resolve a mention into content chunks
+   * Throws when there is nothing to attach (no open file, empty selection, ...)
+   */
+  async resolve(kind, target = null) {
+    const workspace = getActiveWorkspace();
+    if (!workspace) {
+      throw new Error('No workspace open');
+    }
+
+    switch (kind) {
+    case 'file': return this.resolveFile(workspace);
+    case 'selection': return this.resolveSelection(workspace);
+    case 'diagnostics': return this.resolveDiagnostics(workspace);
+    case 'diff': return this.resolveDiff(workspace);
+    case 'terminal': return this.resolveTerminal(target);
+    case 'mind': return this.resolveMindNote(workspace, target);
+    case 'browser': return this.resolveBrowser(target);
+    default: throw new Error(`Unknown mention: ${kind}`);
+    }
+  }
+
+  resolveFile(workspace) {
+    const tab = editorStore.getActiveTab();
+    if (!tab || tab.type !== 'editor' || !tab.path) {
+      throw new Error('No file is open in the active editor');
+    }
+
+    // The focused editor has the live content, including unsaved edits
+    const active = get(activeEditorStore);
+    const content = active.editor && active.filePath === tab.path ? active.editor.getValue() : tab.content;
+    return createMention('file', relativePath(workspace, tab.path), [{ label: relativePath(workspace, tab.path), content }]);
+  }
+
+  resolveSelection(workspace) {
+    const { editor, filePath } = get(activeEditorStore);
+    const selection = editor?.getSelection();
+    const model = editor?.getModel();
+    if (!selection || !model || selection.isEmpty()) {
+      throw new Error('Nothing is selected in the editor');
+    }
+
+    const label = `${relativePath(workspace, filePath)}:${selection.startLineNumber}-${selection.endLineNumber}`;
+    return createMention('selection', label, [{ label, content: model.getValueInRange(selection) }]);
+  }
+
+  resolveDiagnostics(workspace) {
+    const byFile = new Map();
+    for (const marker of monaco.editor.getModelMarkers({})) {
+      const file = marker.resource.scheme === 'inmemory'
+        ? marker.resource.toString()
+        : relativePath(workspace, marker.resource.path);
+      const lines = byFile.get(file) || [];
+      lines.push(`${file}:${marker.startLineNumber}:${marker.startColumn} ${severityLabel(marker.severity)}: ${marker.message}${marker.source ? ` (${marker.source})` : ''}`);
+      byFile.set(file, lines);
+    }
+
+    if (byFile.size === 0) {
+      throw new Error('No problems reported');
+    }
+    const chunks = [...byFile].map(([file, lines]) => ({ label: file, content: lines.join('\n') }));
+    return createMention('diagnostics', `Diagnostics (${byFile.size} ${byFile.size === 1 ? 'file' : 'files'})`, chunks);
+  }
+
+  async resolveDiff(workspace) {
+    if (workspace.isSSH) {
+      throw new Error('Git diff is not available for SSH workspaces');
+    }
+
+    const diff = await window.electronAPI.gitDiff({ cwd: workspace.path, file: '.' });
+    if (!diff?.trim()) {
+      throw new Error('No unstaged changes');
+    }
+
+    // One chunk per changed file
+    const chunks = diff.split(/^(?=diff --git )/m).filter(Boolean).map((fileDiff) => ({
+      label: fileDiff.match(/^diff --git a\/(.+?) b\//)?.[1] || 'diff',
+      content: fileDiff.trimEnd(),
+    }));
+    return createMention('diff', `Git diff (${chunks.length} ${chunks.length === 1 ? 'file' : 'files'})`, chunks);
+  }
+
+  resolveTerminal(terminalId) {
+    const terminal = get(terminalStore).terminals.find((t) => t.id === terminalId);
+    const scrollback = terminalStore.getScrollback(terminalId, TERMINAL_LINES);
+    if (!terminal || scrollback === null) {
+      throw new Error('Terminal is not open');
+    }
+    if (!scrollback) {
+      throw new Error('Terminal is empty');
+    }
+    return createMention('terminal', terminal.title, [{ label: terminal.title, content: scrollback }]);
+  }
+
+  async resolveMindNote(workspace, name) {
+    const result = await window.electronAPI.mindRead({ workspacePath: workspace.path, name });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return createMention('mind', name, [{ label: name, content: htmlToText(result.content) }]);
+  }
+
+  async resolveBrowser(browserId) {
+    const result = await window.electronAPI.browserGetPageText({ browserId });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (!result.text?.trim()) {
+      throw new Error('The page has no text');
+    }
+    const label = result.title || result.url;
+    return createMention('browser', label, [{ label: result.url, content: result.text.trim() }]);
+  }
+}
+
+/**
+ * Split content into chunks of about CHUNK_TOKENS at line boundaries,
+ * dropping what exceeds MAX_MENTION_TOKENS
+ */
+function createMention(kind, label, sources) {
+  const chunks = [];
+  let budget = MAX_MENTION_TOKENS * CHARS_PER_TOKEN;
+  let truncated = false;
+
+  for (const source of sources) {
+    const pieces = splitText(source.content, CHUNK_TOKENS * CHARS_PER_TOKEN);
+    pieces.forEach((piece, index) => {
+      if (budget <= 0) {
+        truncated = true;
+        return;
+      }
+      const content = piece.length > budget ? piece.slice(0, budget) : piece;
+      truncated = truncated || content.length < piece.length;
+      budget -= content.length;
+      chunks.push({
+        label: pieces.length > 1 ? `${source.label} (${index + 1}/${pieces.length})` : source.label,
+        content,
+        tokens: estimateTokens(content),
+      });
+    });
+  }
+
+  return {
+    kind,
+    label,
+    chunks,
+    truncated,
+    tokens: chunks.reduce((sum, chunk) => sum + chunk.tokens, 0),
+  };
+}
+
+function splitText(text, maxLength) {
+  if (text.length <= maxLength) return [text];
+
+  const pieces = [];
+  let current = '';
+  for (const line of text.split('\n')) {
+    if (current && current.length + line.length + 1 > maxLength) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// Text of a Mind note with block elements on their own lines
+function htmlToText(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, pre, blockquote, tr').forEach((element) => {
+    element.append('\n');
+  });
+  doc.querySelectorAll('li').forEach((element) => element.prepend('- '));
+  return doc.body.textContent.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function severityLabel(severity) {
+  switch (severity) {
+  case monaco.MarkerSeverity.Error: return 'error';
+  case monaco.MarkerSeverity.Warning: return 'warning';
+  case monaco.MarkerSeverity.Info: return 'info';
+  default: return 'hint';
+  }
+}
+
+function relativePath(workspace, filePath) {
+  const root = workspace.path.replace(/\/+$/, '');
+  return filePath?.startsWith(`${root}/`) ? filePath.slice(root.length + 1) : filePath;
+}
+
+function getActiveWorkspace() {
+  const { workspaces, activeWorkspaceId } = get(workspaceStore);
+  return workspaces.find((w) => w.id === activeWorkspaceId) || null;
+}
+
+export const chatContextService = new ChatContextService();
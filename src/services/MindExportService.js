@@ -0,0 +1,580 @@
+import {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  ExternalHyperlink,
+  ImageRun,
+  Table,
+  TableRow,
+  TableCell,
+  HeadingLevel,
+  LevelFormat,
+  AlignmentType,
+  BorderStyle,
+  ShadingType,
+  WidthType,
+} from 'docx';
+import { jsPDF } from 'jspdf';
+import html2canvas from 'html2canvas';
+import { saveAs } from 'file-saver';
+
+// A4 page and margins in PDF points, and the CSS width notes are laid out at
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const PAGE_MARGIN = 48;
+const RENDER_WIDTH = 700;
+const RENDER_SCALE = 2;
+
+// Widest image in a DOCX page, in pixels
+const MAX_IMAGE_WIDTH = 600;
+const MONOSPACE_FONT = 'Courier New';
+const ORDERED_LIST = 'mind-ordered-list';
+
+const HEADINGS = {
+  H1: HeadingLevel.HEADING_1,
+  H2: HeadingLevel.HEADING_2,
+  H3: HeadingLevel.HEADING_3,
+  H4: HeadingLevel.HEADING_4,
+  H5: HeadingLevel.HEADING_5,
+  H6: HeadingLevel.HEADING_6,
+};
+
+// Elements that end a line of text; PDF pages are only cut below one of them
+const BREAKABLE_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, li, tr, pre, blockquote, img, hr';
+
+// Same look as the note editor, for the offscreen page html2canvas renders
+const PDF_STYLES = `
+  .mind-export-page { width: ${RENDER_WIDTH}px; padding: 0; background: #ffffff; color: #1a1a1a; font-family: 'Calibri', sans-serif; font-size: 11pt; line-height: 1.15; }
+  .mind-export-page h1 { font-size: 2em; font-weight: 700; margin: 0 0 0.5em; line-height: 1.2; }
+  .mind-export-page h2 { font-size: 1.5em; font-weight: 600; margin: 1em 0 0.4em; line-height: 1.3; }
+  .mind-export-page h3 { font-size: 1.17em; font-weight: 600; margin: 0.8em 0 0.3em; line-height: 1.4; }
+  .mind-export-page p { margin: 0 0 8pt; }
+  .mind-export-page ul { padding-left: 24px; margin: 0.5em 0; list-style-type: disc; }
+  .mind-export-page ol { padding-left: 24px; margin: 0.5em 0; list-style-type: decimal; }
+  .mind-export-page li { margin: 0.25em 0; line-height: 1.6; }
+  .mind-export-page li p { margin: 0; }
+  .mind-export-page ul[data-type="taskList"] { list-style: none; padding-left: 0; }
+  .mind-export-page ul[data-type="taskList"] li { display: flex; align-items: flex-start; gap: 8px; }
+  .mind-export-page ul[data-type="taskList"] li[data-checked="true"] > div > p { text-decoration: line-through; color: #888; }
+  .mind-export-page table { border-collapse: collapse; width: 100%; margin: 1em 0; }
+  .mind-export-page th, .mind-export-page td { border: 1px solid #ccc; padding: 8px 12px; text-align: left; vertical-align: top; }
+  .mind-export-page th { background-color: #f5f5f5; font-weight: 600; }
+  .mind-export-page a, .mind-export-page .wiki-link { color: #0066cc; text-decoration: underline; }
+  .mind-export-page img { max-width: 100%; height: auto; margin: 1em 0; }
+  .mind-export-page code { background-color: #f5f5f5; border: 1px solid #ddd; border-radius: 3px; padding: 2px 6px; font-family: 'Courier New', monospace; font-size: 0.9em; }
+  .mind-export-page pre { background-color: #2d2d2d; border-radius: 6px; padding: 16px; margin: 1em 0; white-space: pre-wrap; }
+  .mind-export-page pre code { background: none; border: none; padding: 0; color: #f8f8f2; font-size: 13px; }
+  .mind-export-page blockquote { border-left: 4px solid #0066cc; padding-left: 16px; margin: 1em 0; color: #666; font-style: italic; }
+  .mind-export-page hr { border: none; border-top: 1px solid #ddd; margin: 2em 0; }
+`;
+
+/**
+ * MindExportService - Exports Mind notes as DOCX and paginated PDF files
+ * Notes are exported from their HTML; a folder export puts each note on new pages
+ * of a single document. Files are written through the main process's save dialog.
+ */
+class MindExportService {
+  /**
+   * Notes of a folder ('' for every note), or a single note when name is given
+   * @returns {Promise<Array<{ name: string, html: string }>>}
+   */
+  async loadNotes(workspacePath, { folder = '', name = null } = {}) {
+    let names = [name];
+    if (!name) {
+      const result = await window.electronAPI.mindList(workspacePath);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to list notes');
+      }
+      names = result.files
+        .map((file) => file.name)
+        .filter((noteName) => !folder || noteName.startsWith(`${folder}/`));
+    }
+
+    const notes = [];
+    for (const noteName of names) {
+      const result = await window.electronAPI.mindRead({ workspacePath, name: noteName });
+      if (!result.success) {
+        throw new Error(result.error || `Failed to read ${noteName}`);
+      }
+      notes.push({ name: noteName, html: result.content });
+    }
+    return notes;
+  }
+
+  /**
+   * Export notes and ask where to save the file
+   * @param {'pdf'|'docx'} format
+   * @returns {Promise<{ success: boolean, cancelled?: boolean, filePath?: string, error?: string }>}
+   */
+  async export(notes, format, title) {
+    if (notes.length === 0) {
+      return { success: false, error: 'There are no notes to export' };
+    }
+    const fileName = `${title.replace(/[\\/:*?"<>|]/g, '-')}.${format}`;
+    if (format === 'pdf') {
+      return this.save(await this.buildPdf(notes), fileName, { name: 'PDF', extensions: ['pdf'] });
+    }
+    return this.save(await this.buildDocx(notes), fileName, { name: 'Word Document', extensions: ['docx'] });
+  }
+
+  async save(bytes, fileName, filter) {
+    if (!window.electronAPI?.saveFileDialog) {
+      saveAs(new Blob([bytes]), fileName);
+      return { success: true };
+    }
+    return window.electronAPI.saveFileDialog({
+      defaultPath: fileName,
+      filters: [filter],
+      data: new Uint8Array(bytes),
+    });
+  }
+
+  /**
+   * DOCX of the notes, mapping their HTML to Word headings, lists, tables,
+   * images and links
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async buildDocx(notes) {
+    const context = { images: new Map(), listInstance: 0 };
+    const children = [];
+
+    for (const [index, note] of notes.entries()) {
+      const body = new DOMParser().parseFromString(note.html || '', 'text/html').body;
+      await this.loadImages(body, context.images);
+      const blocks = this.blocksToDocx(body.childNodes, context, {});
+      if (blocks.length === 0) {
+        blocks.push(new Paragraph({ text: '' }));
+      }
+      if (index > 0) {
+        // Start every note on a new page
+        children.push(new Paragraph({ pageBreakBefore: true, children: [] }));
+      }
+      children.push(...blocks);
+    }
+
+    const doc = new Document({
+      creator: 'Swarm IDE',
+      title: notes.length === 1 ? notes[0].name : 'Mind notes',
+      styles: {
+        default: {
+          document: { run: { font: 'Calibri', size: 22 } },
+        },
+      },
+      numbering: {
+        config: [{
+          reference: ORDERED_LIST,
+          levels: Array.from({ length: 9 }, (_, level) => ({
+            level,
+            format: [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN][level % 3],
+            text: `%${level + 1}.`,
+            alignment: AlignmentType.START,
+            style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } },
+          })),
+        }],
+      },
+      sections: [{ children }],
+    });
+    return Packer.toArrayBuffer(doc);
+  }
+
+  /**
+   * Decode the images of a note as PNG with their size, keyed by src. Images
+   * that can't be loaded (e.g. a remote image refusing CORS) are left out.
+   */
+  async loadImages(root, images) {
+    for (const img of root.querySelectorAll('img[src]')) {
+      const src = img.getAttribute('src');
+      if (images.has(src)) continue;
+      try {
+        images.set(src, await this.imageToPng(src));
+      } catch (error) {
+        console.warn('Skipping image in export:', src, error);
+        images.set(src, null);
+      }
+    }
+  }
+
+  imageToPng(src) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        canvas.toBlob(async (blob) => {
+          if (!blob) {
+            reject(new Error('Image could not be encoded'));
+            return;
+          }
+          resolve({
+            data: new Uint8Array(await blob.arrayBuffer()),
+            width: image.naturalWidth,
+            height: image.naturalHeight,
+          });
+        }, 'image/png');
+      };
+      image.onerror = () => reject(new Error('Image could not be loaded'));
+      image.src = src;
+    });
+  }
+
+  /**
+   * Block level HTML nodes to docx paragraphs and tables
+   * @param {object} block - paragraph options inherited from enclosing lists and quotes
+   */
+  blocksToDocx(nodes, context, block) {
+    const result = [];
+    let inline = [];
+
+    const flushInline = () => {
+      if (inline.some((node) => node.nodeType !== Node.TEXT_NODE || node.textContent.trim())) {
+        result.push(this.paragraph(inline, context, block));
+      }
+      inline = [];
+    };
+
+    for (const node of nodes) {
+      const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName : null;
+
+      if (!tag || !this.isBlock(node)) {
+        inline.push(node);
+        continue;
+      }
+      flushInline();
+
+      if (HEADINGS[tag]) {
+        result.push(this.paragraph(node.childNodes, context, { ...block, heading: HEADINGS[tag] }));
+      } else if (tag === 'P') {
+        result.push(this.paragraph(node.childNodes, context, block));
+      } else if (tag === 'UL' || tag === 'OL') {
+        result.push(...this.listToDocx(node, context, block));
+      } else if (tag === 'BLOCKQUOTE') {
+        result.push(...this.blocksToDocx(node.childNodes, context, {
+          ...block,
+          indent: { left: (block.indent?.left || 0) + 720 },
+          border: { left: { style: BorderStyle.SINGLE, size: 18, color: '0066CC', space: 8 } },
+          style: { ...block.style, italics: true, color: '666666' },
+        }));
+      } else if (tag === 'PRE') {
+        for (const line of node.textContent.replace(/\n$/, '').split('\n')) {
+          result.push(new Paragraph({
+            ...this.paragraphOptions(block),
+            shading: { type: ShadingType.CLEAR, fill: 'F5F5F5', color: 'auto' },
+            spacing: { after: 0 },
+            children: [new TextRun({ text: line, font: MONOSPACE_FONT, size: 20 })],
+          }));
+        }
+        block.listItemStart = false;
+      } else if (tag === 'HR') {
+        result.push(new Paragraph({
+          border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'DDDDDD', space: 1 } },
+          children: [],
+        }));
+      } else if (tag === 'TABLE') {
+        const table = this.tableToDocx(node, context);
+        if (table) result.push(table);
+      } else if (tag === 'IFRAME') {
+        const src = node.getAttribute('src');
+        if (src) {
+          result.push(new Paragraph({
+            ...this.paragraphOptions(block),
+            children: [new ExternalHyperlink({ link: src, children: [new TextRun({ text: src, style: 'Hyperlink' })] })],
+          }));
+        }
+      } else if (tag === 'IMG') {
+        result.push(this.paragraph([node], context, block));
+      } else {
+        // Wrappers such as div, section or a task item's content
+        result.push(...this.blocksToDocx(node.childNodes, context, block));
+      }
+    }
+    flushInline();
+    return result;
+  }
+
+  listToDocx(list, context, block) {
+    const level = block.list ? block.list.level + 1 : 0;
+    const ordered = list.tagName === 'OL';
+    const isTaskList = list.getAttribute('data-type') === 'taskList';
+    // Each ordered list restarts its numbering
+    const instance = ordered ? ++context.listInstance : 0;
+    const result = [];
+
+    for (const item of list.children) {
+      if (item.tagName !== 'LI') continue;
+      const listItem = { level, ordered, instance };
+      if (isTaskList) {
+        listItem.prefix = item.getAttribute('data-checked') === 'true' ? '☑ ' : '☐ ';
+      }
+
+      const content = [...item.childNodes].filter((node) => node.tagName !== 'LABEL');
+      result.push(...this.blocksToDocx(content, context, { ...block, list: listItem, listItemStart: true }));
+    }
+    return result;
+  }
+
+  tableToDocx(table, context) {
+    const rows = [...table.querySelectorAll('tr')].filter((row) => row.closest('table') === table);
+    if (rows.length === 0) return null;
+
+    return new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: rows.map((row) => new TableRow({
+        tableHeader: row.parentElement?.tagName === 'THEAD',
+        children: [...row.children].map((cell) => {
+          const isHeader = cell.tagName === 'TH';
+          const blocks = this.blocksToDocx(cell.childNodes, context, isHeader ? { style: { bold: true } } : {});
+          return new TableCell({
+            columnSpan: Number(cell.getAttribute('colspan')) || 1,
+            rowSpan: Number(cell.getAttribute('rowspan')) || 1,
+            shading: isHeader ? { type: ShadingType.CLEAR, fill: 'F5F5F5', color: 'auto' } : undefined,
+            margins: { top: 80, bottom: 80, left: 120, right: 120 },
+            children: blocks.length > 0 ? blocks : [new Paragraph({ children: [] })],
+          });
+        }),
+      })),
+    });
+  }
+
+  /**
+   * A paragraph of inline nodes. The first paragraph of a list item carries its
+   * bullet or number; later ones are indented to the item's text.
+   */
+  paragraph(nodes, context, block) {
+    const options = this.paragraphOptions(block);
+    const children = this.inlineToRuns(nodes, context, block.style || {});
+
+    if (block.list && block.listItemStart) {
+      block.listItemStart = false;
+      if (block.list.prefix) {
+        children.unshift(new TextRun({ text: block.list.prefix }));
+      }
+    }
+    return new Paragraph({ ...options, children });
+  }
+
+  paragraphOptions(block) {
+    const options = {};
+    if (block.heading) options.heading = block.heading;
+    if (block.border) options.border = block.border;
+
+    const list = block.list;
+    if (list && block.listItemStart && !list.prefix) {
+      if (list.ordered) {
+        options.numbering = { reference: ORDERED_LIST, level: list.level, instance: list.instance };
+      } else {
+        options.bullet = { level: list.level };
+      }
+    } else if (list) {
+      options.indent = { left: 720 * (list.level + 1) };
+    }
+    if (block.indent) {
+      options.indent = { left: (options.indent?.left || 0) + block.indent.left };
+    }
+    return options;
+  }
+
+  /**
+   * Inline HTML nodes to text runs, links and images
+   * @param {object} style - run options of the enclosing marks
+   */
+  inlineToRuns(nodes, context, style) {
+    const runs = [];
+    for (const node of nodes) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = node.textContent.replace(/\s+/g, ' ');
+        if (text) runs.push(new TextRun({ ...style, text }));
+        continue;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+
+      const tag = node.tagName;
+      if (tag === 'BR') {
+        runs.push(new TextRun({ ...style, break: 1 }));
+      } else if (tag === 'IMG') {
+        const image = this.imageRun(node, context);
+        if (image) runs.push(image);
+      } else if (tag === 'A' && node.getAttribute('href')) {
+        runs.push(new ExternalHyperlink({
+          link: node.getAttribute('href'),
+          children: this.inlineToRuns(node.childNodes, context, { ...style, style: 'Hyperlink' }),
+        }));
+      } else if (node.hasAttribute('data-wiki-link')) {
+        // Links to other notes can't be followed outside the app
+        runs.push(new TextRun({ ...style, text: node.getAttribute('data-wiki-link'), color: '0066CC' }));
+      } else if (tag === 'INPUT') {
+        continue;
+      } else {
+        runs.push(...this.inlineToRuns(node.childNodes, context, this.markStyle(node, style)));
+      }
+    }
+    return runs;
+  }
+
+  markStyle(element, style) {
+    const tag = element.tagName;
+    const next = { ...style };
+    if (tag === 'STRONG' || tag === 'B') next.bold = true;
+    if (tag === 'EM' || tag === 'I') next.italics = true;
+    if (tag === 'U') next.underline = {};
+    if (tag === 'S' || tag === 'DEL' || tag === 'STRIKE') next.strike = true;
+    if (tag === 'SUB') next.subScript = true;
+    if (tag === 'SUP') next.superScript = true;
+    if (tag === 'CODE') next.font = MONOSPACE_FONT;
+    if (tag === 'MARK') {
+      const fill = toHexColor(element.getAttribute('data-color') || element.style.backgroundColor) || 'FFFF00';
+      next.shading = { type: ShadingType.CLEAR, fill, color: 'auto' };
+    }
+
+    const color = toHexColor(element.style.color);
+    if (color) next.color = color;
+    const font = element.style.fontFamily?.split(',')[0].replace(/["']/g, '').trim();
+    if (font) next.font = font;
+    return next;
+  }
+
+  imageRun(img, context) {
+    const image = context.images.get(img.getAttribute('src'));
+    if (!image) return null;
+
+    const width = Number(img.getAttribute('width')) || image.width;
+    const scale = Math.min(1, MAX_IMAGE_WIDTH / width);
+    return new ImageRun({
+      type: 'png',
+      data: image.data,
+      transformation: {
+        width: Math.round(width * scale),
+        height: Math.round(image.height * (width / image.width) * scale),
+      },
+      altText: img.getAttribute('alt') ? { name: img.getAttribute('alt'), description: img.getAttribute('alt') } : undefined,
+    });
+  }
+
+  isBlock(element) {
+    return /^(P|H[1-6]|UL|OL|LI|BLOCKQUOTE|PRE|HR|TABLE|IFRAME|DIV|SECTION|ARTICLE|FIGURE)$/.test(element.tagName)
+      || (element.tagName === 'IMG' && element.parentElement?.tagName === 'BODY');
+  }
+
+  /**
+   * Paginated A4 PDF of the notes. Each note is rendered like the editor and
+   * cut into pages below whole lines, starting on a new page.
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async buildPdf(notes) {
+    const pdf = new jsPDF({ unit: 'pt', format: 'a4' });
+    const contentWidth = PAGE_WIDTH - PAGE_MARGIN * 2;
+    const pointsPerPixel = contentWidth / RENDER_WIDTH;
+    const pageHeight = (PAGE_HEIGHT - PAGE_MARGIN * 2) / pointsPerPixel;
+
+    const style = document.createElement('style');
+    style.textContent = PDF_STYLES;
+    const host = document.createElement('div');
+    host.style.cssText = 'position: fixed; left: -10000px; top: 0; pointer-events: none;';
+    document.body.append(style, host);
+
+    try {
+      let firstPage = true;
+      for (const note of notes) {
+        const page = document.createElement('div');
+        page.className = 'mind-export-page';
+        page.innerHTML = note.html || '';
+        this.prepareForPdf(page);
+        host.replaceChildren(page);
+
+        const canvas = await html2canvas(page, {
+          scale: RENDER_SCALE,
+          backgroundColor: '#ffffff',
+          useCORS: true,
+          logging: false,
+        });
+
+        for (const [start, end] of this.pageRanges(page, pageHeight)) {
+          if (!firstPage) pdf.addPage();
+          firstPage = false;
+
+          const slice = document.createElement('canvas');
+          slice.width = canvas.width;
+          slice.height = Math.max(1, Math.round((end - start) * RENDER_SCALE));
+          slice.getContext('2d').drawImage(
+            canvas,
+            0, Math.round(start * RENDER_SCALE), canvas.width, slice.height,
+            0, 0, canvas.width, slice.height,
+          );
+          pdf.addImage(
+            slice.toDataURL('image/jpeg', 0.92), 'JPEG',
+            PAGE_MARGIN, PAGE_MARGIN, contentWidth, (end - start) * pointsPerPixel,
+          );
+        }
+      }
+    } finally {
+      host.remove();
+      style.remove();
+    }
+    return pdf.output('arraybuffer');
+  }
+
+  /**
+   * Replace what html2canvas can't draw: embeds become links
+   */
+  prepareForPdf(page) {
+    for (const iframe of page.querySelectorAll('iframe')) {
+      const link = document.createElement('p');
+      const anchor = document.createElement('a');
+      anchor.textContent = iframe.getAttribute('src') || 'Embedded content';
+      link.append(anchor);
+      iframe.replaceWith(link);
+    }
+    for (const checkbox of page.querySelectorAll('input[type="checkbox"]')) {
+      checkbox.replaceWith(document.createTextNode(checkbox.checked || checkbox.hasAttribute('checked') ? '☑' : '☐'));
+    }
+  }
+
+  /**
+   * Vertical [start, end) ranges of the rendered note, in CSS pixels, that fit a
+   * page. Pages end at the lowest line bottom that fits, or are cut hard when a
+   * single element is taller than a page.
+   */
+  pageRanges(page, pageHeight) {
+    const top = page.getBoundingClientRect().top;
+    const total = page.scrollHeight;
+    const breaks = [...page.querySelectorAll(BREAKABLE_SELECTOR)]
+      .map((element) => Math.ceil(element.getBoundingClientRect().bottom - top))
+      .filter((bottom) => bottom > 0 && bottom < total)
+      .sort((a, b) => a - b);
+
+    const ranges = [];
+    let start = 0;
+    while (start < total) {
+      const limit = start + pageHeight;
+      let end = total;
+      if (limit < total) {
+        end = breaks.filter((bottom) => bottom > start && bottom <= limit).pop() || limit;
+      }
+      ranges.push([start, end]);
+      start = end;
+    }
+    return ranges.length > 0 ? ranges : [[0, 1]];
+  }
+}
+
+/**
+ * CSS color (#rgb, #rrggbb or rgb()) as the RRGGBB hex docx expects
+ */
+function toHexColor(value) {
+  if (!value) return null;
+  const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    return digits.toUpperCase();
+  }
+  const rgb = value.match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+  if (rgb) {
+    return rgb.slice(1, 4).map((channel) => Number(channel).toString(16).padStart(2, '0')).join('').toUpperCase();
+  }
+  return null;
+}
+
+export const mindExportService = new MindExportService();
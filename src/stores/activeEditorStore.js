@@ -0,0 +1,20 @@
+import { writable } from 'svelte/store';
+
+// Last focused Monaco editor and its file, for reading the live selection
+function createActiveEditorStore() {
+  const { subscribe, set, update } = writable({
+    editor: null,
+    filePath: null,
+    language: null,
+  });
+
+  return {
+    subscribe,
+    setEditor: (editor, filePath, language) => set({ editor, filePath, language }),
+    clear: (editor) => update((state) => (
+      state.editor === editor ? { editor: null, filePath: null, language: null } : state
+    )),
+  };
+}
+
+export const activeEditorStore = createActiveEditorStore();
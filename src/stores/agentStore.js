@@ -0,0 +1,40 @@
+import { writable } from 'svelte/store';
+
+// Agent actions waiting for the user: proposed file writes and commands
+// Each request resolves with the user's decision once accepted or rejected
+function createAgentStore() {
+  const { subscribe, update } = writable({
+    approvals: [], // { id, toolCallId, kind: 'write'|'command', filePath?, isNewFile?, command? }
+  });
+
+  const resolvers = new Map(); // approval id -> resolve
+
+  function resolve(id, decision) {
+    const done = resolvers.get(id);
+    if (!done) return;
+
+    resolvers.delete(id);
+    update((state) => ({ ...state, approvals: state.approvals.filter((approval) => approval.id !== id) }));
+    done(decision);
+  }
+
+  return {
+    subscribe,
+
+    // Wait for the user to decide; resolves with { approved, content? }
+    requestApproval: (approval) => new Promise((done) => {
+      resolvers.set(approval.id, done);
+      update((state) => ({ ...state, approvals: [...state.approvals, approval] }));
+    }),
+
+    resolve,
+
+    rejectAll: () => {
+      for (const id of [...resolvers.keys()]) {
+        resolve(id, { approved: false });
+      }
+    },
+  };
+}
+
+export const agentStore = createAgentStore();
@@ -1,14 +1,17 @@
 import { writable } from 'svelte/store';
 
+const FORMAT_ON_SAVE_KEY = 'editor.formatOnSave';
+
 // Main app state store
 function createAppStore() {
   const { subscribe, set, update } = writable({
     currentProject: null, // { path, name, lastOpened }
     theme: 'light',
-    activePanel: 'explorer', // 'explorer', 'git', 'search'
+    activePanel: 'explorer', // 'explorer', 'outline', 'timeline', 'git', 'search'
     sidebarVisible: true, // sidebar visibility
     overlayVisible: false, // tracks if any overlay (workspace switcher, modals) is open
     iconTheme: 'material', // 'material' or 'vscode'
+    formatOnSave: localStorage.getItem(FORMAT_ON_SAVE_KEY) === 'true', // opt-in LSP formatting on Ctrl+S
   });
 
   return {
@@ -36,6 +39,10 @@ function createAppStore() {
       overlayVisible: visible
     })),
     setIconTheme: (theme) => update((state) => ({ ...state, iconTheme: theme })),
+    setFormatOnSave: (enabled) => {
+      localStorage.setItem(FORMAT_ON_SAVE_KEY, String(enabled));
+      update((state) => ({ ...state, formatOnSave: enabled }));
+    },
   };
 }
 
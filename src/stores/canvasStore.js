@@ -12,7 +12,7 @@ function getInitialCanvasState() {
       {
         id: 'canvas-1',
         name: 'Main',
-        type: 'editor', // 'editor' or 'mind'
+        type: 'editor', // 'editor', 'mind', 'git', 'browser' or 'whiteboard'
         color: '#0071e3',
         createdAt: Date.now(),
       }
@@ -22,6 +22,11 @@ function getInitialCanvasState() {
   };
 }
 
+// Id of a new whiteboard, also its file name in .swarm/whiteboards
+export function createWhiteboardId() {
+  return `board-${Date.now().toString(36)}`;
+}
+
 // Canvas store - manages canvas creation/switching per workspace
 function createCanvasStore() {
   const store = writable(getInitialCanvasState());
@@ -69,7 +74,7 @@ function createCanvasStore() {
       const newCanvas = {
         id: `canvas-${state.nextCanvasId}`,
         name: name || `Canvas ${state.nextCanvasId}`,
-        type, // 'editor' or 'mind'
+        type, // 'editor', 'mind', 'git', 'browser' or 'whiteboard'
         color,
         createdAt: Date.now(),
       };
@@ -185,6 +190,34 @@ function createCanvasStore() {
       return browserCanvas;
     },
 
+    // Add a whiteboard canvas; without an id it starts a new board
+    // (saved to .swarm/whiteboards/<whiteboardId>.json)
+    addWhiteboardCanvas: (name, whiteboardId = null) => update((state) => {
+      const newCanvas = {
+        id: `canvas-${state.nextCanvasId}`,
+        name: name || `Whiteboard ${state.nextCanvasId}`,
+        type: 'whiteboard',
+        whiteboardId: whiteboardId || createWhiteboardId(),
+        color: '#34c759',
+        createdAt: Date.now(),
+      };
+
+      return {
+        ...state,
+        canvases: [...state.canvases, newCanvas],
+        activeCanvasId: newCanvas.id,
+        nextCanvasId: state.nextCanvasId + 1,
+      };
+    }),
+
+    // Show another saved whiteboard in a whiteboard canvas
+    setCanvasWhiteboard: (canvasId, whiteboardId, name) => update((state) => ({
+      ...state,
+      canvases: state.canvases.map((c) =>
+        c.id === canvasId ? { ...c, whiteboardId, name } : c,
+      ),
+    })),
+
     // Remove canvas (can't remove last one)
     removeCanvas: (canvasId) => update((state) => {
       if (state.canvases.length <= 1) return state;
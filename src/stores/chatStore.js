@@ -0,0 +1,297 @@
+import { writable, get } from 'svelte/store';
+import { workspaceStore } from './workspaceStore.js';
+import { agentToolService, AGENT_TOOLS } from '../services/AgentToolService.js';
+
+// Replies that call tools are continued at most this many times per message
+const MAX_TOOL_ROUNDS = 20;
+
+// Agent chat conversation of the active workspace
+// The main process streams replies; history is saved to .swarm/chat/ of local workspaces
+// In local workspaces the agent can call IDE tools; their calls and results are
+// kept on the assistant message that made them
+function createChatStore() {
+  const { subscribe, update } = writable({
+    workspacePath: null,
+    persist: false, // SSH workspaces keep their conversation in memory only and get no tools
+    messages: [], // { id, role: 'user'|'assistant', content, context?, status?: 'streaming'|'done'|'cancelled'|'error', error?, requestId?, toolCalls? }
+    requestId: null, // request currently streaming
+    busy: false, // a reply or its tool calls are running
+  });
+
+  let nextId = Date.now();
+  let listening = false;
+  let stopped = false;
+  let currentRun = 0;
+
+  // Conversation per workspace for the current session, so switching back doesn't reload
+  const conversations = new Map();
+
+  function listen() {
+    if (listening || !window.electronAPI?.onChatDelta) return;
+    listening = true;
+
+    window.electronAPI.onChatDelta(({ requestId, text }) => {
+      updateMessage((message) => message.requestId === requestId, (message) => ({
+        ...message,
+        content: message.content + text,
+      }));
+    });
+  }
+
+  function updateMessage(match, change) {
+    update((state) => ({
+      ...state,
+      messages: state.messages.map((message) => (match(message) ? change(message) : message)),
+    }));
+  }
+
+  async function loadWorkspace(workspace) {
+    const state = get({ subscribe });
+    const workspacePath = workspace?.path || null;
+    if (workspacePath === state.workspacePath) return;
+
+    if (state.busy) {
+      stop();
+      currentRun++;
+    }
+    if (state.workspacePath) {
+      const messages = settle(state.messages);
+      conversations.set(state.workspacePath, messages);
+      saveHistory({ ...state, messages });
+    }
+
+    const persist = !!workspacePath && !workspace.isSSH;
+    update((s) => ({ ...s, workspacePath, persist, messages: conversations.get(workspacePath) || [], requestId: null, busy: false }));
+
+    if (persist && !conversations.has(workspacePath) && window.electronAPI?.chatLoadHistory) {
+      const result = await window.electronAPI.chatLoadHistory({ workspacePath });
+      // Ignore the result if the workspace changed while loading
+      if (get({ subscribe }).workspacePath === workspacePath) {
+        update((s) => ({ ...s, messages: settle(result.messages || []) }));
+      }
+    }
+  }
+
+  // Replies still marked as streaming were cut off (workspace switch, app closed),
+  // as were tool calls that never finished
+  function settle(messages) {
+    return messages.map((message) => {
+      const toolCalls = message.toolCalls?.map((call) => (
+        call.status === 'pending' || call.status === 'running'
+          ? { ...call, status: 'cancelled', result: 'Cancelled by the user.' }
+          : call
+      ));
+      return message.status === 'streaming'
+        ? { ...message, toolCalls, status: 'cancelled', requestId: null }
+        : { ...message, toolCalls };
+    });
+  }
+
+  async function saveHistory({ workspacePath, persist, messages } = get({ subscribe })) {
+    if (!persist || !window.electronAPI?.chatSaveHistory) return;
+
+    const saved = messages.map(({ id, role, content, context, status, error, toolCalls }) => ({ id, role, content, context, status, error, toolCalls }));
+    await window.electronAPI.chatSaveHistory({ workspacePath, messages: saved });
+  }
+
+  // Text of a user message with its @-mentioned context appended
+  function withContext(message) {
+    const blocks = (message.context || []).flatMap((mention) => mention.chunks.map((chunk) => (
+      `<context type="${mention.kind}" source="${chunk.label}">\n${chunk.content}\n</context>`
+    )));
+    return [message.content, ...blocks].filter(Boolean).join('\n\n');
+  }
+
+  // Messages sent to the provider: completed turns only, with consecutive turns
+  // of the same role merged because providers expect roles to alternate.
+  // Tool calls are followed by one tool message per call, since providers
+  // reject calls without results
+  function toProviderMessages(messages) {
+    const result = [];
+    for (const message of messages) {
+      const toolCalls = message.toolCalls || [];
+      const content = message.role === 'user' ? withContext(message) : message.content;
+      if ((!content && toolCalls.length === 0) || message.status === 'error') continue;
+
+      const last = result[result.length - 1];
+      if (toolCalls.length > 0) {
+        result.push({
+          role: 'assistant',
+          content: message.content,
+          toolCalls: toolCalls.map(({ id, name, arguments: args }) => ({ id, name, arguments: args })),
+        });
+        for (const call of toolCalls) {
+          result.push({ role: 'tool', toolCallId: call.id, content: call.result ?? 'Cancelled by the user.' });
+        }
+      } else if (last && last.role === message.role && !last.toolCalls) {
+        last.content += `\n\n${content}`;
+      } else {
+        result.push({ role: message.role, content });
+      }
+    }
+    return result;
+  }
+
+  // Stream the reply of an assistant message, then run the tools it calls and
+  // continue with a new assistant message until the agent answers without tools
+  async function run(assistantId) {
+    listen();
+    const runId = ++currentRun;
+    // Files the agent writes during this run are one change set in the timeline
+    const sessionId = `agent-${Date.now()}`;
+    stopped = false;
+    update((state) => ({ ...state, busy: true }));
+
+    let currentId = assistantId;
+    for (let round = 1; ; round++) {
+      const result = await stream(currentId);
+      if (!result.toolCalls?.length) break;
+
+      await runTools(currentId, result.toolCalls, sessionId);
+      if (stopped || runId !== currentRun) break;
+      if (round >= MAX_TOOL_ROUNDS) {
+        updateMessage((message) => message.id === currentId, (message) => ({
+          ...message,
+          status: 'error',
+          error: `Stopped after ${MAX_TOOL_ROUNDS} rounds of tool calls`,
+        }));
+        break;
+      }
+
+      const next = { id: nextId++, role: 'assistant', content: '', status: 'streaming' };
+      update((state) => ({ ...state, messages: [...state.messages, next] }));
+      currentId = next.id;
+    }
+
+    // A run abandoned by a workspace switch leaves the new conversation alone
+    if (runId !== currentRun) return;
+    update((state) => ({ ...state, busy: false }));
+    await saveHistory();
+  }
+
+  // Stream one reply from the conversation before the assistant message
+  async function stream(assistantId) {
+    const requestId = `chat-${assistantId}-${Date.now()}`;
+    const { messages, persist } = get({ subscribe });
+    const index = messages.findIndex((message) => message.id === assistantId);
+    const providerMessages = toProviderMessages(messages.slice(0, index));
+
+    update((state) => ({ ...state, requestId }));
+    updateMessage((message) => message.id === assistantId, (message) => ({
+      ...message,
+      content: '',
+      status: 'streaming',
+      error: null,
+      requestId,
+      toolCalls: undefined,
+    }));
+
+    const result = await window.electronAPI.chatSend({
+      requestId,
+      messages: providerMessages,
+      tools: persist ? AGENT_TOOLS : [],
+    });
+
+    let status = 'done';
+    if (result.cancelled) {
+      status = 'cancelled';
+    } else if (!result.success) {
+      status = 'error';
+    }
+
+    const toolCalls = status === 'done' && result.toolCalls?.length
+      ? result.toolCalls.map((call) => ({ ...call, status: 'pending' }))
+      : undefined;
+
+    updateMessage((message) => message.requestId === requestId, (message) => ({
+      ...message,
+      content: result.content,
+      status,
+      error: result.error || null,
+      requestId: null,
+      toolCalls,
+    }));
+    update((state) => (state.requestId === requestId ? { ...state, requestId: null } : state));
+    return { toolCalls };
+  }
+
+  // Run the tool calls of an assistant message one after another
+  async function runTools(assistantId, toolCalls, sessionId) {
+    const { workspacePath } = get({ subscribe });
+    const setCall = (callId, fields) => updateMessage((message) => message.id === assistantId, (message) => ({
+      ...message,
+      toolCalls: message.toolCalls.map((call) => (call.id === callId ? { ...call, ...fields } : call)),
+    }));
+
+    for (const call of toolCalls) {
+      if (stopped) {
+        setCall(call.id, { status: 'cancelled', result: 'Cancelled by the user.' });
+        continue;
+      }
+
+      setCall(call.id, { status: 'running' });
+      const { status, result } = await agentToolService.execute(call, workspacePath, sessionId);
+      // Tools of a workspace that was switched away from are abandoned
+      if (get({ subscribe }).workspacePath !== workspacePath) return;
+      setCall(call.id, { status: stopped && status === 'denied' ? 'cancelled' : status, result });
+    }
+  }
+
+  // Stop streaming and any tool calls: pending reviews are rejected, commands killed
+  function stop() {
+    stopped = true;
+    const { requestId } = get({ subscribe });
+    if (requestId) {
+      window.electronAPI.chatCancel({ requestId });
+    }
+    agentToolService.cancelAll();
+  }
+
+  workspaceStore.subscribe(($workspaceStore) => {
+    loadWorkspace($workspaceStore.workspaces.find((w) => w.id === $workspaceStore.activeWorkspaceId));
+  });
+
+  return {
+    subscribe,
+
+    // Send a user message with its resolved @-mentions and stream the reply
+    send: async (text, context = []) => {
+      const content = text.trim();
+      if ((!content && context.length === 0) || get({ subscribe }).busy) return;
+
+      const userMessage = { id: nextId++, role: 'user', content, ...(context.length > 0 ? { context } : {}) };
+      const assistantMessage = { id: nextId++, role: 'assistant', content: '', status: 'streaming' };
+      update((state) => ({ ...state, messages: [...state.messages, userMessage, assistantMessage] }));
+      await run(assistantMessage.id);
+    },
+
+    // Regenerate an assistant reply, dropping everything after it
+    retry: async (assistantId) => {
+      if (get({ subscribe }).busy) return;
+
+      update((state) => {
+        const index = state.messages.findIndex((message) => message.id === assistantId);
+        return index === -1 ? state : { ...state, messages: state.messages.slice(0, index + 1) };
+      });
+      await run(assistantId);
+    },
+
+    // Stop the streaming reply and its tool calls, keeping what arrived so far
+    cancel: () => {
+      if (get({ subscribe }).busy) {
+        stop();
+      }
+    },
+
+    clear: async () => {
+      if (get({ subscribe }).busy) {
+        stop();
+      }
+      currentRun++;
+      update((state) => ({ ...state, messages: [], requestId: null, busy: false }));
+      await saveHistory();
+    },
+  };
+}
+
+export const chatStore = createChatStore();
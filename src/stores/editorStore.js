@@ -1,6 +1,7 @@
 import { writable, derived } from 'svelte/store';
 import { workspaceStore } from './workspaceStore.js';
 import { canvasStore } from './canvasStore.js';
+import { gitStore } from './gitStore.js';
 
 // Media file extensions
 const IMAGE_EXTENSIONS = new Set([
@@ -791,6 +792,12 @@ function createEditorStore() {
       return activePaneId;
     },
 
+    // Get the active tab of the active pane
+    getActiveTab: () => {
+      const pane = findPaneById(currentState.layout, currentState.activePaneId);
+      return pane?.tabs?.find((t) => t.id === pane.activeTabId) || null;
+    },
+
     // Mark tab as dirty (unsaved changes)
     setTabDirty: (paneId, tabId, isDirty) => update((state) => {
       const pane = findPaneById(state.layout, paneId);
@@ -986,56 +993,55 @@ function createEditorStore() {
     }),
 
     // Open git diff view for a file
-    openGitDiff: async (filePath, isStaged = false) => {
-      const pane = findPaneById(currentState.layout, currentState.activePaneId);
-      
-      if (!pane || pane.paneType !== 'editor') return;
-
-      // Check if diff already open for this file
-      const existingTab = pane.tabs.find((t) => t.type === 'diff' && t.filePath === filePath);
-      if (existingTab) {
-        update((state) => {
-          const targetPane = findPaneById(state.layout, state.activePaneId);
-          if (targetPane) {
-            targetPane.activeTabId = existingTab.id;
-          }
-          return { ...state };
-        });
+    // Diff of a changed file as git sees it (see gitStore.getDiffSides).
+    // filePath is relative to the workspace, as in git status; originalPath is
+    // the old path of a renamed file
+    openGitDiff: async (filePath, isStaged = false, originalPath = null) => {
+      let sides;
+      try {
+        sides = await gitStore.getDiffSides(filePath, { staged: isStaged, originalPath });
+      } catch (error) {
+        console.error('[editorStore] Failed to load git diff:', error);
         return;
       }
-
-      // Get original and modified content
-      let originalContent = '';
-      let modifiedContent = '';
-      
-      if (window.electronAPI) {
-        // Get current file content (modified)
-        const result = await window.electronAPI.readFile(filePath);
-        if (result && result.content) {
-          modifiedContent = result.content;
-        }
-        
-        // Get original content from git
-        // TODO: Could optimize by getting HEAD version from git
-        // For now, we'll show diff view with empty original if needed
-      }
-
-      const fileName = filePath.split('/').pop();
-      const language = getLanguageFromFilename(fileName);
+      if (!sides) return;
+
+      const absolutePath = filePath.startsWith('/') ? filePath : `${sides.cwd}/${filePath}`;
+      const fileName = absolutePath.split('/').pop();
+      const gitChange = {
+        change: sides.change,
+        originalPath: sides.originalPath,
+        binary: sides.original.binary || sides.modified.binary,
+        tooLarge: sides.original.tooLarge || sides.modified.tooLarge,
+        originalSize: sides.original.size,
+        modifiedSize: sides.modified.size,
+      };
 
       update((state) => {
         const targetPane = findPaneById(state.layout, state.activePaneId);
         if (!targetPane || targetPane.paneType !== 'editor') return state;
 
+        // Reopening a diff refreshes it, since the file may have changed since
+        const existingTab = targetPane.tabs.find((t) => t.type === 'diff' && t.gitChange
+          && t.filePath === absolutePath && t.isStaged === isStaged);
+        if (existingTab) {
+          existingTab.originalContent = sides.original.content;
+          existingTab.modifiedContent = sides.modified.content;
+          existingTab.gitChange = gitChange;
+          targetPane.activeTabId = existingTab.id;
+          return { ...state };
+        }
+
         const newTab = {
           id: `tab-${state.nextTabId}`,
           type: 'diff',
-          filePath: filePath,
-          name: fileName,
-          originalContent: originalContent,
-          modifiedContent: modifiedContent,
-          language: language,
+          filePath: absolutePath,
+          name: gitChange.originalPath ? `${gitChange.originalPath.split('/').pop()} → ${fileName}` : fileName,
+          originalContent: sides.original.content,
+          modifiedContent: sides.modified.content,
+          language: getLanguageFromFilename(fileName),
           isStaged: isStaged,
+          gitChange,
         };
 
         targetPane.tabs.push(newTab);
@@ -1048,6 +1054,160 @@ function createEditorStore() {
       });
     },
 
+    // Open an agent's proposed write as an editable diff against the current file
+    openProposedEdit: (proposalId, filePath, originalContent, modifiedContent) => update((state) => {
+      const targetPane = findPaneById(state.layout, state.activePaneId);
+      if (!targetPane || targetPane.paneType !== 'editor') return state;
+
+      const fileName = filePath.split('/').pop();
+      const newTab = {
+        id: `tab-${state.nextTabId}`,
+        type: 'diff',
+        proposalId,
+        filePath,
+        name: `${fileName} (proposed)`,
+        originalContent,
+        modifiedContent,
+        language: getLanguageFromFilename(fileName),
+      };
+
+      targetPane.tabs.push(newTab);
+      targetPane.activeTabId = newTab.id;
+
+      return {
+        ...state,
+        nextTabId: state.nextTabId + 1,
+      };
+    }),
+
+    // Open a timeline snapshot against the current file or another snapshot
+    // timeline: { workspacePath, snapshotId, compareToId (null for the current file), originalLabel, modifiedLabel }
+    openTimelineDiff: (filePath, timeline, originalContent, modifiedContent) => update((state) => {
+      const targetPane = findPaneById(state.layout, state.activePaneId);
+      if (!targetPane || targetPane.paneType !== 'editor') return state;
+
+      const existingTab = targetPane.tabs.find((t) => t.type === 'diff' && t.filePath === filePath
+        && t.timeline?.snapshotId === timeline.snapshotId && t.timeline?.compareToId === timeline.compareToId);
+      if (existingTab) {
+        existingTab.originalContent = originalContent;
+        existingTab.modifiedContent = modifiedContent;
+        targetPane.activeTabId = existingTab.id;
+        return { ...state };
+      }
+
+      const fileName = filePath.split('/').pop();
+      const newTab = {
+        id: `tab-${state.nextTabId}`,
+        type: 'diff',
+        timeline,
+        filePath,
+        name: `${fileName} (${timeline.originalLabel} ↔ ${timeline.modifiedLabel})`,
+        originalContent,
+        modifiedContent,
+        language: getLanguageFromFilename(fileName),
+      };
+
+      targetPane.tabs.push(newTab);
+      targetPane.activeTabId = newTab.id;
+
+      return {
+        ...state,
+        nextTabId: state.nextTabId + 1,
+      };
+    }),
+
+    // Focus the review tab of a proposal, if it is still open
+    showProposedEdit: (proposalId) => update((state) => {
+      for (const pane of collectAllPanes(state.layout)) {
+        const tab = pane.tabs?.find((t) => t.proposalId === proposalId);
+        if (tab) {
+          pane.activeTabId = tab.id;
+          state.activePaneId = pane.id;
+          return { ...state };
+        }
+      }
+      return state;
+    }),
+
+    // Close the review tab of a proposal once it is accepted or rejected
+    closeProposedEdit: (proposalId) => update((state) => {
+      for (const pane of collectAllPanes(state.layout)) {
+        const tabIndex = pane.tabs?.findIndex((t) => t.proposalId === proposalId) ?? -1;
+        if (tabIndex === -1) continue;
+
+        const [tab] = pane.tabs.splice(tabIndex, 1);
+        if (pane.activeTabId === tab.id) {
+          pane.activeTabId = pane.tabs[Math.max(0, tabIndex - 1)]?.id || null;
+        }
+      }
+      return { ...state };
+    }),
+
+    // Replace the content of open tabs of a file written outside the editor
+    // Tabs with unsaved changes keep their content
+    setFileContent: (filePath, content) => update((state) => {
+      for (const pane of collectAllPanes(state.layout)) {
+        for (const tab of pane.tabs || []) {
+          if (tab.type === 'editor' && tab.path === filePath && !tab.isDirty) {
+            tab.content = content;
+          }
+        }
+      }
+      return { ...state };
+    }),
+
+    // Show a file's new content in the timeline diffs comparing against it
+    setTimelineDiffContent: (filePath, content) => update((state) => {
+      for (const pane of collectAllPanes(state.layout)) {
+        for (const tab of pane.tabs || []) {
+          if (tab.type === 'diff' && tab.filePath === filePath && tab.timeline && !tab.timeline.compareToId) {
+            tab.modifiedContent = content;
+          }
+        }
+      }
+      return { ...state };
+    }),
+
+    // Follow Mind notes that were renamed or moved ({ from, to } note names)
+    renameMindTabs: (workspacePath, moves) => update((state) => {
+      for (const pane of collectAllPanes(state.layout)) {
+        for (const tab of pane.tabs || []) {
+          const move = tab.type === 'mind' && tab.workspacePath === workspacePath && moves.find((m) => m.from === tab.name);
+          if (move) {
+            tab.name = move.to;
+            tab.filePath = `${workspacePath}/.swarm/mind/${move.to}.html`;
+          }
+        }
+      }
+      return { ...state };
+    }),
+
+    // Names of the Mind notes of a workspace that are open in a tab
+    getOpenMindNotes: (workspacePath) => {
+      const names = new Set();
+      for (const pane of collectAllPanes(currentState.layout)) {
+        for (const tab of pane.tabs || []) {
+          if (tab.type === 'mind' && tab.workspacePath === workspacePath) {
+            names.add(tab.name);
+          }
+        }
+      }
+      return [...names];
+    },
+
+    // Replace the content of open Mind tabs after the note changed on disk
+    setMindContent: (filePath, content) => update((state) => {
+      for (const pane of collectAllPanes(state.layout)) {
+        for (const tab of pane.tabs || []) {
+          if (tab.type === 'mind' && tab.filePath === filePath) {
+            tab.content = content;
+            tab.isDirty = false;
+          }
+        }
+      }
+      return { ...state };
+    }),
+
     // Open commit view
     openCommitView: () => {
       const pane = findPaneById(currentState.layout, currentState.activePaneId);
@@ -1087,6 +1247,125 @@ function createEditorStore() {
       });
     },
 
+    // Open the history graph, optionally with a commit selected
+    openGitHistory: (selectedHash = null) => update((state) => {
+      const targetPane = findPaneById(state.layout, state.activePaneId);
+      if (!targetPane || targetPane.paneType !== 'editor') return state;
+
+      const existingTab = targetPane.tabs.find((t) => t.type === 'history');
+      if (existingTab) {
+        if (selectedHash) {
+          existingTab.selectedHash = selectedHash;
+        }
+        targetPane.activeTabId = existingTab.id;
+        return { ...state };
+      }
+
+      const newTab = {
+        id: `tab-${state.nextTabId}`,
+        type: 'history',
+        name: 'History',
+        selectedHash,
+      };
+
+      targetPane.tabs.push(newTab);
+      targetPane.activeTabId = newTab.id;
+
+      return {
+        ...state,
+        nextTabId: state.nextTabId + 1,
+      };
+    }),
+
+    // Open a conflicted file in the merge editor, which loads its versions
+    // itself (see gitStore.getConflictSides). filePath is relative to the
+    // workspace, as in git status
+    openMergeEditor: (filePath) => update((state) => {
+      const targetPane = findPaneById(state.layout, state.activePaneId);
+      if (!targetPane || targetPane.paneType !== 'editor') return state;
+
+      const existingTab = targetPane.tabs.find((t) => t.type === 'merge' && t.filePath === filePath);
+      if (existingTab) {
+        targetPane.activeTabId = existingTab.id;
+        return { ...state };
+      }
+
+      const fileName = filePath.split('/').pop();
+      const newTab = {
+        id: `tab-${state.nextTabId}`,
+        type: 'merge',
+        filePath,
+        name: `${fileName} (merge)`,
+        language: getLanguageFromFilename(fileName),
+      };
+
+      targetPane.tabs.push(newTab);
+      targetPane.activeTabId = newTab.id;
+
+      return {
+        ...state,
+        nextTabId: state.nextTabId + 1,
+      };
+    }),
+
+    // Open the change a commit (see gitStore.getCommitDetails) made to a file,
+    // against its first parent
+    openCommitDiff: async (commit, file) => {
+      let sides;
+      try {
+        sides = await gitStore.getCommitDiffSides(commit, file);
+      } catch (error) {
+        console.error('[editorStore] Failed to load commit diff:', error);
+        return;
+      }
+      if (!sides) return;
+
+      const absolutePath = `${sides.cwd}/${file.path}`;
+      const fileName = file.path.split('/').pop();
+      const shortHash = commit.hash.slice(0, 7);
+      const changes = { A: 'added', D: 'deleted', R: 'renamed' };
+      const gitChange = {
+        change: changes[file.status] || 'modified',
+        originalPath: file.from || null,
+        binary: sides.original.binary || sides.modified.binary,
+        tooLarge: sides.original.tooLarge || sides.modified.tooLarge,
+        originalSize: sides.original.size,
+        modifiedSize: sides.modified.size,
+      };
+
+      update((state) => {
+        const targetPane = findPaneById(state.layout, state.activePaneId);
+        if (!targetPane || targetPane.paneType !== 'editor') return state;
+
+        const existingTab = targetPane.tabs.find((t) => t.type === 'diff' && t.commit?.hash === commit.hash
+          && t.filePath === absolutePath);
+        if (existingTab) {
+          targetPane.activeTabId = existingTab.id;
+          return { ...state };
+        }
+
+        const newTab = {
+          id: `tab-${state.nextTabId}`,
+          type: 'diff',
+          filePath: absolutePath,
+          name: `${fileName} (${shortHash})`,
+          originalContent: sides.original.content,
+          modifiedContent: sides.modified.content,
+          language: getLanguageFromFilename(fileName),
+          commit: { hash: commit.hash, parent: commit.parents[0] || null, subject: commit.message.split('\n')[0] },
+          gitChange,
+        };
+
+        targetPane.tabs.push(newTab);
+        targetPane.activeTabId = newTab.id;
+
+        return {
+          ...state,
+          nextTabId: state.nextTabId + 1,
+        };
+      });
+    },
+
     // Clear all editor state (for workspace switch)
     clearState: () => {
       set(getInitialState());
@@ -1129,6 +1408,12 @@ function findPaneById(layout, paneId) {
   return findPaneById(layout.right, paneId);
 }
 
+// Helper: Collect all panes of the layout tree
+function collectAllPanes(layout) {
+  if (layout.type === 'pane') return [layout];
+  return [...collectAllPanes(layout.left), ...collectAllPanes(layout.right)];
+}
+
 // Helper: Find pane by terminal ID in layout tree
 function findPaneByTerminalId(layout, terminalId) {
   if (layout.type === 'pane' && layout.paneType === 'terminal' && layout.terminalIds.includes(terminalId)) {
@@ -6,11 +6,20 @@ function createGitStore() {
   const { subscribe, set, update } = writable({
     workspaceGitData: {}, // Map of workspacePath -> gitData
     currentWorkspacePath: null,
+    progress: null, // { operation, stage, progress } of a running branch operation
   });
 
   let currentPath = null;
   let refreshInterval = null;
 
+  window.electronAPI?.onGitProgress?.(({ cwd, operation, stage, progress }) => {
+    if (cwd !== currentPath) return;
+    update((state) => ({
+      ...state,
+      progress: stage === 'done' ? null : { operation, stage, progress },
+    }));
+  });
+
   // Subscribe to workspace changes
   activeWorkspacePath.subscribe((path) => {
     currentPath = path;
@@ -51,9 +60,11 @@ function createGitStore() {
         workspaceGitData: {
           ...state.workspaceGitData,
           [workspacePath]: {
-            status: { files: [], staged: [], modified: [], not_added: [], deleted: [], renamed: [] },
+            status: { files: [], staged: [], modified: [], not_added: [], deleted: [], renamed: [], conflicted: [] },
             branches: { all: [], branches: {}, current: '' },
             log: { all: [], latest: null, total: 0 },
+            repoState: { operation: null, conflicts: [] },
+            stashes: [],
             lastUpdated: Date.now(),
             isSSH: true
           }
@@ -63,10 +74,12 @@ function createGitStore() {
     }
     
     try {
-      const [status, branches, log] = await Promise.all([
+      const [status, branches, log, repoState, stashList] = await Promise.all([
         window.electronAPI.gitStatus({ cwd: workspacePath }),
         window.electronAPI.gitBranches({ cwd: workspacePath }),
-        window.electronAPI.gitLog({ cwd: workspacePath, maxCount: 50 })
+        window.electronAPI.gitLog({ cwd: workspacePath, maxCount: 50 }),
+        window.electronAPI.gitRepoState({ cwd: workspacePath }),
+        window.electronAPI.gitStashList({ cwd: workspacePath }),
       ]);
 
       update((state) => ({
@@ -77,6 +90,8 @@ function createGitStore() {
             status,
             branches,
             log,
+            repoState: repoState.success ? repoState : { operation: null, conflicts: [] },
+            stashes: stashList.success ? stashList.stashes : [],
             lastUpdated: Date.now()
           }
         }
@@ -86,6 +101,18 @@ function createGitStore() {
     }
   }
 
+  // Run a branch operation (see runGitOperation in main.mjs) and reload the
+  // repository state; the result tells whether it stopped on conflicts
+  async function runOperation(invoke) {
+    if (!currentPath) return null;
+    const result = await invoke(currentPath);
+    if (!result.success && !result.conflicts?.length) {
+      console.error(`[gitStore] Failed to ${result.operation}:`, result.error);
+    }
+    await loadGitData(currentPath);
+    return result;
+  }
+
   return {
     subscribe,
     refresh: () => {
@@ -141,13 +168,130 @@ function createGitStore() {
     },
     checkout: async (branchName) => {
       if (!currentPath || !window.electronAPI?.gitCheckout) return;
-      try {
-        await window.electronAPI.gitCheckout({ cwd: currentPath, branch: branchName });
-        await loadGitData(currentPath);
-      } catch (error) {
-        console.error('[gitStore] Failed to checkout:', error);
-        throw error;
+      const result = await runOperation((cwd) => window.electronAPI.gitCheckout({ cwd, branch: branchName }));
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    },
+    createBranch: (name, { startPoint = 'HEAD', checkout = true } = {}) => runOperation((cwd) => (
+      window.electronAPI.gitCreateBranch({ cwd, name, startPoint, checkout })
+    )),
+    deleteBranch: (name, { force = false } = {}) => runOperation((cwd) => (
+      window.electronAPI.gitDeleteBranch({ cwd, name, force })
+    )),
+    renameBranch: (oldName, newName) => runOperation((cwd) => (
+      window.electronAPI.gitRenameBranch({ cwd, oldName, newName })
+    )),
+    merge: (ref) => runOperation((cwd) => window.electronAPI.gitMerge({ cwd, ref })),
+    rebase: (onto) => runOperation((cwd) => window.electronAPI.gitRebase({ cwd, onto })),
+    cherryPick: (commits) => runOperation((cwd) => window.electronAPI.gitCherryPick({ cwd, commits })),
+    // Continue, skip or abort the merge, rebase or cherry-pick in progress
+    continueOperation: () => runOperation((cwd) => window.electronAPI.gitContinue({ cwd })),
+    skipOperation: () => runOperation((cwd) => window.electronAPI.gitSkip({ cwd })),
+    abortOperation: () => runOperation((cwd) => window.electronAPI.gitAbort({ cwd })),
+    stashPush: ({ message = '', includeUntracked = false } = {}) => runOperation((cwd) => (
+      window.electronAPI.gitStashPush({ cwd, message, includeUntracked })
+    )),
+    stashApply: (index, { pop = false } = {}) => runOperation((cwd) => (
+      window.electronAPI.gitStashApply({ cwd, index, pop })
+    )),
+    stashDrop: (index) => runOperation((cwd) => window.electronAPI.gitStashDrop({ cwd, index })),
+    // Stage, unstage or discard ('stage' | 'unstage' | 'discard') some changed
+    // lines of a file, given by line number on either side of its diff
+    applySelection: async (filePath, action, { originalLines = [], modifiedLines = [], originalPath = null } = {}) => {
+      if (!currentPath || !window.electronAPI?.gitApplySelection) return null;
+      const result = await window.electronAPI.gitApplySelection({
+        cwd: currentPath,
+        file: filePath,
+        action,
+        originalLines,
+        modifiedLines,
+        originalPath,
+      });
+      if (!result.success) {
+        console.error(`[gitStore] Failed to ${action} lines:`, result.error);
+      }
+      await loadGitData(currentPath);
+      return result;
+    },
+    // Throw away the working tree changes of files; untracked files are deleted
+    discardFiles: async (files) => {
+      if (!currentPath || !window.electronAPI?.gitDiscard) return null;
+      const result = await window.electronAPI.gitDiscard({ cwd: currentPath, files });
+      if (!result.success) {
+        console.error('[gitStore] Failed to discard changes:', result.error);
+      }
+      await loadGitData(currentPath);
+      return result;
+    },
+    // Both sides of a file's change: unstaged changes compare the index with
+    // the working tree, staged changes compare HEAD with the index. originalPath
+    // is the old path of a file renamed in the index
+    getDiffSides: async (filePath, { staged = false, originalPath = null } = {}) => {
+      if (!currentPath || !window.electronAPI?.gitShow) return null;
+      const renamedFrom = staged && originalPath && originalPath !== filePath ? originalPath : null;
+      const [original, modified] = await Promise.all([
+        window.electronAPI.gitShow({ cwd: currentPath, file: renamedFrom || filePath, ref: staged ? 'HEAD' : ':' }),
+        window.electronAPI.gitShow({ cwd: currentPath, file: filePath, ref: staged ? ':' : 'WORKTREE' }),
+      ]);
+      if (!original.success || !modified.success) {
+        throw new Error(original.error || modified.error);
+      }
+
+      let change = 'modified';
+      if (!original.exists) {
+        change = 'added';
+      } else if (!modified.exists) {
+        change = 'deleted';
+      } else if (renamedFrom) {
+        change = 'renamed';
+      }
+      return { cwd: currentPath, change, originalPath: renamedFrom, original, modified };
+    },
+    // The versions of a conflicted file: ours (stage 2) and theirs (stage 3) as
+    // git recorded them, and the working tree file with the conflict markers
+    getConflictSides: async (filePath) => {
+      if (!currentPath || !window.electronAPI?.gitShow) return null;
+      const [ours, theirs, result] = await Promise.all([':2', ':3', 'WORKTREE'].map((ref) => (
+        window.electronAPI.gitShow({ cwd: currentPath, file: filePath, ref })
+      )));
+      const failed = [ours, theirs, result].find((side) => !side.success);
+      if (failed) {
+        throw new Error(failed.error);
+      }
+      return { cwd: currentPath, ours, theirs, result };
+    },
+    // A page of the history of all branches, filtered by author, message text and path
+    getHistory: async ({ skip = 0, limit = 100, author = '', message = '', path = '' } = {}) => {
+      if (!currentPath || !window.electronAPI?.gitHistory) return null;
+      const result = await window.electronAPI.gitHistory({ cwd: currentPath, skip, limit, author, message, path });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return result;
+    },
+    getCommitDetails: async (hash) => {
+      if (!currentPath || !window.electronAPI?.gitCommitDetails) return null;
+      const result = await window.electronAPI.gitCommitDetails({ cwd: currentPath, hash });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return result;
+    },
+    // Both sides of a file changed by a commit, against its first parent
+    getCommitDiffSides: async (commit, file) => {
+      if (!currentPath || !window.electronAPI?.gitShow) return null;
+      const parent = commit.parents[0];
+      const [original, modified] = await Promise.all([
+        parent
+          ? window.electronAPI.gitShow({ cwd: currentPath, file: file.from || file.path, ref: parent })
+          : { success: true, exists: false, binary: false, tooLarge: false, size: 0, content: '' },
+        window.electronAPI.gitShow({ cwd: currentPath, file: file.path, ref: commit.hash }),
+      ]);
+      if (!original.success || !modified.success) {
+        throw new Error(original.error || modified.error);
       }
+      return { cwd: currentPath, original, modified };
     },
     getDiff: async (filePath) => {
       if (!currentPath || !window.electronAPI?.gitDiff) return null;
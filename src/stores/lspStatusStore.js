@@ -0,0 +1,43 @@
+import { writable, derived } from 'svelte/store';
+
+// Health of running language servers, keyed by serverId
+// status: 'starting' | 'ready' | 'crashed' | 'restarting'
+function createLspStatusStore() {
+  const { subscribe, update } = writable({
+    servers: {}, // serverId -> { serverId, name, rootPath, status, restarts, lastExitCode, retryAt, gaveUp }
+  });
+
+  return {
+    subscribe,
+    setStatus: (serverId, fields) => update((state) => ({
+      ...state,
+      servers: {
+        ...state.servers,
+        [serverId]: { serverId, restarts: 0, ...state.servers[serverId], ...fields },
+      },
+    })),
+    remove: (serverId) => update((state) => {
+      const servers = { ...state.servers };
+      delete servers[serverId];
+      return { ...state, servers };
+    }),
+  };
+}
+
+export const lspStatusStore = createLspStatusStore();
+
+// Worst status per server config name, for the per-language indicator
+const STATUS_PRIORITY = ['crashed', 'restarting', 'starting', 'ready'];
+
+export const lspLanguageStatus = derived(lspStatusStore, ($lspStatusStore) => {
+  const byName = {};
+  for (const server of Object.values($lspStatusStore.servers)) {
+    const entry = byName[server.name] || { name: server.name, status: 'ready', servers: [] };
+    entry.servers.push(server);
+    if (STATUS_PRIORITY.indexOf(server.status) < STATUS_PRIORITY.indexOf(entry.status)) {
+      entry.status = server.status;
+    }
+    byName[server.name] = entry;
+  }
+  return Object.values(byName).sort((a, b) => a.name.localeCompare(b.name));
+});
@@ -0,0 +1,21 @@
+import { writable } from 'svelte/store';
+
+// Document symbols of the last focused editor, shown in the Outline view
+function createOutlineStore() {
+  const { subscribe, set, update } = writable({
+    filePath: null,
+    symbols: [], // Monaco DocumentSymbol tree
+    position: null, // cursor { lineNumber, column }
+  });
+
+  return {
+    subscribe,
+    setDocument: (filePath, symbols, position) => set({ filePath, symbols, position }),
+    setPosition: (position) => update((state) => ({ ...state, position })),
+    clear: (filePath) => update((state) => (
+      state.filePath === filePath ? { filePath: null, symbols: [], position: null } : state
+    )),
+  };
+}
+
+export const outlineStore = createOutlineStore();
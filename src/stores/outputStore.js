@@ -5,14 +5,15 @@ function createOutputStore() {
     logs: [],
     filters: {
       level: 'all', // 'all', 'log', 'warn', 'error'
-      source: 'all', // 'all', 'renderer', 'main', 'icon-debug', 'pdf-debug'
+      source: 'all', // 'all', 'renderer', 'main', 'icon-debug', 'pdf-debug', 'lsp'
       search: ''
     }
   });
 
   return {
     subscribe,
-    addLog: (message, level = 'log', source = 'renderer') => {
+    // meta.channel splits a source into streams (e.g. one per language server), meta.label names it
+    addLog: (message, level = 'log', source = 'renderer', meta = {}) => {
       const timestamp = new Date().toLocaleTimeString('en-US', {
         hour12: false,
         hour: '2-digit',
@@ -26,7 +27,9 @@ function createOutputStore() {
         timestamp,
         message,
         level,
-        source
+        source,
+        channel: meta.channel || null,
+        label: meta.label || null,
       };
 
       update(state => ({
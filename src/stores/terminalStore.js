@@ -2,6 +2,9 @@ import { writable } from 'svelte/store';
 
 // Terminal store - keeps ALL terminals across all workspaces
 function createTerminalStore() {
+  // terminalId -> (maxLines) => text, registered by mounted Terminal components
+  const scrollbackReaders = new Map();
+
   const { subscribe, set, update } = writable({
     terminals: [], // Array of { id, title, workspaceId, zoomLevel }
     activeTerminalId: null,
@@ -76,6 +79,16 @@ function createTerminalStore() {
       };
     }),
 
+    registerScrollback: (id, read) => scrollbackReaders.set(id, read),
+
+    unregisterScrollback: (id) => scrollbackReaders.delete(id),
+
+    // Last lines of a terminal's buffer as plain text, or null if it isn't mounted
+    getScrollback: (id, maxLines = 500) => {
+      const read = scrollbackReaders.get(id);
+      return read ? read(maxLines) : null;
+    },
+
     // Get terminals for a specific workspace (derived)
     getWorkspaceTerminals: (workspaceId) => {
       let result = [];
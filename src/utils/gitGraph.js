@@ -0,0 +1,83 @@
+/**
+ * Lane layout of the history graph. Commits come newest first (parents after
+ * their children); every lane waits for the next commit of one line of history.
+ * Pages of commits are laid out one after another by passing the returned
+ * lanes back in.
+ */
+
+export const LANE_COLORS = [
+  '#4c9aff',
+  '#36b37e',
+  '#ff8b00',
+  '#6554c0',
+  '#ff5630',
+  '#00b8d9',
+  '#ffc400',
+  '#998dd9',
+];
+
+export function getLaneColor(lane) {
+  return LANE_COLORS[lane % LANE_COLORS.length];
+}
+
+function takeFreeLane(lanes) {
+  const free = lanes.indexOf(null);
+  if (free !== -1) return free;
+  lanes.push(null);
+  return lanes.length - 1;
+}
+
+/**
+ * Rows of the graph for a page of commits. Each row has the commit's lane and
+ * the segments drawn in it, in lane units: y 0 is the top of the row, 0.5 the
+ * commit and 1 the bottom.
+ * @param {Array<{ hash: string, parents: string[] }>} commits
+ * @param {Array<string|null>} [previousLanes] - lanes left by the previous page
+ * @returns {{ rows: Array<{ commit, lane: number, width: number, segments: Array }>, lanes: Array<string|null> }}
+ */
+export function layoutGraph(commits, previousLanes = []) {
+  const lanes = [...previousLanes];
+  const rows = [];
+
+  for (const commit of commits) {
+    const segments = [];
+    // Lanes of the children waiting for this commit join at its node
+    let lane = lanes.indexOf(commit.hash);
+    const incoming = lanes.flatMap((hash, index) => (hash === commit.hash ? [index] : []));
+    if (lane === -1) {
+      lane = takeFreeLane(lanes);
+    }
+    for (const index of incoming) {
+      segments.push({ x1: index, y1: 0, x2: lane, y2: 0.5, color: getLaneColor(index) });
+      lanes[index] = null;
+    }
+
+    // Other lanes pass through
+    lanes.forEach((hash, index) => {
+      if (hash !== null) {
+        segments.push({ x1: index, y1: 0, x2: index, y2: 1, color: getLaneColor(index) });
+      }
+    });
+
+    // The first parent continues the commit's lane unless another lane already
+    // waits for it; further parents (merges) branch off into their own lanes
+    commit.parents.forEach((parent, parentIndex) => {
+      let target = lanes.indexOf(parent);
+      if (target === -1) {
+        target = parentIndex === 0 && lanes[lane] === null ? lane : takeFreeLane(lanes);
+        lanes[target] = parent;
+      }
+      segments.push({ x1: lane, y1: 0.5, x2: target, y2: 1, color: getLaneColor(target) });
+    });
+
+    // Drop empty lanes at the right edge
+    while (lanes.length > 0 && lanes[lanes.length - 1] === null) {
+      lanes.pop();
+    }
+
+    const width = Math.max(lane + 1, ...segments.map(segment => Math.max(segment.x1, segment.x2) + 1));
+    rows.push({ commit, lane, width, segments });
+  }
+
+  return { rows, lanes };
+}
@@ -0,0 +1,86 @@
+/**
+ * Conflict blocks git leaves in a file when a merge, rebase or cherry-pick
+ * stops on conflicts:
+ *
+ *   <<<<<<< HEAD           current (ours)
+ *   ||||||| base           common ancestor, with merge.conflictStyle diff3/zdiff3
+ *   =======
+ *   >>>>>>> branch         incoming (theirs)
+ *
+ * Line numbers are 1-based, like Monaco's.
+ */
+
+const MARKERS = {
+  start: /^<{7}(?:\s(.*))?$/,
+  base: /^\|{7}(?:\s(.*))?$/,
+  separator: /^={7}$/,
+  end: /^>{7}(?:\s(.*))?$/,
+};
+
+/**
+ * Every complete conflict block of a text; unfinished blocks are left alone
+ * @param {string} text
+ * @returns {Array<{ startLine: number, endLine: number, currentLabel: string, incomingLabel: string,
+ *   current: string[], base: string[]|null, incoming: string[] }>}
+ */
+export function parseConflicts(text) {
+  const lines = text.split(/\r?\n/);
+  const blocks = [];
+  let block = null;
+  // Part of the open block the next line belongs to
+  let part = null;
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    const start = MARKERS.start.exec(line);
+    if (start) {
+      // A new start marker drops an unfinished block
+      block = { startLine: lineNumber, currentLabel: start[1] || '', current: [], base: null, incoming: [] };
+      part = 'current';
+      return;
+    }
+    if (!block) return;
+
+    const base = MARKERS.base.exec(line);
+    const end = MARKERS.end.exec(line);
+    if (base && part === 'current') {
+      block.base = [];
+      part = 'base';
+    } else if (MARKERS.separator.test(line) && part !== 'incoming') {
+      part = 'incoming';
+    } else if (end && part === 'incoming') {
+      blocks.push({ ...block, endLine: lineNumber, incomingLabel: end[1] || '' });
+      block = null;
+    } else {
+      block[part].push(line);
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Lines replacing a conflict block
+ * @param {'current'|'incoming'|'both'} choice - both keeps current, then incoming
+ * @returns {string[]}
+ */
+export function resolveConflict(block, choice) {
+  if (choice === 'both') return [...block.current, ...block.incoming];
+  return choice === 'incoming' ? block.incoming : block.current;
+}
+
+/**
+ * Number of the first line where a run of lines appears, or 0
+ * @param {string[]} lines
+ * @param {string[]} run
+ * @returns {number}
+ */
+export function findLines(lines, run) {
+  if (run.length === 0) return 0;
+  for (let index = 0; index + run.length <= lines.length; index++) {
+    if (run.every((line, offset) => lines[index + offset] === line)) {
+      return index + 1;
+    }
+  }
+  return 0;
+}
@@ -0,0 +1,55 @@
+/**
+ * Labels and dates of timeline snapshots, shared by the file and workspace timelines
+ */
+
+// Relative time for recent snapshots, the date for older ones
+export function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  const now = new Date();
+  const diffMs = now - date;
+  const diffMins = Math.floor(diffMs / 60000);
+  const diffHours = Math.floor(diffMs / 3600000);
+  const diffDays = Math.floor(diffMs / 86400000);
+
+  if (diffMins < 1) return 'Just now';
+  if (diffMins < 60) return `${diffMins}m ago`;
+  if (diffHours < 24) return `${diffHours}h ago`;
+  if (diffDays < 7) return `${diffDays}d ago`;
+
+  return date.toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+export function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString(undefined, {
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+}
+
+export function getSourceIcon(source) {
+  switch (source) {
+  case 'user': return '👤';
+  case 'agent': return '🤖';
+  case 'external': return '📁';
+  case 'auto': return '⏱️';
+  case 'restore': return '↩️';
+  default: return '📝';
+  }
+}
+
+export function getSourceLabel(source) {
+  switch (source) {
+  case 'user': return 'User Save';
+  case 'agent': return 'Agent Edit';
+  case 'external': return 'External';
+  case 'auto': return 'Auto-save';
+  case 'restore': return 'Restore';
+  default: return source;
+  }
+}
@@ -0,0 +1,141 @@
+import { fabric } from 'fabric';
+
+export const STICKY_PADDING = 12;
+
+// Corners of a connector's arrow head, drawn at its end point
+function arrowHeadPoints(points, strokeWidth) {
+  const size = 6 + strokeWidth * 3;
+  const angle = Math.atan2(points.y2 - points.y1, points.x2 - points.x1);
+  const corner = (offset) => ({
+    x: points.x2 - size * Math.cos(angle + offset),
+    y: points.y2 - size * Math.sin(angle + offset),
+  });
+  return [{ x: points.x2, y: points.y2 }, corner(Math.PI / 7), corner(-Math.PI / 7)];
+}
+
+/**
+ * Connector - Arrow between two whiteboard objects, stored with their ids
+ * The whiteboard moves its ends whenever one of the objects moves.
+ */
+fabric.Connector = fabric.util.createClass(fabric.Line, {
+  type: 'connector',
+  // The arrow head reaches past the line's bounding box
+  objectCaching: false,
+  // Ends follow the connected objects, so the connector itself isn't moved
+  lockMovementX: true,
+  lockMovementY: true,
+  hasControls: false,
+  perPixelTargetFind: true,
+
+  initialize(points, options = {}) {
+    this.callSuper('initialize', points, options);
+    this.fromId = options.fromId || null;
+    this.toId = options.toId || null;
+  },
+
+  toObject(propertiesToInclude) {
+    return fabric.util.object.extend(this.callSuper('toObject', propertiesToInclude), {
+      fromId: this.fromId,
+      toId: this.toId,
+    });
+  },
+
+  _render(ctx) {
+    this.callSuper('_render', ctx);
+    const [tip, left, right] = arrowHeadPoints(this.calcLinePoints(), this.strokeWidth);
+    ctx.beginPath();
+    ctx.moveTo(tip.x, tip.y);
+    ctx.lineTo(left.x, left.y);
+    ctx.lineTo(right.x, right.y);
+    ctx.closePath();
+    ctx.fillStyle = this.stroke;
+    ctx.fill();
+  },
+
+  _toSVG() {
+    const points = this.calcLinePoints();
+    const head = arrowHeadPoints(points, this.strokeWidth).map((point) => `${point.x},${point.y}`).join(' ');
+    return [
+      '<g ', 'COMMON_PARTS', '>\n',
+      `<line x1="${points.x1}" y1="${points.y1}" x2="${points.x2}" y2="${points.y2}" />\n`,
+      `<polygon points="${head}" style="fill: ${this.stroke}; stroke: none;" />\n`,
+      '</g>\n',
+    ];
+  },
+});
+
+fabric.Connector.fromObject = (object, callback) => {
+  const options = { ...object, points: [object.x1, object.y1, object.x2, object.y2] };
+  fabric.Object._fromObject('Connector', options, (connector) => {
+    delete connector.points;
+    callback?.(connector);
+  }, 'points');
+};
+
+/**
+ * StickyNote - Wrapping text on a padded colored square
+ */
+fabric.StickyNote = fabric.util.createClass(fabric.Textbox, {
+  type: 'stickyNote',
+  padding: STICKY_PADDING,
+  objectCaching: false,
+
+  _renderBackground(ctx) {
+    if (!this.backgroundColor) return;
+    const dimensions = this._getNonTransformedDimensions();
+    ctx.fillStyle = this.backgroundColor;
+    ctx.fillRect(
+      -dimensions.x / 2 - STICKY_PADDING,
+      -dimensions.y / 2 - STICKY_PADDING,
+      dimensions.x + STICKY_PADDING * 2,
+      dimensions.y + STICKY_PADDING * 2,
+    );
+    this._removeShadow(ctx);
+  },
+
+  _setSVGBg(textBgRects) {
+    if (!this.backgroundColor) return;
+    textBgRects.push(
+      '\t\t<rect ', this._getFillAttributes(this.backgroundColor),
+      ` x="${-this.width / 2 - STICKY_PADDING}" y="${-this.height / 2 - STICKY_PADDING}"`,
+      ` width="${this.width + STICKY_PADDING * 2}" height="${this.height + STICKY_PADDING * 2}"></rect>\n`,
+    );
+  },
+});
+
+fabric.StickyNote.fromObject = (object, callback) => {
+  const options = { ...object, styles: fabric.util.stylesFromArray(object.styles, object.text) };
+  fabric.Object._fromObject('StickyNote', options, callback, 'text');
+};
+
+/**
+ * Center of an object in canvas coordinates, also while it is part of a
+ * multi-selection (whose objects are positioned relative to the selection)
+ */
+export function getCanvasCenter(object) {
+  const center = object.getCenterPoint();
+  return object.group ? fabric.util.transformPoint(center, object.group.calcTransformMatrix()) : center;
+}
+
+/**
+ * Point where the line from an object's center towards a point leaves the
+ * object's bounding box, so connectors end at the edge of what they connect
+ */
+export function getEdgePoint(object, toward) {
+  const center = getCanvasCenter(object);
+  const bounds = object.getBoundingRect(true, true);
+  const width = bounds.width * (object.group?.scaleX || 1);
+  const height = bounds.height * (object.group?.scaleY || 1);
+  const dx = toward.x - center.x;
+  const dy = toward.y - center.y;
+  if (dx === 0 && dy === 0) return center;
+
+  const padding = object.type === 'stickyNote' ? STICKY_PADDING : 0;
+  const scale = Math.min(
+    dx !== 0 ? (width / 2 + padding) / Math.abs(dx) : Infinity,
+    dy !== 0 ? (height / 2 + padding) / Math.abs(dy) : Infinity,
+  );
+  return { x: center.x + dx * Math.min(scale, 1), y: center.y + dy * Math.min(scale, 1) };
+}
+
+export { fabric };
@@ -0,0 +1,75 @@
+import { Node, InputRule, mergeAttributes } from '@tiptap/core';
+
+/**
+ * WikiLink - Inline [[note]] link between Mind notes
+ * Stored as <span data-wiki-link="target">[[target]]</span>, which the main
+ * process's Mind index reads to answer backlinks. Typing [[name]] creates one.
+ */
+export const WikiLink = Node.create({
+  name: 'wikiLink',
+  group: 'inline',
+  inline: true,
+  atom: true,
+  selectable: true,
+
+  addAttributes() {
+    return {
+      target: {
+        default: '',
+        parseHTML: (element) => element.getAttribute('data-wiki-link'),
+        renderHTML: (attributes) => ({ 'data-wiki-link': attributes.target }),
+      },
+    };
+  },
+
+  parseHTML() {
+    return [{ tag: 'span[data-wiki-link]' }];
+  },
+
+  renderHTML({ node, HTMLAttributes }) {
+    return ['span', mergeAttributes(HTMLAttributes, { class: 'wiki-link' }), `[[${node.attrs.target}]]`];
+  },
+
+  renderText({ node }) {
+    return `[[${node.attrs.target}]]`;
+  },
+
+  addCommands() {
+    return {
+      insertWikiLink: (target) => ({ commands }) => commands.insertContent({ type: this.name, attrs: { target } }),
+    };
+  },
+
+  addInputRules() {
+    return [
+      new InputRule({
+        find: /\[\[([^[\]|]+)\]\]$/,
+        handler: ({ state, range, match }) => {
+          const target = match[1].trim();
+          if (!target) return null;
+          state.tr.replaceWith(range.from, range.to, this.type.create({ target }));
+        },
+      }),
+    ];
+  },
+});
+
+/**
+ * Resolve a link target to a note name: the exact name, else the only note
+ * whose last path segment matches. Returns null when nothing (or several) match.
+ */
+export function resolveWikiLink(target, noteNames) {
+  if (noteNames.includes(target)) return target;
+  if (target.includes('/')) return null;
+  const matches = noteNames.filter((name) => name.split('/').pop() === target);
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Split a Mind tab's file path into its workspace and note name
+ * @returns {{ workspacePath: string, name: string } | null}
+ */
+export function parseMindPath(filePath) {
+  const match = filePath?.match(/(.*)\/\.swarm\/mind\/(.+)\.html$/);
+  return match ? { workspacePath: match[1], name: match[2] } : null;
+}
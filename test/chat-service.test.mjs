@@ -0,0 +1,92 @@
+/**
+ * Agent chat streaming (chat-service.mjs) against the mock provider in
+ * scripts/mock-chat-server.mjs, in both provider formats.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChatService } from '../chat-service.mjs';
+import { createMockChatServer } from '../scripts/mock-chat-server.mjs';
+
+let server;
+let baseUrl;
+
+// A service whose chat:delta events are collected per request
+function createService() {
+  const deltas = [];
+  const service = new ChatService((channel, data) => {
+    if (channel === 'chat:delta') deltas.push(data);
+  });
+  return { service, deltas };
+}
+
+before(async () => {
+  server = createMockChatServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+for (const type of ['openai', 'anthropic']) {
+  test(`${type}: streams the reply as deltas`, async () => {
+    const { service, deltas } = createService();
+    const result = await service.send('reply', { type, baseUrl, model: 'mock' }, [{ role: 'user', content: 'hello there' }]);
+
+    assert.equal(result.success, true);
+    assert.equal(result.content, 'You said: **hello there**\n\nThis reply comes from the mock chat server.');
+    assert.ok(deltas.length > 1);
+    assert.ok(deltas.every(delta => delta.requestId === 'reply'));
+    assert.equal(deltas.map(delta => delta.text).join(''), result.content);
+    assert.deepEqual(result.toolCalls, []);
+  });
+
+  test(`${type}: returns the tool calls with their streamed arguments`, async () => {
+    const { service } = createService();
+    const tools = [{ name: 'read_file', description: 'Read a file', parameters: { type: 'object', properties: {} } }];
+    const result = await service.send('tool', { type, baseUrl, model: 'mock' }, [
+      { role: 'user', content: 'tool read_file {"path": "README.md"}' }
+    ], tools);
+
+    assert.equal(result.success, true);
+    assert.equal(result.content, 'Calling read_file.');
+    assert.equal(result.toolCalls.length, 1);
+    assert.equal(result.toolCalls[0].name, 'read_file');
+    assert.deepEqual(result.toolCalls[0].arguments, { path: 'README.md' });
+
+    // The tool result goes back in the provider's format and is echoed
+    const followUp = await service.send('tool-result', { type, baseUrl, model: 'mock' }, [
+      { role: 'user', content: 'tool read_file {"path": "README.md"}' },
+      { role: 'assistant', content: result.content, toolCalls: result.toolCalls },
+      { role: 'tool', toolCallId: result.toolCalls[0].id, content: '# Swarm IDE' }
+    ], tools);
+    assert.equal(followUp.content, 'The tool returned:\n\n```\n# Swarm IDE\n```');
+  });
+
+  test(`${type}: cancel stops the stream with the partial reply`, async () => {
+    const { service, deltas } = createService();
+    const words = Array.from({ length: 200 }, (_, index) => `word${index}`).join(' ');
+    const sending = service.send('cancel', { type, baseUrl, model: 'mock' }, [{ role: 'user', content: words }]);
+
+    while (deltas.length < 3) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.deepEqual(service.cancel('cancel'), { success: true });
+    const result = await sending;
+
+    assert.equal(result.success, false);
+    assert.equal(result.cancelled, true);
+    assert.ok(result.content.length > 0);
+    assert.ok(!result.content.includes('word199'));
+    assert.equal(result.content, deltas.map(delta => delta.text).join(''));
+
+    // Nothing arrives once the request is cancelled
+    const received = deltas.length;
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(deltas.length, received);
+    assert.deepEqual(service.cancel('cancel'), { success: false, error: 'Request not running' });
+  });
+}
@@ -0,0 +1,161 @@
+/**
+ * Partial patches (git-patch.mjs) applied with `git apply --cached` to a
+ * scratch repository, checking what ends up in the index.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { simpleGit } from 'simple-git';
+import { buildPartialPatch, discardFiles } from '../git-patch.mjs';
+
+let repo;
+
+function git(...args) {
+  return execFileSync('git', args, { cwd: repo, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] });
+}
+
+// Index content after applying the patch to a file whose index holds base
+function applyToIndex(base, patch, { reverse = false } = {}) {
+  fs.writeFileSync(path.join(repo, 'file.txt'), base);
+  git('add', 'file.txt');
+  if (patch === null) return base;
+  fs.writeFileSync(path.join(repo, 'change.patch'), patch);
+  git('apply', '--cached', ...(reverse ? ['-R'] : []), 'change.patch');
+  return git('show', ':file.txt');
+}
+
+// Stage some of the changes from oldText to newText
+function stage(oldText, newText, selection) {
+  return applyToIndex(oldText, buildPartialPatch('file.txt', oldText, newText, selection));
+}
+
+// Take some of the changes from oldText to newText out of a file holding newText
+function unstage(oldText, newText, selection) {
+  return applyToIndex(newText, buildPartialPatch('file.txt', oldText, newText, selection, { reverse: true }), { reverse: true });
+}
+
+// Working tree content after taking some of the changes from the index's oldText
+// to the working tree's newText out of the file
+function discard(oldText, newText, selection) {
+  fs.writeFileSync(path.join(repo, 'file.txt'), oldText);
+  git('add', 'file.txt');
+  fs.writeFileSync(path.join(repo, 'file.txt'), newText);
+  const patch = buildPartialPatch('file.txt', oldText, newText, selection, { reverse: true });
+  fs.writeFileSync(path.join(repo, 'change.patch'), patch);
+  git('apply', '-R', 'change.patch');
+  return fs.readFileSync(path.join(repo, 'file.txt'), 'utf-8');
+}
+
+function allLines(text) {
+  const count = text ? text.split('\n').length : 0;
+  return Array.from({ length: count }, (_, index) => index + 1);
+}
+
+before(() => {
+  repo = fs.mkdtempSync(path.join(os.tmpdir(), 'git-patch-test-'));
+  git('init', '-q');
+});
+
+after(() => {
+  fs.rmSync(repo, { recursive: true, force: true });
+});
+
+test('stages a single replaced line', () => {
+  const oldText = 'one\ntwo\nthree\nfour\nfive\n';
+  const newText = 'one\nTWO\nthree\nfour\nFIVE\n';
+  assert.equal(stage(oldText, newText, { originalLines: [2], modifiedLines: [2] }), 'one\nTWO\nthree\nfour\nfive\n');
+  assert.equal(unstage(oldText, newText, { originalLines: [5], modifiedLines: [5] }), 'one\nTWO\nthree\nfour\nfive\n');
+});
+
+test('returns null when no selected line is a change', () => {
+  assert.equal(buildPartialPatch('file.txt', 'a\nb\n', 'a\nc\n', { originalLines: [1], modifiedLines: [1] }), null);
+});
+
+test('keeps line order when staging one deletion before a last line that lost its newline', () => {
+  const oldText = 'a\nb\nc\nd';
+  const newText = 'a\nb';
+  assert.equal(stage(oldText, newText, { originalLines: [4] }), 'a\nb\nc\n');
+  assert.equal(stage(oldText, newText, { originalLines: [3] }), 'a\nb\nd');
+  assert.equal(stage(oldText, newText, { originalLines: [3, 4] }), 'a\nb');
+});
+
+test('moves the missing newline with the lines added after the last line', () => {
+  const oldText = 'a';
+  const newText = 'a\nb\nc\n';
+  assert.equal(stage(oldText, newText, { modifiedLines: [2] }), 'a\nb\n');
+  assert.equal(stage(oldText, newText, { modifiedLines: [2, 3] }), newText);
+  assert.equal(unstage(oldText, newText, { modifiedLines: [2, 3] }), oldText);
+  assert.equal(unstage(oldText, newText, { modifiedLines: [3] }), 'a\nb\n');
+});
+
+test('changes only the ending of a last line', () => {
+  assert.equal(stage('a\nb\n', 'a\nb', { originalLines: [2], modifiedLines: [2] }), 'a\nb');
+  assert.equal(stage('a\nb', 'a\nb\n', { originalLines: [2], modifiedLines: [2] }), 'a\nb\n');
+  assert.equal(unstage('a\nb', 'a\nb\n', { originalLines: [2], modifiedLines: [2] }), 'a\nb');
+});
+
+test('discards single changes from the working tree', () => {
+  const oldText = 'one\ntwo\nthree\n';
+  const newText = 'one\nTWO\nthree\nfour';
+  assert.equal(discard(oldText, newText, { originalLines: [2], modifiedLines: [2] }), 'one\ntwo\nthree\nfour');
+  assert.equal(discard(oldText, newText, { modifiedLines: [4] }), 'one\nTWO\nthree\n');
+});
+
+test('discards whole files inside the working directory only', async () => {
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(repo, file)), { recursive: true });
+    fs.writeFileSync(path.join(repo, file), content);
+  };
+  write('dir/committed.txt', 'committed\n');
+  write('.gitignore', 'ignored.txt\n');
+  git('add', 'dir/committed.txt', '.gitignore');
+  git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'discard base');
+
+  write('dir/committed.txt', 'changed\n');
+  write('dir/untracked.txt', 'new\n');
+  write('dir/ignored.txt', 'kept\n');
+  write('scratch/note.txt', 'new\n');
+  await discardFiles(simpleGit(repo), repo, ['dir', path.join(repo, 'scratch')]);
+
+  // A tracked directory goes back to the index, untracked files go, ignored ones stay
+  assert.equal(fs.readFileSync(path.join(repo, 'dir/committed.txt'), 'utf-8'), 'committed\n');
+  assert.equal(fs.existsSync(path.join(repo, 'dir/untracked.txt')), true);
+  assert.equal(fs.existsSync(path.join(repo, 'dir/ignored.txt')), true);
+  assert.equal(fs.existsSync(path.join(repo, 'scratch')), false);
+
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'git-patch-outside-'));
+  try {
+    for (const file of [outside, '..', `..${path.sep}x`, '', '.', repo]) {
+      await assert.rejects(discardFiles(simpleGit(repo), repo, [file]), /is not inside/);
+    }
+    assert.equal(fs.existsSync(outside), true);
+  } finally {
+    fs.rmSync(outside, { recursive: true, force: true });
+  }
+});
+
+test('quotes paths git would quote', () => {
+  const patch = buildPartialPatch('dir/with "quote".txt', 'a\n', 'b\n', { originalLines: [1], modifiedLines: [1] });
+  assert.match(patch, /^diff --git "a\/dir\/with \\"quote\\".txt" "b\/dir\/with \\"quote\\".txt"\n/);
+});
+
+test('staging every change, or all of them in two steps, gives the new text', () => {
+  const texts = ['', 'a', 'a\n', 'a\nb', 'a\nb\n', 'b\na\nb', 'a\nc\nd', 'c\nd\na\n', 'a\nb\nc\nd', 'd\n\nb'];
+  for (const oldText of texts) {
+    for (const newText of texts) {
+      const everything = { originalLines: allLines(oldText), modifiedLines: allLines(newText) };
+      assert.equal(stage(oldText, newText, everything), newText, `${JSON.stringify(oldText)} -> ${JSON.stringify(newText)}`);
+      assert.equal(unstage(oldText, newText, everything), oldText, `${JSON.stringify(newText)} <- ${JSON.stringify(oldText)}`);
+
+      // The first changed line of each side, then the rest
+      const some = { originalLines: allLines(oldText).slice(0, 1), modifiedLines: allLines(newText).slice(0, 1) };
+      const staged = stage(oldText, newText, some);
+      const rest = { originalLines: allLines(staged), modifiedLines: allLines(newText) };
+      assert.equal(stage(staged, newText, rest), newText, `${JSON.stringify(oldText)} -> ${JSON.stringify(newText)} in two steps`);
+    }
+  }
+});
@@ -0,0 +1,103 @@
+/**
+ * LSP base protocol framing (lsp-message-reader.mjs) fed fragmented and
+ * concatenated frames.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LspMessageReader, parseContentLength, encodeMessage } from '../lsp-message-reader.mjs';
+
+function createReader() {
+  const messages = [];
+  const errors = [];
+  const reader = new LspMessageReader(message => messages.push(message), error => errors.push(error));
+  return { reader, messages, errors };
+}
+
+// Feed a buffer in chunks cut at the given byte offsets
+function pushInChunks(reader, buffer, offsets) {
+  let start = 0;
+  for (const offset of [...offsets, buffer.length]) {
+    reader.push(buffer.subarray(start, offset));
+    start = offset;
+  }
+}
+
+test('reads a whole frame', () => {
+  const { reader, messages } = createReader();
+  reader.push(encodeMessage({ jsonrpc: '2.0', id: 1, result: null }));
+  assert.deepEqual(messages, [{ jsonrpc: '2.0', id: 1, result: null }]);
+});
+
+test('reads several frames concatenated in one chunk', () => {
+  const { reader, messages } = createReader();
+  const frames = [1, 2, 3].map(id => encodeMessage({ jsonrpc: '2.0', id, result: id * 10 }));
+  reader.push(Buffer.concat(frames));
+  assert.deepEqual(messages.map(message => message.result), [10, 20, 30]);
+});
+
+test('reads a frame fed one byte at a time', () => {
+  const { reader, messages } = createReader();
+  const frame = encodeMessage({ jsonrpc: '2.0', method: 'window/logMessage', params: { message: 'hello' } });
+  pushInChunks(reader, frame, Array.from({ length: frame.length - 1 }, (_, index) => index + 1));
+  assert.deepEqual(messages, [{ jsonrpc: '2.0', method: 'window/logMessage', params: { message: 'hello' } }]);
+});
+
+test('reads a header split inside \\r\\n\\r\\n', () => {
+  const frame = encodeMessage({ jsonrpc: '2.0', id: 7, result: 'ok' });
+  const delimiter = frame.indexOf('\r\n\r\n');
+  for (let split = delimiter; split <= delimiter + 4; split++) {
+    const { reader, messages } = createReader();
+    pushInChunks(reader, frame, [split]);
+    assert.deepEqual(messages, [{ jsonrpc: '2.0', id: 7, result: 'ok' }], `split at byte ${split}`);
+  }
+});
+
+test('counts Content-Length in bytes and decodes a multi-byte character split across chunks', () => {
+  const { reader, messages } = createReader();
+  const text = 'größe → 日本語 😀';
+  const frame = encodeMessage({ jsonrpc: '2.0', id: 1, result: text });
+  const body = frame.indexOf('\r\n\r\n') + 4;
+  assert.equal(parseContentLength(frame.subarray(0, body - 4).toString('ascii')), frame.length - body);
+
+  // Cut inside the emoji, whose UTF-8 encoding is four bytes
+  const emoji = frame.indexOf(Buffer.from('😀'));
+  pushInChunks(reader, frame, [emoji + 1, emoji + 3]);
+  assert.deepEqual(messages, [{ jsonrpc: '2.0', id: 1, result: text }]);
+});
+
+test('reads a frame split after the end of another one', () => {
+  const { reader, messages } = createReader();
+  const first = encodeMessage({ jsonrpc: '2.0', id: 1, result: 'first' });
+  const second = encodeMessage({ jsonrpc: '2.0', id: 2, result: 'second' });
+  pushInChunks(reader, Buffer.concat([first, second]), [first.length + 5]);
+  assert.deepEqual(messages.map(message => message.result), ['first', 'second']);
+});
+
+test('ignores other headers and header name case', () => {
+  const { reader, messages } = createReader();
+  const body = JSON.stringify({ jsonrpc: '2.0', id: 1, result: true });
+  reader.push(`content-type: application/vscode-jsonrpc; charset=utf-8\r\nCONTENT-LENGTH: ${body.length}\r\n\r\n${body}`);
+  assert.deepEqual(messages, [{ jsonrpc: '2.0', id: 1, result: true }]);
+});
+
+test('reports malformed frames and keeps reading', () => {
+  const { reader, messages, errors } = createReader();
+  const good = encodeMessage({ jsonrpc: '2.0', id: 2, result: 'after' });
+  reader.push(Buffer.concat([
+    Buffer.from('Content-Length: abc\r\n\r\n'),
+    Buffer.from('Content-Length: 5\r\n\r\n{bad}'),
+    good
+  ]));
+  assert.equal(errors.length, 2);
+  assert.deepEqual(messages, [{ jsonrpc: '2.0', id: 2, result: 'after' }]);
+});
+
+test('reset drops a partial frame', () => {
+  const { reader, messages } = createReader();
+  const frame = encodeMessage({ jsonrpc: '2.0', id: 1, result: 'lost' });
+  reader.push(frame.subarray(0, frame.length - 3));
+  reader.reset();
+  reader.push(encodeMessage({ jsonrpc: '2.0', id: 2, result: 'kept' }));
+  assert.deepEqual(messages, [{ jsonrpc: '2.0', id: 2, result: 'kept' }]);
+});
@@ -0,0 +1,75 @@
+/**
+ * Migration of old snapshot folders (timeline-storage.mjs) into the blob
+ * store, including one that stopped before removing the folders.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TimelineStore, getHistoryDir } from '../timeline-storage.mjs';
+
+const FILE_PATH = '/project/src/app.js';
+const SNAPSHOTS = {
+  '1000-user.snapshot': 'one\n',
+  '2000-user.snapshot': 'one\n',
+  '3000-agent.snapshot': 'two\n',
+  '4000-user.snapshot': 'three\n'
+};
+
+let workspace;
+
+// A snapshot folder as older versions wrote it
+function writeOldFolder() {
+  const pathHash = crypto.createHash('md5').update(FILE_PATH).digest('hex').substring(0, 12);
+  const folder = path.join(getHistoryDir(workspace), pathHash);
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(path.join(folder, 'meta.json'), JSON.stringify({ filePath: FILE_PATH }));
+  for (const [name, content] of Object.entries(SNAPSHOTS)) {
+    fs.writeFileSync(path.join(folder, name), content);
+  }
+  return folder;
+}
+
+// Entries as a new session sees them, once the gc the first use queues is done
+async function entries() {
+  const store = new TimelineStore();
+  const result = await store.getEntries(workspace, FILE_PATH);
+  await store.queues.get(workspace);
+  return result.map(entry => `${entry.timestamp}-${entry.source}`);
+}
+
+beforeEach(() => {
+  workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'timeline-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(workspace, { recursive: true, force: true });
+});
+
+test('migrates old snapshot folders into the index', async () => {
+  const folder = writeOldFolder();
+  assert.deepEqual(await entries(), ['4000-user', '3000-agent', '1000-user']);
+  assert.equal(fs.existsSync(folder), false);
+});
+
+test('does not duplicate entries when a migration stopped before removing a folder', async () => {
+  writeOldFolder();
+  const migrated = await entries();
+
+  // The folder is back as if its removal never happened
+  const folder = writeOldFolder();
+  assert.deepEqual(await entries(), migrated);
+  assert.equal(fs.existsSync(folder), false);
+});
+
+test('adds the snapshots an index lacks', async () => {
+  writeOldFolder();
+  await entries();
+
+  const folder = writeOldFolder();
+  fs.writeFileSync(path.join(folder, '5000-user.snapshot'), 'four\n');
+  assert.deepEqual(await entries(), ['5000-user', '4000-user', '3000-agent', '1000-user']);
+});
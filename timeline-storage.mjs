@@ -0,0 +1,619 @@
+/**
+ * Timeline Storage - Runs in Electron main process
+ * Keeps file snapshots below .swarm/history as content-addressed blobs:
+ *
+ *   objects/<2 hex>/<62 hex>  gzip'd file content, named by its sha256
+ *   files/<path hash>.json    { filePath, entries: [{ id, timestamp, source, hash, stats, session?, baseHash?, created? }] }
+ *
+ * Identical contents are stored once, however many snapshots or files use
+ * them. Entries are trimmed by the retention policy in .swarm/timeline.json
+ * and blobs no entry refers to are removed by gc().
+ *
+ * Entries saved with a session (one agent run, one rollback) form a change
+ * set across files; other entries are grouped per source while they follow
+ * each other within GROUP_WINDOW_MS. A change set can be rolled back as a
+ * whole, to the content each file had before it: baseHash when the writer
+ * passed the previous content, else the file's entry before the change set,
+ * or no file at all for files it created.
+ *
+ * Older versions kept a full copy per snapshot in <path hash>/<timestamp>-<source>.snapshot
+ * folders; these are moved into the blob store the first time a workspace is used.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { diffStats } from './line-diff.mjs';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// 0 turns a limit off
+export const DEFAULT_RETENTION = {
+  maxEntries: 100,
+  maxAgeDays: 90,
+  maxBytes: 100 * 1024 * 1024
+};
+
+const DAY_MS = 86400000;
+export const GROUP_WINDOW_MS = 2 * 60 * 1000;
+
+export function getHistoryDir(workspacePath) {
+  return path.join(workspacePath, '.swarm', 'history');
+}
+
+function getPathHash(filePath) {
+  return crypto.createHash('md5').update(filePath).digest('hex').substring(0, 12);
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content, 'utf-8').digest('hex');
+}
+
+function getBlobPath(historyDir, hash) {
+  return path.join(historyDir, 'objects', hash.substring(0, 2), hash.substring(2));
+}
+
+// Write through a temporary file so readers never see half a file
+async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tempPath, data);
+  await fs.rename(tempPath, filePath);
+}
+
+function sortByTime(entries) {
+  return entries.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Blobs an entry needs
+function getEntryHashes(entry) {
+  return entry.baseHash ? [entry.hash, entry.baseHash] : [entry.hash];
+}
+
+export class TimelineStore {
+  constructor() {
+    // workspacePath -> Promise of the last queued operation
+    this.queues = new Map();
+    // workspacePaths whose old snapshot folders have been migrated
+    this.migrated = new Set();
+  }
+
+  /**
+   * Run operations of a workspace one after another, after its migration,
+   * so concurrent saves and gc don't overwrite each other's index changes.
+   * The first use of a workspace also queues a gc for blobs left behind by
+   * entries the retention policy trimmed since the last session.
+   */
+  run(workspacePath, operation) {
+    const previous = this.queues.get(workspacePath) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      if (!this.migrated.has(workspacePath)) {
+        await this.migrate(workspacePath);
+        this.migrated.add(workspacePath);
+        this.gc(workspacePath).catch(error => console.error('[Timeline] gc failed:', error));
+      }
+      return operation(getHistoryDir(workspacePath));
+    });
+    this.queues.set(workspacePath, next);
+    return next;
+  }
+
+  async getRetention(workspacePath) {
+    try {
+      const settings = JSON.parse(await fs.readFile(path.join(workspacePath, '.swarm', 'timeline.json'), 'utf-8'));
+      return { ...DEFAULT_RETENTION, ...settings.retention };
+    } catch {
+      return { ...DEFAULT_RETENTION };
+    }
+  }
+
+  async setRetention(workspacePath, retention) {
+    const settingsPath = path.join(workspacePath, '.swarm', 'timeline.json');
+    let settings = {};
+    try {
+      settings = JSON.parse(await fs.readFile(settingsPath, 'utf-8'));
+    } catch {
+      // No settings yet
+    }
+    const merged = { ...DEFAULT_RETENTION, ...settings.retention };
+    for (const key of Object.keys(DEFAULT_RETENTION)) {
+      if (retention[key] !== undefined) {
+        const value = Number(retention[key]);
+        if (!Number.isFinite(value) || value < 0) {
+          throw new Error(`Invalid retention value for ${key}: ${retention[key]}`);
+        }
+        merged[key] = value;
+      }
+    }
+    await fs.mkdir(path.dirname(settingsPath), { recursive: true });
+    await fs.writeFile(settingsPath, JSON.stringify({ ...settings, retention: merged }, null, 2), 'utf-8');
+    return merged;
+  }
+
+  async readIndex(historyDir, pathHash) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(historyDir, 'files', `${pathHash}.json`), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeIndex(historyDir, pathHash, index) {
+    const indexPath = path.join(historyDir, 'files', `${pathHash}.json`);
+    if (index.entries.length === 0) {
+      await fs.rm(indexPath, { force: true });
+      return;
+    }
+    await fs.mkdir(path.dirname(indexPath), { recursive: true });
+    await writeFileAtomic(indexPath, JSON.stringify(index));
+  }
+
+  async writeBlob(historyDir, content) {
+    const hash = hashContent(content);
+    const blobPath = getBlobPath(historyDir, hash);
+    try {
+      await fs.access(blobPath);
+    } catch {
+      await fs.mkdir(path.dirname(blobPath), { recursive: true });
+      await writeFileAtomic(blobPath, await gzip(Buffer.from(content, 'utf-8')));
+    }
+    return hash;
+  }
+
+  async readBlob(historyDir, hash) {
+    return (await gunzip(await fs.readFile(getBlobPath(historyDir, hash)))).toString('utf-8');
+  }
+
+  /**
+   * Add an entry to a file's index; content equal to the newest snapshot adds nothing
+   * @param {Object} [options]
+   * @param {string} [options.session] - change set the entry belongs to
+   * @param {string|null} [options.previousContent] - content the file had before this
+   *   change, null if the change created it; defaults to the newest snapshot
+   * @returns {Promise<{ entry: object, added: boolean }>}
+   */
+  async addEntry(historyDir, index, content, timestamp, source, { session = null, previousContent } = {}) {
+    const hash = await this.writeBlob(historyDir, content);
+    const latest = index.entries[index.entries.length - 1];
+    if (latest && latest.hash === hash) {
+      return { entry: latest, added: false };
+    }
+
+    let id = `${timestamp}-${source}`;
+    for (let n = 1; index.entries.some(entry => entry.id === id); n++) {
+      id = `${timestamp}-${source}-${n}`;
+    }
+    const entry = { id, timestamp, source, hash };
+    if (session) {
+      entry.session = session;
+    }
+
+    let baseContent;
+    if (previousContent === null) {
+      entry.created = true;
+      baseContent = '';
+    } else if (typeof previousContent === 'string') {
+      const baseHash = await this.writeBlob(historyDir, previousContent);
+      if (baseHash !== latest?.hash) {
+        entry.baseHash = baseHash;
+      }
+      baseContent = previousContent;
+    } else {
+      baseContent = latest ? await this.readBlob(historyDir, latest.hash) : '';
+    }
+    entry.stats = diffStats(baseContent, content);
+
+    index.entries.push(entry);
+    return { entry, added: true };
+  }
+
+  async saveSnapshot(workspacePath, filePath, content, source = 'user', options = {}) {
+    const retention = await this.getRetention(workspacePath);
+    return this.run(workspacePath, async (historyDir) => {
+      const pathHash = getPathHash(filePath);
+      const index = (await this.readIndex(historyDir, pathHash)) || { filePath, entries: [] };
+      const { entry, added } = await this.addEntry(historyDir, index, content, Date.now(), source, options);
+      if (added) {
+        applyRetention(index, retention, Date.now());
+        await this.writeIndex(historyDir, pathHash, index);
+      }
+      return { id: entry.id, timestamp: entry.timestamp, deduplicated: !added };
+    });
+  }
+
+  /**
+   * Entries of a file, newest first
+   */
+  async getEntries(workspacePath, filePath) {
+    return this.run(workspacePath, async (historyDir) => {
+      const index = await this.readIndex(historyDir, getPathHash(filePath));
+      if (!index) return [];
+      return index.entries.map(entry => ({
+        id: entry.id,
+        timestamp: entry.timestamp,
+        source: entry.source,
+        session: entry.session || null,
+        date: new Date(entry.timestamp).toISOString(),
+        stats: entry.stats || null
+      })).reverse();
+    });
+  }
+
+  /**
+   * Content of a snapshot, or with `before` the content the file had before it
+   */
+  async getSnapshot(workspacePath, filePath, snapshotId, { before = false } = {}) {
+    return this.run(workspacePath, async (historyDir) => {
+      const index = await this.readIndex(historyDir, getPathHash(filePath));
+      const entry = index?.entries.find(e => e.id === snapshotId);
+      if (!entry) {
+        throw new Error(`Snapshot not found: ${snapshotId}`);
+      }
+      if (!before) {
+        return this.readBlob(historyDir, entry.hash);
+      }
+      return (await this.readBaseContent(historyDir, index, entry)) ?? '';
+    });
+  }
+
+  /**
+   * Content a file had before an entry, null if the entry created it
+   */
+  async readBaseContent(historyDir, index, entry) {
+    if (entry.created) return null;
+    if (entry.baseHash) return this.readBlob(historyDir, entry.baseHash);
+    const position = index.entries.indexOf(entry);
+    if (position > 0) return this.readBlob(historyDir, index.entries[position - 1].hash);
+    throw new Error(`No version of ${index.filePath} before ${entry.id} is kept`);
+  }
+
+  async readIndexes(historyDir) {
+    const indexes = new Map();
+    let names = [];
+    try {
+      names = (await fs.readdir(path.join(historyDir, 'files'))).filter(name => name.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    for (const name of names) {
+      const pathHash = name.slice(0, -'.json'.length);
+      indexes.set(pathHash, await this.readIndex(historyDir, pathHash));
+    }
+    return indexes;
+  }
+
+  /**
+   * Change sets of the whole workspace, newest first
+   * @returns {Promise<Array<{ id: string, source: string, session: string|null, startTime: number,
+   *   endTime: number, stats: { added: number, removed: number }, files: Array<object> }>>}
+   */
+  async getWorkspaceTimeline(workspacePath, { limit = 200 } = {}) {
+    return this.run(workspacePath, async (historyDir) => {
+      const indexes = await this.readIndexes(historyDir);
+      return groupEntries(indexes).reverse().slice(0, limit).map(group => summarizeGroup(group));
+    });
+  }
+
+  /**
+   * Put every file of a change set back to its content from before the change
+   * set; files it created are deleted. If any file can't be written, the files
+   * already written are put back as they were. The rollback is saved as a
+   * change set of its own, so it can be rolled back too (except for the
+   * deleted files, which leave no snapshot).
+   * @returns {Promise<{ session: string, files: Array<{ filePath: string, content: string|null }> }>}
+   */
+  async rollbackGroup(workspacePath, groupId) {
+    return this.run(workspacePath, async (historyDir) => {
+      const indexes = await this.readIndexes(historyDir);
+      const group = groupEntries(indexes).find(g => g.id === groupId);
+      if (!group) {
+        throw new Error(`Change set not found: ${groupId}`);
+      }
+
+      // Read everything first, so a missing version stops the rollback before any write
+      const files = [];
+      for (const { index, pathHash, entries } of getGroupFiles(group)) {
+        files.push({
+          filePath: index.filePath,
+          pathHash,
+          index,
+          target: await this.readBaseContent(historyDir, index, entries[0]),
+          current: await readFileIfExists(index.filePath)
+        });
+      }
+
+      const written = [];
+      try {
+        for (const file of files) {
+          await putFileContent(file.filePath, file.target);
+          written.push(file);
+        }
+      } catch (error) {
+        for (const file of written) {
+          await putFileContent(file.filePath, file.current).catch(revertError => {
+            console.error(`[Timeline] Failed to put back ${file.filePath}:`, revertError);
+          });
+        }
+        throw error;
+      }
+
+      const session = `rollback-${Date.now()}`;
+      for (const file of files) {
+        if (file.target === null) continue;
+        const { added } = await this.addEntry(historyDir, file.index, file.target, Date.now(), 'restore', {
+          session,
+          previousContent: file.current
+        });
+        if (added) {
+          await this.writeIndex(historyDir, file.pathHash, file.index);
+        }
+      }
+      return { session, files: files.map(file => ({ filePath: file.filePath, content: file.target })) };
+    });
+  }
+
+  /**
+   * Apply the retention policy to every file and remove unreferenced blobs.
+   * The newest entry of each file is always kept.
+   * @returns {Promise<{ removedEntries: number, removedBlobs: number, freedBytes: number, totalBytes: number }>}
+   */
+  async gc(workspacePath) {
+    const retention = await this.getRetention(workspacePath);
+    return this.run(workspacePath, async (historyDir) => {
+      const indexes = await this.readIndexes(historyDir);
+      let removedEntries = 0;
+      for (const index of indexes.values()) {
+        removedEntries += applyRetention(index, retention, Date.now());
+      }
+
+      // Size and reference count of each blob still in use
+      const blobs = await this.listBlobs(historyDir);
+      const references = new Map();
+      for (const index of indexes.values()) {
+        for (const hash of index.entries.flatMap(getEntryHashes)) {
+          references.set(hash, (references.get(hash) || 0) + 1);
+        }
+      }
+      let totalBytes = 0;
+      for (const hash of references.keys()) {
+        totalBytes += blobs.get(hash) || 0;
+      }
+
+      // Over the size limit, drop the oldest entries across all files
+      if (retention.maxBytes > 0 && totalBytes > retention.maxBytes) {
+        const candidates = [];
+        for (const index of indexes.values()) {
+          candidates.push(...index.entries.slice(0, -1).map(entry => ({ entry, index })));
+        }
+        candidates.sort((a, b) => a.entry.timestamp - b.entry.timestamp);
+        for (const { entry, index } of candidates) {
+          if (totalBytes <= retention.maxBytes) break;
+          index.entries.splice(index.entries.indexOf(entry), 1);
+          removedEntries++;
+          for (const hash of getEntryHashes(entry)) {
+            const count = references.get(hash) - 1;
+            references.set(hash, count);
+            if (count === 0) {
+              totalBytes -= blobs.get(hash) || 0;
+            }
+          }
+        }
+      }
+
+      for (const [pathHash, index] of indexes) {
+        await this.writeIndex(historyDir, pathHash, index);
+      }
+
+      let removedBlobs = 0;
+      let freedBytes = 0;
+      for (const [hash, size] of blobs) {
+        if (!references.get(hash)) {
+          await fs.rm(getBlobPath(historyDir, hash), { force: true });
+          removedBlobs++;
+          freedBytes += size;
+        }
+      }
+      return { removedEntries, removedBlobs, freedBytes, totalBytes };
+    });
+  }
+
+  /**
+   * Stored blobs with their size on disk
+   * @returns {Promise<Map<string, number>>}
+   */
+  async listBlobs(historyDir) {
+    const blobs = new Map();
+    const objectsDir = path.join(historyDir, 'objects');
+    let prefixes = [];
+    try {
+      prefixes = await fs.readdir(objectsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return blobs;
+      throw error;
+    }
+    for (const prefix of prefixes) {
+      for (const name of await fs.readdir(path.join(objectsDir, prefix))) {
+        if (name.endsWith('.tmp')) continue;
+        const { size } = await fs.stat(path.join(objectsDir, prefix, name));
+        blobs.set(prefix + name, size);
+      }
+    }
+    return blobs;
+  }
+
+  /**
+   * Move snapshot folders of older versions into the blob store
+   */
+  async migrate(workspacePath) {
+    const historyDir = getHistoryDir(workspacePath);
+    let folders = [];
+    try {
+      folders = (await fs.readdir(historyDir, { withFileTypes: true }))
+        .filter(entry => entry.isDirectory() && /^[0-9a-f]{12}$/.test(entry.name))
+        .map(entry => entry.name);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const pathHash of folders) {
+      const folder = path.join(historyDir, pathHash);
+      let filePath = null;
+      try {
+        filePath = JSON.parse(await fs.readFile(path.join(folder, 'meta.json'), 'utf-8')).filePath;
+      } catch {
+        // Folders of the first versions had no meta.json
+      }
+
+      const index = (await this.readIndex(historyDir, pathHash)) || { filePath, entries: [] };
+      const snapshots = (await fs.readdir(folder))
+        .filter(name => name.endsWith('.snapshot'))
+        .map((name) => {
+          const [timestamp, ...source] = name.replace('.snapshot', '').split('-');
+          return { name, timestamp: parseInt(timestamp), source: source.join('-') || 'unknown' };
+        });
+      for (const snapshot of sortByTime(snapshots)) {
+        const content = await fs.readFile(path.join(folder, snapshot.name), 'utf-8');
+        // A migration stopped before removing the folder has indexed it already:
+        // skip snapshots the file's history has by then
+        const previous = index.entries.filter(entry => entry.timestamp <= snapshot.timestamp).pop();
+        if (previous?.hash === hashContent(content)) continue;
+        await this.addEntry(historyDir, index, content, snapshot.timestamp, snapshot.source);
+        sortByTime(index.entries);
+      }
+      await this.writeIndex(historyDir, pathHash, index);
+      await fs.rm(folder, { recursive: true, force: true });
+      console.log(`[Timeline] Migrated ${snapshots.length} snapshots of ${filePath || pathHash}`);
+    }
+  }
+}
+
+async function readFileIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Write a file, or delete it for null content
+async function putFileContent(filePath, content) {
+  if (content === null) {
+    await fs.rm(filePath, { force: true });
+  } else {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, 'utf-8');
+  }
+}
+
+/**
+ * Group the entries of all files into change sets, oldest first: entries of
+ * a session together, others per source while less than GROUP_WINDOW_MS apart
+ */
+function groupEntries(indexes) {
+  const items = [];
+  for (const [pathHash, index] of indexes) {
+    // Files of the first versions without meta.json can't be written back
+    if (!index.filePath) continue;
+    items.push(...index.entries.map(entry => ({ pathHash, index, entry, timestamp: entry.timestamp })));
+  }
+
+  const groups = [];
+  const sessions = new Map();
+  const openGroups = new Map(); // source -> latest group without session
+  for (const item of sortByTime(items)) {
+    const { entry } = item;
+    let group = entry.session ? sessions.get(entry.session) : openGroups.get(entry.source);
+    if (group && !entry.session && entry.timestamp - group.endTime > GROUP_WINDOW_MS) {
+      group = null;
+    }
+    if (!group) {
+      group = {
+        id: entry.session || `${entry.source}-${entry.timestamp}`,
+        source: entry.source,
+        session: entry.session || null,
+        startTime: entry.timestamp,
+        endTime: entry.timestamp,
+        items: []
+      };
+      groups.push(group);
+      if (entry.session) {
+        sessions.set(entry.session, group);
+      } else {
+        openGroups.set(entry.source, group);
+      }
+    }
+    group.items.push(item);
+    group.endTime = entry.timestamp;
+  }
+  return groups;
+}
+
+// Entries of a change set per file, oldest first
+function getGroupFiles(group) {
+  const files = new Map();
+  for (const { pathHash, index, entry } of group.items) {
+    if (!files.has(pathHash)) {
+      files.set(pathHash, { pathHash, index, entries: [] });
+    }
+    files.get(pathHash).entries.push(entry);
+  }
+  return [...files.values()];
+}
+
+function summarizeGroup(group) {
+  const stats = { added: 0, removed: 0 };
+  const files = getGroupFiles(group).map(({ index, entries }) => {
+    const fileStats = { added: 0, removed: 0 };
+    for (const entry of entries) {
+      fileStats.added += entry.stats?.added || 0;
+      fileStats.removed += entry.stats?.removed || 0;
+    }
+    stats.added += fileStats.added;
+    stats.removed += fileStats.removed;
+
+    const last = entries[entries.length - 1];
+    return {
+      filePath: index.filePath,
+      firstEntryId: entries[0].id,
+      lastEntryId: last.id,
+      created: !!entries[0].created,
+      stats: fileStats,
+      // Rolling back would also undo these later changes
+      changedLater: index.entries[index.entries.length - 1] !== last
+    };
+  });
+  return {
+    id: group.id,
+    source: group.source,
+    session: group.session,
+    startTime: group.startTime,
+    endTime: group.endTime,
+    stats,
+    files
+  };
+}
+
+/**
+ * Drop entries over the count and age limits, keeping the newest one
+ * @returns {number} number of removed entries
+ */
+function applyRetention(index, retention, now) {
+  const before = index.entries.length;
+  sortByTime(index.entries);
+  if (retention.maxAgeDays > 0) {
+    const cutoff = now - retention.maxAgeDays * DAY_MS;
+    const latest = index.entries[index.entries.length - 1];
+    index.entries = index.entries.filter(entry => entry.timestamp >= cutoff || entry === latest);
+  }
+  if (retention.maxEntries > 0 && index.entries.length > retention.maxEntries) {
+    index.entries = index.entries.slice(-retention.maxEntries);
+  }
+  return before - index.entries.length;
+}
+
+export const timelineStore = new TimelineStore();